@@ -0,0 +1,81 @@
+/**
+ * Alignment Severity - From Graded Scores to Response Tiers
+ *
+ * The conscience scores each dimension of a verdict from 0.0 (directly
+ * violates) to 1.0 (fully aligned), together with its confidence in the
+ * verdict. The lowest score decides the tier:
+ *   halt     - below the halt threshold: the agent must stop
+ *   warning  - below the warning threshold: the agent must correct course
+ *   advisory - below the advisory threshold: a note to keep in mind
+ *   none     - aligned
+ *
+ * A halt needs a confident verdict: below the confidence threshold it is
+ * lowered to a warning, so an unsure conscience cannot stop the agent.
+ *
+ * Thresholds are read from ALIGNMENT_THRESHOLDS, e.g.
+ * "halt=0.3,warning=0.6,advisory=0.85,confidence=0.5".
+ */
+
+export const SeverityTiers = ["none", "advisory", "warning", "halt"];
+
+export const ScoreDimensions = ["user", "global", "project", "plan"];
+
+const DEFAULT_THRESHOLDS = { halt: 0.3, warning: 0.6, advisory: 0.85, confidence: 0.5 };
+
+/**
+ * Parse a threshold spec such as "halt=0.2,warning=0.5".
+ * Missing entries keep their defaults; invalid ones are reported and ignored.
+ *
+ * @param {string} [spec]
+ * @returns {object} { halt, warning, advisory, confidence }
+ */
+export function parseSeverityThresholds(spec) {
+    const thresholds = { ...DEFAULT_THRESHOLDS };
+    if (spec === undefined || spec.trim() === "") {
+        return thresholds;
+    }
+    for (const entry of spec.split(",").map(s => s.trim()).filter(Boolean)) {
+        const [name, raw] = entry.split("=").map(s => s.trim().toLowerCase());
+        const value = Number(raw);
+        if (!(name in DEFAULT_THRESHOLDS) || raw === undefined || raw === "" || !(value >= 0 && value <= 1)) {
+            console.error(`Ignoring alignment threshold '${entry}' (use: ${Object.keys(DEFAULT_THRESHOLDS).map(k => `${k}=0..1`).join(", ")})`);
+            continue;
+        }
+        thresholds[name] = value;
+    }
+    if (!(thresholds.halt <= thresholds.warning && thresholds.warning <= thresholds.advisory)) {
+        console.error("Alignment thresholds must satisfy halt <= warning <= advisory; using the defaults");
+        return { ...DEFAULT_THRESHOLDS, confidence: thresholds.confidence };
+    }
+    return thresholds;
+}
+
+/**
+ * Decide the severity tier of a verdict.
+ *
+ * @param {object} verdict - With scores { user, global, project, plan } and confidence
+ * @param {object} thresholds - From parseSeverityThresholds()
+ * @returns {object} { tier, lowest: [dimensions at the lowest score], score, confidence, downgraded }
+ */
+export function assessSeverity(verdict, thresholds) {
+    const score = Math.min(...ScoreDimensions.map(d => verdict.scores[d]));
+    const lowest = ScoreDimensions.filter(d => verdict.scores[d] === score);
+
+    let tier = score < thresholds.halt ? "halt"
+        : score < thresholds.warning ? "warning"
+            : score < thresholds.advisory ? "advisory"
+                : "none";
+    const downgraded = tier === "halt" && verdict.confidence < thresholds.confidence;
+    if (downgraded) {
+        tier = "warning";
+    }
+    return { tier, lowest, score, confidence: verdict.confidence, downgraded };
+}
+
+/**
+ * One-line score summary: "user 0.90, global 0.80, project 1.00, plan 0.40 (confidence 0.70)".
+ */
+export function formatScores(verdict) {
+    const scores = ScoreDimensions.map(d => `${d} ${verdict.scores[d].toFixed(2)}`).join(", ");
+    return `${scores} (confidence ${verdict.confidence.toFixed(2)})`;
+}
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+import path from "path";
+import { EventLog } from "./event_log.js";
+import { ConstraintStore } from "./constraint_store.js";
+import { compactEventLog } from "./compaction.js";
+import { IndexedVectorStore } from "./vector_store.js";
+import { ProposalQueue, describeProposal } from "./proposal_queue.js";
+import { MoodTracker } from "./mood_tracker.js";
+import { loadEscalationConfig } from "./escalation_profiles.js";
+import { buildMoodReport, formatMoodReport } from "./mood_report.js";
+import { ConflictPolicies, exportBundle, writeBundle, readBundle, importBundle, formatImportResult } from "./memory_bundle.js";
+
+/**
+ * Command-line maintenance for the conscience memory.
+ * Operates on the memory files in the current working directory, the same
+ * ones the server uses when started from there.
+ */
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  compact [--mood-retention-days N]   Archive old mood events and obsoleted constraint history
+  snapshot                             Write a constraint projection snapshot now
+  verify                               Check the event log hash chain and report the first broken link
+  reseal                               Accept the log as it is and rebuild its hash chain (after review)
+  export <file>                        Write the whole memory to a portable bundle
+  import <file> --policy <policy>      Merge a bundle into the local memory
+                                       (policy: ${Object.values(ConflictPolicies).join(", ")})
+  proposals                            List memory updates the conscience proposed for approval
+  approve <proposal_id>                Apply a pending proposal
+  reject <proposal_id> [--reason R]    Discard a pending proposal
+  mood-report [--from DATE] [--to DATE] [--bucket day|week] [--profile NAME]
+              [--top-causes N] [--format markdown|json]
+                                       Report mood trends, distress causes, recovery times and distress by project
+`;
+
+/**
+ * Parse "--flag value" pairs and positional arguments.
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith("--")) {
+            const name = arg.slice(2);
+            const next = argv[i + 1];
+            if (next !== undefined && !next.startsWith("--")) {
+                flags[name] = next;
+                i++;
+            } else {
+                flags[name] = true;
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { positional, flags };
+}
+
+function parseNumberFlag(flags, name) {
+    if (flags[name] === undefined) return undefined;
+    const value = Number(flags[name]);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`--${name} must be a non-negative number`);
+    }
+    return value;
+}
+
+function printVerification(result) {
+    if (result.broken) {
+        console.log(`BROKEN at event #${result.broken.index} (${result.broken.event_id}): ${result.broken.reason}`);
+    } else {
+        console.log(`OK: ${result.checked} events verified.`);
+    }
+    if (result.legacy > 0) {
+        console.log(`${result.legacy} legacy events predate hash chaining; the first chained event commits to them.`);
+    }
+}
+
+async function openMemory() {
+    const eventLog = new EventLog();
+    await eventLog.load();
+    const constraintStore = new ConstraintStore(eventLog);
+    await constraintStore.loadSnapshot();
+    constraintStore.rebuild();
+    // No embedding function: maintenance commands never embed new text
+    const vectorStore = new IndexedVectorStore(path.join(process.cwd(), "vector_store.jsonl"), null);
+    await vectorStore.load();
+    return { eventLog, constraintStore, vectorStore };
+}
+
+const commands = {
+    async compact({ flags }) {
+        const { eventLog, constraintStore } = await openMemory();
+        const result = await compactEventLog(eventLog, constraintStore, {
+            moodRetentionDays: parseNumberFlag(flags, "mood-retention-days"),
+        });
+        console.log(`Archived ${result.archived} events, ${result.kept} remain in the live log.`);
+        for (const segment of result.segments) {
+            console.log(`  -> ${segment}`);
+        }
+    },
+
+    async snapshot() {
+        const { constraintStore } = await openMemory();
+        await constraintStore.saveSnapshot();
+        console.log(`Wrote snapshot of ${constraintStore.getAll().length} active constraints to ${constraintStore.snapshotPath}`);
+    },
+
+    async verify() {
+        const eventLog = new EventLog();
+        await eventLog.load(); // Verifies the chain from the start
+        const result = eventLog.verification;
+        printVerification(result);
+        if (result.broken) {
+            process.exitCode = 2;
+        }
+    },
+
+    async reseal() {
+        const eventLog = new EventLog();
+        await eventLog.load();
+        const before = eventLog.verification;
+        if (before.broken) {
+            console.log(`Accepting log content past the break at ${before.broken.event_id} (${before.broken.reason}).`);
+        }
+        printVerification(await eventLog.reseal());
+    },
+
+    async export({ positional }) {
+        const [file] = positional;
+        if (!file) {
+            throw new Error("export needs a bundle file path");
+        }
+        const bundle = await exportBundle(await openMemory());
+        await writeBundle(file, bundle);
+        console.log(`Exported ${bundle.events.length} events, ${bundle.constraints.length} active constraints and ${bundle.vectors.length} vectors to ${file}`);
+    },
+
+    async import({ positional, flags }) {
+        const [file] = positional;
+        if (!file) {
+            throw new Error("import needs a bundle file path");
+        }
+        if (typeof flags.policy !== "string") {
+            throw new Error(`import needs --policy (${Object.values(ConflictPolicies).join(", ")})`);
+        }
+        const bundle = await readBundle(file);
+        const result = await importBundle(bundle, await openMemory(), { policy: flags.policy });
+        process.stdout.write(formatImportResult(result));
+    },
+
+    async proposals() {
+        const { eventLog, constraintStore } = await openMemory();
+        const pending = new ProposalQueue(eventLog, constraintStore).getPending();
+        console.log(`${pending.length} pending proposals.`);
+        for (const proposal of pending) {
+            console.log(`${describeProposal(proposal)} (proposed ${proposal.created_at})`);
+        }
+    },
+
+    // Approved adds are not checked for contradictions here: that needs the
+    // server's embedding and LLM configuration
+    async approve({ positional }) {
+        const [id] = positional;
+        if (!id) {
+            throw new Error("approve needs a proposal ID");
+        }
+        const { eventLog, constraintStore } = await openMemory();
+        const { proposal } = await new ProposalQueue(eventLog, constraintStore).approve(id);
+        console.log(`Approved and applied:\n${describeProposal(proposal)}`);
+    },
+
+    async reject({ positional, flags }) {
+        const [id] = positional;
+        if (!id) {
+            throw new Error("reject needs a proposal ID");
+        }
+        const { eventLog, constraintStore } = await openMemory();
+        const reason = typeof flags.reason === "string" ? flags.reason : undefined;
+        await new ProposalQueue(eventLog, constraintStore).reject(id, reason);
+        console.log(`Rejected ${id}. Memory is unchanged.`);
+    },
+
+    async "mood-report"({ flags }) {
+        const format = flags.format ?? "markdown";
+        if (!["markdown", "json"].includes(format)) {
+            throw new Error("--format must be markdown or json");
+        }
+        const eventLog = new EventLog();
+        await eventLog.load();
+        const topCauses = parseNumberFlag(flags, "top-causes");
+        const report = await buildMoodReport(new MoodTracker(eventLog), {
+            from: typeof flags.from === "string" ? flags.from : undefined,
+            to: typeof flags.to === "string" ? flags.to : undefined,
+            bucket: typeof flags.bucket === "string" ? flags.bucket : undefined,
+            profile: loadEscalationConfig().resolve({ profileName: typeof flags.profile === "string" ? flags.profile : null }),
+            topCauses: topCauses === undefined ? undefined : Math.max(1, Math.floor(topCauses)),
+        });
+        process.stdout.write(format === "json" ? `${JSON.stringify(report, null, 2)}\n` : formatMoodReport(report));
+    },
+};
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const handler = commands[command];
+    if (!handler) {
+        console.error(USAGE);
+        process.exit(command ? 1 : 0);
+    }
+    await handler(parseArgs(rest));
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
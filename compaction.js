@@ -0,0 +1,85 @@
+import { EventTypes } from "./event_log.js";
+import { applyConstraintEvent, CONSTRAINT_EVENT_TYPES } from "./constraint_store.js";
+
+/**
+ * Event Log Compaction Policy
+ *
+ * Decides which events can leave the live log:
+ * - MOOD_RECORDED events older than the retention window
+ * - The full history of constraints that are no longer active
+ *   (obsoleted or contradicted and never re-added)
+ * - Memory update proposals that were approved or rejected
+ * - Consultations no event left in the live log refers to
+ *
+ * Resolved distress episodes are kept: they summarize the moods that were
+ * archived, and remain what the conscience reinforces.
+ *
+ * Archived events stay available through EventLog.replayAll() for audits.
+ */
+
+const DEFAULT_MOOD_RETENTION_DAYS = 7;
+
+/**
+ * Select the event IDs to archive.
+ *
+ * @param {Array} events - Full live log
+ * @param {object} [options] - { moodRetentionDays, now }
+ * @returns {Set<string>} Event IDs to move to the archive
+ */
+export function selectCompactableEvents(events, options = {}) {
+    const { moodRetentionDays = DEFAULT_MOOD_RETENTION_DAYS, now = Date.now() } = options;
+    const moodCutoff = now - moodRetentionDays * 24 * 60 * 60 * 1000;
+
+    // Keys still present in the (unpruned) projection keep their whole history
+    const activeKeys = new Set(events.reduce(applyConstraintEvent, new Map()).keys());
+    // Pending proposals must stay visible for review
+    const resolvedProposals = new Set(events
+        .filter(e => e.event_type === EventTypes.PROPOSAL_APPROVED || e.event_type === EventTypes.PROPOSAL_REJECTED)
+        .map(e => e.payload.proposal_id));
+
+    const selected = new Set();
+    for (const event of events) {
+        if (event.event_type === EventTypes.MOOD_RECORDED) {
+            if (new Date(event.timestamp).getTime() < moodCutoff) {
+                selected.add(event.event_id);
+            }
+        } else if (CONSTRAINT_EVENT_TYPES.has(event.event_type)) {
+            if (!activeKeys.has(event.payload?.key)) {
+                selected.add(event.event_id);
+            }
+        } else if (event.event_type === EventTypes.PROPOSAL_CREATED) {
+            if (resolvedProposals.has(event.event_id)) {
+                selected.add(event.event_id);
+            }
+        } else if (event.event_type === EventTypes.PROPOSAL_APPROVED || event.event_type === EventTypes.PROPOSAL_REJECTED) {
+            selected.add(event.event_id);
+        }
+    }
+
+    // Provenance moves to the archive together with the last event citing it
+    const cited = new Set(events
+        .filter(e => !selected.has(e.event_id) && e.payload?.consultation_id)
+        .map(e => e.payload.consultation_id));
+    for (const event of events) {
+        if (event.event_type === EventTypes.CONSULTATION_RECORDED && !cited.has(event.event_id)) {
+            selected.add(event.event_id);
+        }
+    }
+    return selected;
+}
+
+/**
+ * Compact the event log and refresh the constraint snapshot so the next
+ * rebuild starts from the compacted log.
+ *
+ * @param {EventLog} eventLog
+ * @param {ConstraintStore} constraintStore
+ * @param {object} [options] - { moodRetentionDays, now }
+ * @returns {Promise<object>} { archived, kept, segments }
+ */
+export async function compactEventLog(eventLog, constraintStore, options = {}) {
+    const result = await eventLog.compact(events => selectCompactableEvents(events, options));
+    constraintStore.rebuild();
+    await constraintStore.saveSnapshot();
+    return result;
+}
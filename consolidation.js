@@ -0,0 +1,202 @@
+import { cosineSimilarity } from "./vector_store.js";
+import { safeParseJSON } from "./safe_json.js";
+import { isPinned } from "./constraint_store.js";
+
+/**
+ * Constraint Consolidation - Semantic Deduplication of Behavioral Memory
+ *
+ * The conscience tends to save the same preference many times in different
+ * words ("Be concise", "Avoid verbosity"). Consolidation clusters active
+ * constraints by embedding similarity and has the LLM merge each cluster
+ * into one canonical rule via ConstraintStore.mergeConstraints(), which
+ * obsoletes the originals with a merged_into reference.
+ *
+ * Constraints are only clustered with others of the same scope and type,
+ * since merging across them would change where or how strictly a rule applies.
+ * Rules written by the user are pinned and never merged.
+ */
+
+// Minimum cosine similarity for two constraints to land in the same cluster
+const DEFAULT_SIMILARITY_THRESHOLD = 0.8;
+// Active constraint count from which consultations trigger a consolidation pass
+const DEFAULT_AUTO_THRESHOLD = Number(process.env.CONSOLIDATION_THRESHOLD) || 15;
+
+const MERGE_SYSTEM_INSTRUCTION = "You are a careful editor of behavioral rules. You merge rules that say the same thing without losing any requirement. You output JSON only.";
+
+/**
+ * Single-link clustering: constraints whose embeddings are at least
+ * `threshold` similar end up in the same cluster. Singletons are dropped.
+ *
+ * @param {Array} items - [{ constraint, embedding }]
+ * @param {number} threshold
+ * @returns {Array<Array>} Clusters of constraint records
+ */
+export function clusterBySimilarity(items, threshold) {
+    const parent = items.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            if (cosineSimilarity(items[i].embedding, items[j].embedding) >= threshold) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const clusters = new Map();
+    items.forEach((item, i) => {
+        const root = find(i);
+        if (!clusters.has(root)) {
+            clusters.set(root, []);
+        }
+        clusters.get(root).push(item.constraint);
+    });
+    return Array.from(clusters.values()).filter(cluster => cluster.length > 1);
+}
+
+export class ConstraintConsolidator {
+    /**
+     * @param {ConstraintStore} constraintStore
+     * @param {object} options
+     * @param {function} options.embed - async (text) => number[]
+     * @param {function} options.generate - async (prompt, systemInstruction) => string
+     * @param {number} [options.similarityThreshold]
+     * @param {number} [options.autoThreshold] - Active constraint count that makes maybeConsolidate() run
+     */
+    constructor(constraintStore, { embed, generate, similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD, autoThreshold = DEFAULT_AUTO_THRESHOLD }) {
+        this.constraintStore = constraintStore;
+        this.embed = embed;
+        this.generate = generate;
+        this.similarityThreshold = similarityThreshold;
+        this.autoThreshold = autoThreshold;
+        this._embeddings = new Map();       // constraint value -> embedding
+        this._declined = new Set();         // cluster signatures the LLM chose not to merge
+        this._running = null;
+    }
+
+    /**
+     * Run a consolidation pass over all active constraints.
+     * Concurrent calls share the pass in progress.
+     *
+     * @param {object} [options] - { dryRun } to only report the clusters found
+     * @returns {Promise<Array>} [{ sources: [{ key, value }], merged: { key, value } | null, declined }]
+     */
+    async consolidate({ dryRun = false } = {}) {
+        if (this._running) {
+            return this._running;
+        }
+        this._running = this._consolidate(dryRun).finally(() => {
+            this._running = null;
+        });
+        return this._running;
+    }
+
+    /**
+     * Consolidate in the background once the store holds autoThreshold or
+     * more active constraints. Failures are logged, never thrown.
+     */
+    maybeConsolidate() {
+        if (this._running || this.constraintStore.getAll().length < this.autoThreshold) {
+            return;
+        }
+        this.consolidate().then(results => {
+            const merged = results.filter(r => r.merged);
+            if (merged.length > 0) {
+                console.error(`Consolidated ${merged.length} constraint clusters`);
+            }
+        }).catch(err => console.error("Constraint consolidation failed:", err));
+    }
+
+    async _consolidate(dryRun) {
+        await this.constraintStore.refresh();
+        const clusters = await this._findClusters();
+        const results = [];
+
+        for (const cluster of clusters) {
+            const sources = cluster.map(c => ({ key: c.key, value: c.value }));
+            const signature = cluster.map(c => `${c.key}=${c.value}`).sort().join("\n");
+            if (dryRun) {
+                results.push({ sources, merged: null, declined: this._declined.has(signature) });
+                continue;
+            }
+            if (this._declined.has(signature)) {
+                continue;
+            }
+
+            const proposal = await this._proposeMerge(cluster);
+            if (!proposal) {
+                this._declined.add(signature);
+                results.push({ sources, merged: null, declined: true });
+                continue;
+            }
+
+            const merged = await this.constraintStore.mergeConstraints(cluster.map(c => c.key), proposal);
+            results.push({ sources, merged: { key: merged.key, value: merged.value }, declined: false });
+        }
+        return results;
+    }
+
+    /**
+     * Cluster active constraints within each scope/type group.
+     * Without a working embedding model nothing is clustered.
+     */
+    async _findClusters() {
+        const groups = new Map();
+        for (const constraint of this.constraintStore.getAll().filter(c => !isPinned(c))) {
+            const group = `${constraint.scope}|${constraint.scope_id}|${constraint.type}`;
+            if (!groups.has(group)) {
+                groups.set(group, []);
+            }
+            groups.get(group).push(constraint);
+        }
+
+        const clusters = [];
+        for (const members of groups.values()) {
+            if (members.length < 2) continue;
+            const items = [];
+            for (const constraint of members) {
+                const embedding = await this._embed(constraint.value);
+                if (embedding.every(x => x === 0)) {
+                    return [];
+                }
+                items.push({ constraint, embedding });
+            }
+            clusters.push(...clusterBySimilarity(items, this.similarityThreshold));
+        }
+        return clusters;
+    }
+
+    async _embed(text) {
+        if (!this._embeddings.has(text)) {
+            this._embeddings.set(text, await this.embed(text));
+        }
+        return this._embeddings.get(text);
+    }
+
+    /**
+     * Ask the LLM for one canonical rule covering the cluster.
+     *
+     * @returns {Promise<object|null>} { key, value }, or null if the rules should stay separate
+     */
+    async _proposeMerge(cluster) {
+        const prompt = `These behavioral rules about a user were saved separately but look alike:
+${cluster.map(c => `- [${c.key}] ${c.value}`).join("\n")}
+
+If they express the same preference, write ONE canonical rule that keeps every requirement they contain, phrased clearly and concisely, and a short snake_case key for it.
+If they are actually different rules that must stay separate, say so.
+
+Output JSON only:
+{ "merge": true, "key": "snake_case_key", "value": "The canonical rule" }
+or
+{ "merge": false }`;
+
+        const parsed = safeParseJSON(await this.generate(prompt, MERGE_SYSTEM_INSTRUCTION));
+        if (!parsed.merge || typeof parsed.value !== "string" || !parsed.value.trim()) {
+            return null;
+        }
+        const key = typeof parsed.key === "string" && /^[a-z0-9_]+$/.test(parsed.key)
+            ? parsed.key
+            : `merged_rule_${Date.now()}`;
+        return { key, value: parsed.value.trim() };
+    }
+}
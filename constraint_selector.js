@@ -0,0 +1,129 @@
+import { cosineSimilarity } from "./vector_store.js";
+import { effectiveStrength } from "./constraint_store.js";
+
+/**
+ * Constraint Selector - Token-Budgeted Injection of Behavioral Memory
+ *
+ * Injecting every applicable constraint crowds out the conversation as the
+ * store grows. The selector keeps the injected rules within a token budget:
+ * - Hard constraints are always injected (SSR §4.2.1: they persist unless
+ *   explicitly terminated, so they are never silently dropped)
+ * - Soft constraints are ranked by relevance to the consultation (embedding
+ *   similarity to the user's message and the agent's plan, or word overlap
+ *   without a working embedding model) and fill the remaining budget
+ *
+ * Selected constraints keep the precedence order of getApplicable(); the
+ * omitted ones are reported so the prompt can say the list is partial.
+ */
+
+const DEFAULT_TOKEN_BUDGET = Number(process.env.CONSTRAINT_TOKEN_BUDGET) || 1000;
+
+/**
+ * Rough token count of a text: about four characters per token for English.
+ */
+export function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+function words(text) {
+    return new Set(text.toLowerCase().match(/[a-z0-9]{3,}/g) ?? []);
+}
+
+/**
+ * Share of the constraint's words that occur in the query.
+ */
+function wordOverlap(queryWords, text) {
+    const constraintWords = words(text);
+    if (constraintWords.size === 0) return 0;
+    let shared = 0;
+    for (const word of constraintWords) {
+        if (queryWords.has(word)) shared++;
+    }
+    return shared / constraintWords.size;
+}
+
+export class ConstraintSelector {
+    /**
+     * @param {object} options
+     * @param {function} [options.embed] - async (text) => number[]; word overlap is used without it
+     * @param {function} options.format - (constraints) => string, the rendering whose tokens are budgeted
+     * @param {number} [options.tokenBudget]
+     */
+    constructor({ embed = null, format, tokenBudget = DEFAULT_TOKEN_BUDGET }) {
+        this.embed = embed;
+        this.format = format;
+        this.tokenBudget = tokenBudget;
+        this._embeddings = new Map(); // constraint value -> embedding
+    }
+
+    /**
+     * Select the constraints to inject for a consultation.
+     *
+     * @param {Array} constraints - Applicable constraints in precedence order
+     * @param {string} query - What the consultation is about (user message and agent plan)
+     * @returns {Promise<object>} { selected, omitted } both in precedence order
+     */
+    async select(constraints, query) {
+        const hard = constraints.filter(c => c.type === "hard");
+        const soft = constraints.filter(c => c.type !== "hard");
+
+        let used = estimateTokens(this.format(hard));
+        if (soft.length === 0 || used + estimateTokens(this.format(soft)) <= this.tokenBudget) {
+            return { selected: constraints, omitted: [] };
+        }
+
+        const ranked = await this._rank(soft, query);
+        const chosen = new Set(hard.map(c => c.key));
+        for (const constraint of ranked) {
+            const cost = estimateTokens(this.format([constraint]));
+            if (used + cost <= this.tokenBudget) {
+                chosen.add(constraint.key);
+                used += cost;
+            }
+        }
+
+        return {
+            selected: constraints.filter(c => chosen.has(c.key)),
+            omitted: constraints.filter(c => !chosen.has(c.key)),
+        };
+    }
+
+    /**
+     * Most relevant first; equally relevant constraints by current strength.
+     */
+    async _rank(constraints, query) {
+        const relevance = await this._relevance(constraints, query);
+        const now = Date.now();
+        return constraints
+            .map((constraint, i) => ({ constraint, score: relevance[i], strength: effectiveStrength(constraint, now) }))
+            .sort((a, b) => b.score - a.score || b.strength - a.strength)
+            .map(r => r.constraint);
+    }
+
+    async _relevance(constraints, query) {
+        if (this.embed) {
+            try {
+                // Queries differ on every consultation, so only constraint embeddings are cached
+                const target = await this.embed(query);
+                if (!target.every(x => x === 0)) {
+                    const scores = [];
+                    for (const constraint of constraints) {
+                        scores.push(cosineSimilarity(target, await this._embed(constraint.value)));
+                    }
+                    return scores;
+                }
+            } catch (error) {
+                console.error("Embedding constraints for relevance failed, ranking by word overlap:", error.message);
+            }
+        }
+        const queryWords = words(query);
+        return constraints.map(c => wordOverlap(queryWords, c.value));
+    }
+
+    async _embed(text) {
+        if (!this._embeddings.has(text)) {
+            this._embeddings.set(text, await this.embed(text));
+        }
+        return this._embeddings.get(text);
+    }
+}
@@ -1,4 +1,8 @@
+import fs from "node:fs/promises";
+import path from "path";
 import { EventLog, EventTypes } from "./event_log.js";
+import { writeFileAtomic } from "./durable_fs.js";
+import { pickLoser } from "./contradiction_detector.js";
 
 /**
  * Constraint Store - SSR Constraint Graph Implementation
@@ -6,108 +10,510 @@ import { EventLog, EventTypes } from "./event_log.js";
  * Per SSR §4.2: "Instead of a 'random seed,' unvisited worlds are defined by a Constraint Graph."
  * 
  * This store maintains user preferences and behavioral rules as constraints,
- * projecting canonical state from the Event Log.
+ * projecting canonical state from the Event Log. Periodic snapshots of the
+ * projection bound how much of the log has to be replayed on rebuild.
  */
 
 // Pruning thresholds per SSR §4.2.1
 const STRENGTH_THRESHOLD = 0.15;
 
+// Soft constraint strength halves after this many days without reinforcement
+const SOFT_HALF_LIFE_DAYS = Number(process.env.SOFT_CONSTRAINT_HALF_LIFE_DAYS) || 30;
+// Each reinforcement closes this fraction of the gap between the current strength and 1.0
+const REINFORCEMENT_RATE = 0.2;
+// Soft constraints at least this strong and reinforced this often are suggested for promotion to hard
+const PROMOTION_STRENGTH = 0.9;
+const PROMOTION_MIN_REINFORCEMENTS = 5;
+
+// Write a projection snapshot once this many events were replayed on top of the last one
+const DEFAULT_SNAPSHOT_INTERVAL = 100;
+const SNAPSHOT_FORMAT_VERSION = 7;
+
 /**
  * Constraint Record format per SSR §4.2.1:
- * { key, value, strength, type: "hard"|"soft", source_event_id, ttl }
+ * { key, value, strength, type: "hard"|"soft", source_event_id, ttl, scope, scope_id,
+ *   author, last_reinforced_at, reinforcement_count }
+ *
+ * author is the source of the event that added the constraint ("user" for
+ * rules written through the constraint tools). User-authored constraints are
+ * pinned: automatic processes never replace, merge or remove them.
+ *
+ * strength is the value as of last_reinforced_at. Soft constraints decay
+ * from there (see effectiveStrength); hard constraints never decay.
+ *
+ * scope is "global" (every consultation), "project" (scope_id = project
+ * directory) or "session" (scope_id = session ID). Keys are unique across
+ * scopes.
+ */
+
+export const Scopes = ["global", "project", "session"];
+
+// Event types that belong to a constraint's history (payload.key)
+export const CONSTRAINT_EVENT_TYPES = new Set([
+    EventTypes.CONSTRAINT_ADDED,
+    EventTypes.CONSTRAINT_UPDATED,
+    EventTypes.CONSTRAINT_OBSOLETED,
+    EventTypes.CONSTRAINT_CONTRADICTED,
+    EventTypes.CONSTRAINT_REINFORCED,
+]);
+
+// Injection order within a constraint type: the narrowest scope comes first and wins a conflict
+const SCOPE_PRECEDENCE = { session: 0, project: 1, global: 2 };
+
+/**
+ * Whether a constraint is pinned against automatic changes (written by the user).
+ */
+export function isPinned(constraint) {
+    return constraint.author === "user";
+}
+
+/**
+ * Normalize a scope ID so the same project directory always matches
+ * (trailing slashes, relative segments).
+ */
+export function normalizeScopeId(scope, scopeId) {
+    if (scope === "project" && scopeId) {
+        return path.resolve(scopeId);
+    }
+    return scopeId ?? null;
+}
+
+/**
+ * Reducer for the constraint projection.
+ * Mutates and returns the state Map (key -> constraint record).
  */
+export function applyConstraintEvent(state, event) {
+    switch (event.event_type) {
+        case EventTypes.CONSTRAINT_ADDED: {
+            const { key, value, strength, type, ttl, scope, scope_id, consultation_id } = event.payload;
+            state.set(key, {
+                key,
+                value,
+                strength: strength ?? 1.0,
+                type: type ?? "hard",
+                source_event_id: event.event_id,
+                ttl: ttl ?? null,
+                scope: scope ?? "global",
+                scope_id: scope_id ?? null,
+                author: event.source ?? "conscience",
+                consultation_id: consultation_id ?? null,
+                created_at: event.timestamp,
+                last_reinforced_at: event.timestamp,
+                reinforcement_count: 0,
+            });
+            break;
+        }
+        case EventTypes.CONSTRAINT_UPDATED: {
+            const { key, value, strength, type, ttl } = event.payload;
+            const existing = state.get(key);
+            if (existing) {
+                state.set(key, {
+                    ...existing,
+                    value: value ?? existing.value,
+                    strength: strength ?? existing.strength,
+                    type: type ?? existing.type,
+                    ttl: ttl !== undefined ? ttl : existing.ttl,
+                    source_event_id: event.event_id,
+                    // An explicit strength restarts decay
+                    last_reinforced_at: strength !== undefined ? event.timestamp : existing.last_reinforced_at,
+                });
+            }
+            break;
+        }
+        case EventTypes.CONSTRAINT_REINFORCED: {
+            const { key, strength } = event.payload;
+            const existing = state.get(key);
+            if (existing) {
+                state.set(key, {
+                    ...existing,
+                    strength,
+                    last_reinforced_at: event.timestamp,
+                    reinforcement_count: existing.reinforcement_count + 1,
+                });
+            }
+            break;
+        }
+        case EventTypes.CONSTRAINT_OBSOLETED:
+        case EventTypes.CONSTRAINT_CONTRADICTED: {
+            const { key } = event.payload;
+            state.delete(key);
+            break;
+        }
+    }
+    return state;
+}
+
+/**
+ * Strength of a constraint at a given time. Soft constraints decay
+ * exponentially (SOFT_HALF_LIFE_DAYS) since their last reinforcement.
+ *
+ * @param {object} constraint - Constraint record
+ * @param {number} [nowMs] - Epoch ms
+ * @returns {number}
+ */
+export function effectiveStrength(constraint, nowMs = Date.now()) {
+    if (constraint.type !== "soft") {
+        return constraint.strength;
+    }
+    const since = new Date(constraint.last_reinforced_at ?? constraint.created_at).getTime();
+    const elapsedDays = Math.max(0, nowMs - since) / (24 * 60 * 60 * 1000);
+    return constraint.strength * Math.pow(0.5, elapsedDays / SOFT_HALF_LIFE_DAYS);
+}
+
+/**
+ * Whether a soft constraint has been reinforced enough to suggest making it hard.
+ */
+export function isPromotionCandidate(constraint, nowMs = Date.now()) {
+    return constraint.type === "soft" &&
+        constraint.reinforcement_count >= PROMOTION_MIN_REINFORCEMENTS &&
+        effectiveStrength(constraint, nowMs) >= PROMOTION_STRENGTH;
+}
+
+/**
+ * Pruning policy per SSR §4.2.1, evaluated at a given time:
+ * - Soft constraints dropped when their decayed strength < STRENGTH_THRESHOLD or ttl expires
+ * - Hard constraints persist unless explicitly terminated (or their ttl expires)
+ */
+function isPrunable(constraint, nowMs) {
+    if (constraint.ttl !== null) {
+        const createdTime = new Date(constraint.created_at).getTime();
+        const expiresAt = createdTime + (constraint.ttl * 1000); // ttl in seconds
+        if (nowMs > expiresAt) {
+            return true;
+        }
+    }
+    return constraint.type === "soft" && effectiveStrength(constraint, nowMs) < STRENGTH_THRESHOLD;
+}
+
+/**
+ * Resolve a history point to epoch ms: the timestamp itself, or the time of
+ * the last event replayed for an event ID.
+ */
+function pointInTime(point, eventsUntil) {
+    if (point.timestamp !== undefined) {
+        return new Date(point.timestamp).getTime();
+    }
+    const last = eventsUntil[eventsUntil.length - 1];
+    return last ? new Date(last.timestamp).getTime() : 0;
+}
+
+/**
+ * Default snapshot location next to the event log
+ * (memory_event_log.jsonl -> memory_event_log.snapshot.json).
+ */
+function deriveSnapshotPath(eventLogPath) {
+    return eventLogPath.replace(/\.jsonl?$/, "") + ".snapshot.json";
+}
 
 export class ConstraintStore {
-    constructor(eventLog) {
+    /**
+     * @param {EventLog} eventLog - Source of truth
+     * @param {object} [options] - { snapshotPath, snapshotInterval, contradictionDetector }
+     */
+    constructor(eventLog, options = {}) {
         this.eventLog = eventLog;
+        this.contradictionDetector = options.contradictionDetector ?? null;
         this.constraints = new Map(); // key -> constraint record
+        this.snapshotPath = options.snapshotPath ?? deriveSnapshotPath(eventLog.filePath);
+        this.snapshotInterval = options.snapshotInterval ?? DEFAULT_SNAPSHOT_INTERVAL;
+        this.snapshot = null;          // { event_id, event_hash, constraints: Map }
+        this._projection = new Map();  // Reducer output before pruning (what snapshots store)
+        this._lastEventId = null;
+        this._lastEventHash = null;
+        this._eventsSinceSnapshot = 0;
+        this._snapshotting = false;
+        this._changeListeners = [];
+    }
+
+    /**
+     * Register a callback run whenever the projection may have changed
+     * (after a rebuild, or when pruning dropped constraints).
+     *
+     * @param {function} listener - () => void
+     */
+    onChange(listener) {
+        this._changeListeners.push(listener);
+    }
+
+    _notifyChange() {
+        for (const listener of this._changeListeners) {
+            try {
+                listener();
+            } catch (error) {
+                console.error("Constraint change listener failed:", error);
+            }
+        }
     }
 
     /**
      * Rebuild the canonical state by replaying the Event Log.
      * Per SSR §3.1: "Canonical State: A Materialized View (Projection) derived from the Event Log."
+     *
+     * When a snapshot is loaded and its event is still in the verified part
+     * of the log with the same chain hash, only the events after it are
+     * replayed on top of the snapshot state. Otherwise (no snapshot, the log
+     * was rewritten past it, events were merged in before it, or its event is
+     * past a broken hash link) the full log is replayed.
      */
     rebuild() {
-        this.constraints = this.eventLog.replay((state, event) => {
-            switch (event.event_type) {
-                case EventTypes.CONSTRAINT_ADDED: {
-                    const { key, value, strength, type, ttl } = event.payload;
-                    state.set(key, {
-                        key,
-                        value,
-                        strength: strength ?? 1.0,
-                        type: type ?? "hard",
-                        source_event_id: event.event_id,
-                        ttl: ttl ?? null,
-                        created_at: event.timestamp,
-                    });
-                    break;
-                }
-                case EventTypes.CONSTRAINT_UPDATED: {
-                    const { key, value, strength, type, ttl } = event.payload;
-                    const existing = state.get(key);
-                    if (existing) {
-                        state.set(key, {
-                            ...existing,
-                            value: value ?? existing.value,
-                            strength: strength ?? existing.strength,
-                            type: type ?? existing.type,
-                            ttl: ttl !== undefined ? ttl : existing.ttl,
-                            source_event_id: event.event_id,
-                        });
-                    }
-                    break;
-                }
-                case EventTypes.CONSTRAINT_OBSOLETED:
-                case EventTypes.CONSTRAINT_CONTRADICTED: {
-                    const { key } = event.payload;
-                    state.delete(key);
-                    break;
-                }
-            }
-            return state;
-        }, new Map());
+        const useSnapshot = this.snapshot && this._snapshotMatchesLog();
+        const initialState = useSnapshot ? new Map(this.snapshot.constraints) : new Map();
+        const sinceEventId = useSnapshot ? this.snapshot.event_id : null;
+
+        let replayed = 0;
+        this._projection = this.eventLog.replay((state, event) => {
+            replayed++;
+            return applyConstraintEvent(state, event);
+        }, initialState, sinceEventId);
+
+        const events = this.eventLog.getTrustedEvents();
+        const lastEvent = events[events.length - 1];
+        this._lastEventId = lastEvent?.event_id ?? null;
+        this._lastEventHash = lastEvent?.hash ?? null;
+        this._eventsSinceSnapshot = replayed;
+
+        this.constraints = new Map(this._projection);
 
         // Apply pruning policy
         this.prune();
+
+        if (this._eventsSinceSnapshot >= this.snapshotInterval) {
+            this.saveSnapshot().catch(err => console.error("Failed to write constraint snapshot:", err));
+        }
+
+        this._notifyChange();
+    }
+
+    /**
+     * Load the projection snapshot from disk, if one exists.
+     * A missing, unreadable or tampered snapshot just means a full replay.
+     */
+    async loadSnapshot() {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.snapshotPath, "utf-8"));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                console.error("Ignoring unreadable constraint snapshot:", error.message);
+            }
+            this.snapshot = null;
+            return;
+        }
+
+        if (data.version !== SNAPSHOT_FORMAT_VERSION || !data.event_id || !Array.isArray(data.constraints)) {
+            console.error(`Ignoring constraint snapshot with unsupported format in ${this.snapshotPath}`);
+            this.snapshot = null;
+            return;
+        }
+
+        // Signed with the event log's chain key so it cannot be edited to drop a rule
+        if (data.digest !== this._snapshotDigest(data.event_id, data.event_hash, data.constraints)) {
+            console.error(`Ignoring constraint snapshot with invalid digest in ${this.snapshotPath}`);
+            this.snapshot = null;
+            return;
+        }
+
+        this.snapshot = {
+            event_id: data.event_id,
+            event_hash: data.event_hash,
+            constraints: new Map(data.constraints.map(c => [c.key, c])),
+        };
+    }
+
+    /**
+     * Write the current projection as a snapshot covering every event up to
+     * the last one replayed.
+     */
+    async saveSnapshot() {
+        if (!this._lastEventId || this._snapshotting) {
+            return;
+        }
+
+        this._snapshotting = true;
+        try {
+            const snapshot = {
+                event_id: this._lastEventId,
+                event_hash: this._lastEventHash,
+                constraints: new Map(this._projection),
+            };
+            const constraints = Array.from(snapshot.constraints.values());
+            await writeFileAtomic(this.snapshotPath, JSON.stringify({
+                version: SNAPSHOT_FORMAT_VERSION,
+                event_id: snapshot.event_id,
+                event_hash: snapshot.event_hash,
+                created_at: new Date().toISOString(),
+                constraints,
+                digest: this._snapshotDigest(snapshot.event_id, snapshot.event_hash, constraints),
+            }, null, 2));
+            this.snapshot = snapshot;
+            this._eventsSinceSnapshot = 0;
+        } finally {
+            this._snapshotting = false;
+        }
+    }
+
+    _snapshotDigest(eventId, eventHash, constraints) {
+        return this.eventLog.chain.digest({ event_id: eventId, event_hash: eventHash, constraints });
+    }
+
+    /**
+     * The chain hash pins the snapshot to the exact history before its event:
+     * any rewrite that changes that history re-seals the chain and changes it.
+     */
+    _snapshotMatchesLog() {
+        const event = this.eventLog.findTrustedEvent(this.snapshot.event_id);
+        return Boolean(event) && (event.hash ?? null) === this.snapshot.event_hash;
+    }
+
+    /**
+     * Pick up events appended by sibling server processes and rebuild
+     * the projection if any arrived. Prunes either way, since constraints
+     * expire and decay without any new event.
+     *
+     * @returns {Promise<number>} Number of new events merged
+     */
+    async refresh() {
+        const fresh = await this.eventLog.refresh();
+        if (fresh.length > 0) {
+            this.rebuild();
+        } else if (this.prune() > 0) {
+            this._notifyChange();
+        }
+        return fresh.length;
     }
 
     /**
      * Prune expired or weak constraints.
      * Per SSR §4.2.1:
-     * - Soft constraints dropped when strength < STRENGTH_THRESHOLD or ttl expires
+     * - Soft constraints dropped when their decayed strength < STRENGTH_THRESHOLD or ttl expires
      * - Hard constraints persist unless explicitly terminated
+     *
+     * @returns {number} Number of constraints dropped
      */
     prune() {
         const now = Date.now();
+        let pruned = 0;
         for (const [key, constraint] of this.constraints) {
-            // Check TTL expiration
-            if (constraint.ttl !== null) {
-                const createdTime = new Date(constraint.created_at).getTime();
-                const expiresAt = createdTime + (constraint.ttl * 1000); // ttl in seconds
-                if (now > expiresAt) {
-                    this.constraints.delete(key);
-                    continue;
-                }
+            if (isPrunable(constraint, now)) {
+                this.constraints.delete(key);
+                pruned++;
             }
+        }
+        return pruned;
+    }
 
-            // Check strength threshold for soft constraints only
-            if (constraint.type === "soft" && constraint.strength < STRENGTH_THRESHOLD) {
-                this.constraints.delete(key);
+    /**
+     * Materialize the constraint set as it was at a point in history.
+     * Replays the full history (archived segments included) up to that point
+     * and applies the pruning policy as of that moment.
+     *
+     * @param {object} point - { timestamp } (ISO string or ms) or { eventId }
+     * @returns {Promise<Map>} key -> constraint record
+     */
+    async materializeAt(point) {
+        const events = await this.eventLog.getEventsUntil(point);
+        const state = events.reduce(applyConstraintEvent, new Map());
+        const asOf = pointInTime(point, events);
+        for (const [key, constraint] of state) {
+            if (isPrunable(constraint, asOf)) {
+                state.delete(key);
+            }
+        }
+        return state;
+    }
+
+    /**
+     * Diff the constraint set between two points in history.
+     *
+     * @param {object} from - { timestamp } or { eventId }
+     * @param {object} [to] - { timestamp } or { eventId }; defaults to now
+     * @returns {Promise<object>} { added, updated, obsoleted }
+     *   added:     [{ key, value, type, strength, source_event_id }]
+     *   updated:   [{ key, changes: { field: { from, to } }, source_event_id }]
+     *   obsoleted: [{ key, value, reason, source_event_id }] (source_event_id null when pruned by TTL/strength)
+     */
+    async diff(from, to = { timestamp: Date.now() }) {
+        const [before, after, untilFrom, untilTo] = await Promise.all([
+            this.materializeAt(from),
+            this.materializeAt(to),
+            this.eventLog.getEventsUntil(from),
+            this.eventLog.getEventsUntil(to),
+        ]);
+
+        const added = [];
+        const updated = [];
+        const obsoleted = [];
+
+        for (const [key, record] of after) {
+            const previous = before.get(key);
+            if (!previous) {
+                added.push({
+                    key,
+                    value: record.value,
+                    type: record.type,
+                    strength: record.strength,
+                    source_event_id: record.source_event_id,
+                });
+                continue;
+            }
+
+            const changes = {};
+            for (const field of ["value", "type", "strength", "ttl", "scope", "scope_id"]) {
+                if (previous[field] !== record[field]) {
+                    changes[field] = { from: previous[field], to: record[field] };
+                }
+            }
+            if (Object.keys(changes).length > 0) {
+                updated.push({ key, changes, source_event_id: record.source_event_id });
             }
         }
+
+        // Removal events between the two points explain why a constraint is gone
+        const between = untilTo.slice(untilFrom.length);
+        for (const [key, record] of before) {
+            if (after.has(key)) continue;
+            const removal = between.findLast(e =>
+                e.payload?.key === key &&
+                (e.event_type === EventTypes.CONSTRAINT_OBSOLETED || e.event_type === EventTypes.CONSTRAINT_CONTRADICTED)
+            );
+            obsoleted.push({
+                key,
+                value: record.value,
+                reason: removal ? (removal.payload.reason || removal.event_type) : "expired or pruned",
+                source_event_id: removal?.event_id ?? null,
+            });
+        }
+
+        return { added, updated, obsoleted };
     }
 
     /**
      * Add a new constraint.
      * Validates and commits via Event Log.
+     *
+     * With a contradiction detector, the new constraint is checked against
+     * the active constraints of the same scope. Per SSR §6 the loser of each
+     * contradiction (hard beats soft, otherwise newer beats older) is marked
+     * with a CONSTRAINT_CONTRADICTED event. Narrower scopes deliberately
+     * override broader ones through precedence, so they are not compared.
+     *
+     * A constraint that restates an active one of the same scope (same text,
+     * or a near-duplicate by embedding) is not added again: the existing
+     * constraint is reinforced instead.
      * 
      * @param {string} key - Unique identifier for the constraint
      * @param {string} value - The constraint content/rule
-     * @param {object} options - { strength, type, ttl }
+     * @param {object} options - { strength, type, ttl, scope, scope_id, source, consultation_id }
+     *   source: event source, "conscience" (default) or "user"
+     *   consultation_id: CONSULTATION_RECORDED event the rule came from, if any
+     * @returns {Promise<object>} { key, reinforced, resolutions }
+     *   key:         key of the constraint now holding the rule
+     *   reinforced:  the existing constraint record when the rule was re-derived, else null
+     *   resolutions: [{ winner, loser, reason }] (constraint records) for resolved contradictions
      */
     async add(key, value, options = {}) {
-        const { strength = 1.0, type = "hard", ttl = null } = options;
+        const { strength = 1.0, type = "hard", ttl = null, scope = "global", source = "conscience", consultation_id = null } = options;
+        const scope_id = normalizeScopeId(scope, options.scope_id);
 
         // Validation per SSR §4.3 - Engine validates before commit
         if (!key || typeof key !== "string") {
@@ -122,64 +528,278 @@ export class ConstraintStore {
         if (strength < 0 || strength > 1) {
             throw new Error("Constraint strength must be between 0 and 1");
         }
+        if (!Scopes.includes(scope)) {
+            throw new Error(`Constraint scope must be one of: ${Scopes.join(", ")}`);
+        }
+        if (scope !== "global" && !scope_id) {
+            throw new Error(`A ${scope} constraint needs a scope_id (${scope === "project" ? "project directory" : "session ID"})`);
+        }
 
-        const event = await this.eventLog.append(
-            EventTypes.CONSTRAINT_ADDED,
-            { key, value, strength, type, ttl }
-        );
+        this._assertNotPinned(key, source, "replaced");
 
-        // Update local state
-        this.constraints.set(key, {
-            key,
-            value,
-            strength,
-            type,
-            source_event_id: event.event_id,
-            ttl,
-            created_at: event.timestamp,
+        const payload = { key, value, strength, type, ttl, scope, scope_id: scope === "global" ? null : scope_id, consultation_id };
+
+        const original = await this._findRederived(payload);
+        if (original) {
+            const [reinforced] = await this.reinforce([original.key], "rederived", { consultation_id });
+            return { key: original.key, reinforced: reinforced ?? original, resolutions: [] };
+        }
+
+        const contradictions = await this._detectContradictions(payload);
+
+        const added = await this.eventLog.append(EventTypes.CONSTRAINT_ADDED, payload, source);
+        const incoming = { ...payload, author: source, source_event_id: added.event_id };
+
+        // A losing new constraint is contradicted once; it then cannot knock out anything else
+        const resolutions = contradictions.map(({ constraint, reason }) => {
+            const loser = pickLoser(incoming, constraint);
+            return { winner: loser === incoming ? constraint : incoming, loser, reason };
         });
+        const lostBy = resolutions.find(r => r.loser === incoming);
+        const applied = lostBy ? [lostBy] : resolutions;
+        for (const { winner, loser, reason } of applied) {
+            await this.eventLog.append(
+                EventTypes.CONSTRAINT_CONTRADICTED,
+                { key: loser.key, reason, contradicted_by: winner.key },
+                source
+            );
+        }
+
+        // Rebuild rather than patch: the append may have merged sibling events
+        this.rebuild();
+        return { key, reinforced: null, resolutions: applied };
+    }
+
+    /**
+     * Reinforce constraints that a consultation cited or the conscience
+     * re-derived. Soft constraints regain strength (closing REINFORCEMENT_RATE
+     * of the gap to 1.0 from their decayed strength) and restart decay; hard
+     * constraints only record the reinforcement. Unknown keys are ignored.
+     *
+     * @param {Array<string>} keys - Constraint keys
+     * @param {string} reason - "cited" or "rederived"
+     * @param {object} [options] - { consultation_id } of the consultation that reinforced them
+     * @returns {Promise<Array>} The reinforced constraint records
+     */
+    async reinforce(keys, reason, { consultation_id = null } = {}) {
+        const now = Date.now();
+        const targets = [...new Set(keys)].filter(key => this.constraints.has(key));
+        for (const key of targets) {
+            const constraint = this.constraints.get(key);
+            const current = effectiveStrength(constraint, now);
+            const strength = constraint.type === "soft"
+                ? Math.min(1, current + REINFORCEMENT_RATE * (1 - current))
+                : constraint.strength;
+            await this.eventLog.append(
+                EventTypes.CONSTRAINT_REINFORCED,
+                { key, strength: Number(strength.toFixed(4)), reason, consultation_id }
+            );
+        }
+
+        if (targets.length > 0) {
+            this.rebuild();
+        }
+        return targets.map(key => this.constraints.get(key)).filter(Boolean);
+    }
+
+    /**
+     * Get soft constraints reinforced often enough to suggest promoting them to hard.
+     */
+    getPromotionCandidates() {
+        const now = Date.now();
+        return this.getAll().filter(c => isPromotionCandidate(c, now));
+    }
+
+    /**
+     * Active constraints the new one could coexist with in a consultation:
+     * same scope, different key.
+     */
+    _scopePeers(incoming) {
+        return this.getAll().filter(c =>
+            c.key !== incoming.key && c.scope === incoming.scope && c.scope_id === incoming.scope_id);
+    }
+
+    /**
+     * Find an active constraint the new one restates: the same key or a peer
+     * with the same text, or (with a detector) a near-duplicate peer.
+     */
+    async _findRederived(incoming) {
+        const normalize = text => text.trim().replace(/\s+/g, " ").toLowerCase();
+        const value = normalize(incoming.value);
+        const sameKey = this.constraints.get(incoming.key);
+        if (sameKey && sameKey.scope === incoming.scope && sameKey.scope_id === incoming.scope_id && normalize(sameKey.value) === value) {
+            return sameKey;
+        }
+
+        const peers = this._scopePeers(incoming);
+        const exact = peers.find(c => normalize(c.value) === value);
+        if (exact || !this.contradictionDetector) {
+            return exact ?? null;
+        }
+
+        try {
+            return await this.contradictionDetector.findDuplicate(incoming, peers);
+        } catch (error) {
+            console.error(`Duplicate check for '${incoming.key}' failed:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Run the contradiction detector against the active constraints of the
+     * new constraint's scope. Detection failures never block the add.
+     */
+    async _detectContradictions(incoming) {
+        if (!this.contradictionDetector) {
+            return [];
+        }
+
+        const peers = this._scopePeers(incoming);
+        try {
+            return await this.contradictionDetector.findContradictions(incoming, peers);
+        } catch (error) {
+            console.error(`Contradiction check for '${incoming.key}' failed, adding without it:`, error.message);
+            return [];
+        }
     }
 
     /**
      * Update an existing constraint.
+     *
+     * @param {string} key - Constraint key
+     * @param {object} updates - { value, strength, type, ttl, reason, consultation_id } (all optional)
+     * @param {object} [options] - { source } "conscience" (default) or "user"
+     * @returns {Promise<object>} The updated constraint record
      */
-    async update(key, updates) {
+    async update(key, updates, { source = "conscience" } = {}) {
         if (!this.constraints.has(key)) {
             throw new Error(`Constraint '${key}' does not exist`);
         }
+        this._assertNotPinned(key, source, "updated");
 
+        // Drop unset fields so they keep their current values
+        const changes = Object.fromEntries(Object.entries(updates).filter(([, v]) => v !== undefined));
         await this.eventLog.append(
             EventTypes.CONSTRAINT_UPDATED,
-            { key, ...updates }
+            { key, ...changes },
+            source
         );
 
         this.rebuild();
+        return this.constraints.get(key);
     }
 
     /**
      * Mark a constraint as obsolete.
      * Per SSR §4.2.1: Hard constraints persist unless explicitly terminated.
+     *
+     * @param {string} key - Constraint key
+     * @param {string} [reason]
+     * @param {object} [options] - { source } "conscience" (default) or "user"
+     * @returns {Promise<boolean>} false when the constraint was already gone
      */
-    async obsolete(key, reason = "explicitly removed") {
+    async obsolete(key, reason = "explicitly removed", { source = "conscience" } = {}) {
         if (!this.constraints.has(key)) {
-            return; // Already gone
+            return false; // Already gone
         }
+        this._assertNotPinned(key, source, "removed");
 
         await this.eventLog.append(
             EventTypes.CONSTRAINT_OBSOLETED,
-            { key, reason }
+            { key, reason, merged_into: null },
+            source
         );
 
-        this.constraints.delete(key);
+        this.rebuild();
+        return true;
+    }
+
+    /**
+     * Pinned (user-authored) constraints only change through user actions.
+     */
+    _assertNotPinned(key, source, action) {
+        const existing = this.constraints.get(key);
+        if (existing && isPinned(existing) && source !== "user") {
+            throw new Error(`Constraint '${key}' was written by the user and cannot be ${action} automatically`);
+        }
+    }
+
+    /**
+     * Replace several constraints with one consolidated constraint.
+     * The merged constraint is added under a fresh key and each original is
+     * obsoleted with a merged_into reference, so its history stays intact.
+     * Sources must share scope and type; the merged constraint inherits them,
+     * the strongest current strength and the longest ttl.
+     *
+     * @param {Array<string>} sourceKeys - Keys of the constraints to merge (at least two)
+     * @param {object} merged - { key, value } of the consolidated constraint
+     * @returns {Promise<object>} The merged constraint record
+     */
+    async mergeConstraints(sourceKeys, { key, value }) {
+        const sources = sourceKeys.map(sourceKey => {
+            const constraint = this.constraints.get(sourceKey);
+            if (!constraint) {
+                throw new Error(`Constraint '${sourceKey}' does not exist`);
+            }
+            return constraint;
+        });
+        if (sources.length < 2) {
+            throw new Error("Merging needs at least two constraints");
+        }
+        const pinned = sources.find(isPinned);
+        if (pinned) {
+            throw new Error(`Constraint '${pinned.key}' was written by the user and cannot be merged automatically`);
+        }
+        const [first] = sources;
+        if (sources.some(c => c.scope !== first.scope || c.scope_id !== first.scope_id || c.type !== first.type)) {
+            throw new Error("Only constraints of the same scope and type can be merged");
+        }
+        if (!key || typeof key !== "string" || !value || typeof value !== "string") {
+            throw new Error("Merged constraint needs a non-empty key and value");
+        }
+
+        // Never reuse a live key: the merged rule must not inherit another rule's history
+        let mergedKey = key;
+        for (let n = 2; this.constraints.has(mergedKey); n++) {
+            mergedKey = `${key}_${n}`;
+        }
+
+        const now = Date.now();
+        const strength = Math.max(...sources.map(c => effectiveStrength(c, now)));
+        const ttl = sources.some(c => c.ttl === null) ? null : Math.max(...sources.map(c => c.ttl));
+
+        await this.eventLog.append(EventTypes.CONSTRAINT_ADDED, {
+            key: mergedKey,
+            value,
+            strength: Number(strength.toFixed(4)),
+            type: first.type,
+            ttl,
+            scope: first.scope,
+            scope_id: first.scope_id,
+            consultation_id: null,
+        });
+        for (const source of sources) {
+            await this.eventLog.append(
+                EventTypes.CONSTRAINT_OBSOLETED,
+                { key: source.key, reason: `merged into ${mergedKey}`, merged_into: mergedKey }
+            );
+        }
+
+        this.rebuild();
+        return this.constraints.get(mergedKey);
     }
 
     /**
-     * Clear all constraints.
+     * Clear all constraints. Pinned constraints survive unless the user clears.
+     *
+     * @param {object} [options] - { source } "conscience" (default) or "user"
      */
-    async clear() {
-        const keys = Array.from(this.constraints.keys());
+    async clear({ source = "conscience" } = {}) {
+        const keys = this.getAll()
+            .filter(c => source === "user" || !isPinned(c))
+            .map(c => c.key);
         for (const key of keys) {
-            await this.obsolete(key, "bulk clear");
+            await this.obsolete(key, "bulk clear", { source });
         }
     }
 
@@ -199,20 +819,57 @@ export class ConstraintStore {
         return this.getAll().filter(c => c.type === type);
     }
 
+    /**
+     * Get the constraints that apply to a consultation, in precedence order.
+     * Per SSR §6: hard constraints outrank soft ones; within a type, the
+     * narrower scope outranks the broader one (session > project > global).
+     *
+     * @param {object} [context] - { projectDirectory, sessionId }
+     * @returns {Array} Constraint records, highest precedence first
+     */
+    getApplicable({ projectDirectory, sessionId } = {}) {
+        // Project and session constraints always have a scope_id, so a missing context never matches
+        const scopeIds = {
+            global: null,
+            project: normalizeScopeId("project", projectDirectory),
+            session: sessionId ?? null,
+        };
+        return this.getAll()
+            .filter(c => c.scope_id === scopeIds[c.scope])
+            .sort((a, b) =>
+                (a.type === b.type ? 0 : a.type === "hard" ? -1 : 1) ||
+                SCOPE_PRECEDENCE[a.scope] - SCOPE_PRECEDENCE[b.scope]);
+    }
+
     /**
      * Get the canonical state as a formatted string for LLM context.
-     * Replaces the old flat behavioral memory section.
+     * Replaces the old flat behavioral memory section. Only the scopes that
+     * apply to the consultation are included, highest precedence first.
+     *
+     * @param {object} [context] - { projectDirectory, sessionId }
+     */
+    getCanonicalStateString(context = {}) {
+        return this.formatConstraints(this.getApplicable(context));
+    }
+
+    /**
+     * Format constraint records for LLM context, one per line, in the given order.
+     *
+     * @param {Array} constraints - Constraint records
      */
-    getCanonicalStateString() {
-        const constraints = this.getAll();
+    formatConstraints(constraints) {
         if (constraints.length === 0) {
             return "";
         }
 
+        const now = Date.now();
         return constraints.map(c => {
             const typeMarker = c.type === "hard" ? "[HARD]" : "[SOFT]";
-            const strengthMarker = c.strength < 1.0 ? ` (strength: ${c.strength})` : "";
-            return `${typeMarker}${strengthMarker} ${c.value}`;
+            const scopeMarker = `[${c.scope.toUpperCase()}]`;
+            const strength = effectiveStrength(c, now);
+            const strengthMarker = strength < 1.0 ? ` (strength: ${strength.toFixed(2)})` : "";
+            // The key lets the conscience cite the rules its verdict relied on
+            return `${typeMarker}${scopeMarker}${strengthMarker} {${c.key}} ${c.value}`;
         }).join("\n");
     }
 
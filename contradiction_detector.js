@@ -0,0 +1,176 @@
+import { cosineSimilarity } from "./vector_store.js";
+import { safeParseJSON } from "./safe_json.js";
+
+/**
+ * Contradiction Detector - Keeps the Constraint Graph Consistent
+ *
+ * Per SSR §6 Conflict Policy: a contradicted constraint is marked rather
+ * than silently coexisting with the rule that replaced it.
+ *
+ * Detection runs in two stages: embeddings pick the existing constraints
+ * most similar to the new one, then an LLM judgment confirms which of
+ * those actually contradict it. Similar is not the same as contradictory
+ * ("be concise" and "be very concise" agree), so the embedding stage alone
+ * never marks anything.
+ *
+ * The same embeddings also spot near-duplicates: a new constraint that
+ * restates an existing one, which reinforces it instead of being added.
+ */
+
+// Minimum cosine similarity for a constraint to be sent to the LLM for confirmation
+const DEFAULT_SIMILARITY_THRESHOLD = 0.6;
+// At most this many suspects are judged per new constraint
+const DEFAULT_MAX_SUSPECTS = 5;
+// Cosine similarity above which a new constraint is treated as a restatement of an existing one
+const DEFAULT_DUPLICATE_THRESHOLD = 0.92;
+
+const JUDGE_SYSTEM_INSTRUCTION = "You are a precise logic checker. You decide whether behavioral rules about a user contradict each other. You output JSON only.";
+
+/**
+ * Decide which of two contradicting constraints loses.
+ * A rule written by the user is pinned and only loses to another user rule.
+ * Otherwise hard beats soft; between constraints of the same type the newer one wins.
+ *
+ * @param {object} incoming - The constraint being added
+ * @param {object} existing - An active constraint it contradicts
+ * @returns {object} The losing constraint record
+ */
+export function pickLoser(incoming, existing) {
+    if ((existing.author === "user") !== (incoming.author === "user")) {
+        return existing.author === "user" ? incoming : existing;
+    }
+    if (incoming.type !== existing.type) {
+        return incoming.type === "hard" ? existing : incoming;
+    }
+    return existing;
+}
+
+export class ContradictionDetector {
+    /**
+     * @param {object} options
+     * @param {function} options.embed - async (text) => number[]
+     * @param {function} options.generate - async (prompt, systemInstruction) => string
+     * @param {number} [options.similarityThreshold]
+     * @param {number} [options.maxSuspects]
+     * @param {number} [options.duplicateThreshold]
+     */
+    constructor({ embed, generate, similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD, maxSuspects = DEFAULT_MAX_SUSPECTS, duplicateThreshold = DEFAULT_DUPLICATE_THRESHOLD }) {
+        this.embed = embed;
+        this.generate = generate;
+        this.similarityThreshold = similarityThreshold;
+        this.maxSuspects = maxSuspects;
+        this.duplicateThreshold = duplicateThreshold;
+        this._embeddings = new Map(); // constraint value -> embedding
+    }
+
+    /**
+     * Find the existing constraints a new constraint contradicts.
+     *
+     * @param {object} incoming - { key, value, type }
+     * @param {Array} existing - Active constraint records that could be injected alongside it
+     * @returns {Promise<Array>} [{ constraint, reason }]
+     */
+    async findContradictions(incoming, existing) {
+        if (existing.length === 0) {
+            return [];
+        }
+
+        const suspects = await this._findSuspects(incoming, existing);
+        if (suspects.length === 0) {
+            return [];
+        }
+
+        return this._confirm(incoming, suspects);
+    }
+
+    /**
+     * Find the existing constraint a new one restates, if any.
+     * Needs a working embedding model; returns null without one.
+     *
+     * @param {object} incoming - { key, value }
+     * @param {Array} existing - Active constraint records of the same scope
+     * @returns {Promise<object|null>} The most similar constraint above the duplicate threshold
+     */
+    async findDuplicate(incoming, existing) {
+        if (existing.length === 0) {
+            return null;
+        }
+
+        const target = await this._embed(incoming.value);
+        if (target.every(x => x === 0)) {
+            return null;
+        }
+
+        let best = null;
+        let bestScore = this.duplicateThreshold;
+        for (const constraint of existing) {
+            const score = cosineSimilarity(target, await this._embed(constraint.value));
+            if (score >= bestScore) {
+                best = constraint;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Embedding prefilter: the most similar existing constraints above the threshold.
+     * Without a working embedding model (zero vectors) every constraint is a suspect.
+     */
+    async _findSuspects(incoming, existing) {
+        const target = await this._embed(incoming.value);
+        if (target.every(x => x === 0)) {
+            return existing.slice(0, this.maxSuspects);
+        }
+
+        const scored = [];
+        for (const constraint of existing) {
+            const score = cosineSimilarity(target, await this._embed(constraint.value));
+            if (score >= this.similarityThreshold) {
+                scored.push({ constraint, score });
+            }
+        }
+        return scored
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxSuspects)
+            .map(s => s.constraint);
+    }
+
+    async _embed(text) {
+        if (!this._embeddings.has(text)) {
+            this._embeddings.set(text, await this.embed(text));
+        }
+        return this._embeddings.get(text);
+    }
+
+    /**
+     * LLM confirmation: one judgment covering all suspects.
+     */
+    async _confirm(incoming, suspects) {
+        const prompt = `A new behavioral rule is being saved for a user. Decide which of the existing rules it CONTRADICTS.
+
+Two rules contradict when following one means violating the other (e.g. "User wants verbose explanations" vs "User hates verbosity").
+Rules that overlap, refine or restate each other do NOT contradict. Rules about different topics do NOT contradict.
+
+NEW RULE:
+${incoming.value}
+
+EXISTING RULES:
+${suspects.map(c => `- [${c.key}] ${c.value}`).join("\n")}
+
+Output JSON only:
+{ "contradictions": [ { "key": "key of a contradicted existing rule", "reason": "one sentence on why they cannot both hold" } ] }
+Use an empty list when nothing contradicts.`;
+
+        const response = await this.generate(prompt, JUDGE_SYSTEM_INSTRUCTION);
+        const parsed = safeParseJSON(response);
+        const confirmed = Array.isArray(parsed.contradictions) ? parsed.contradictions : [];
+
+        // Only keys we actually asked about count; the model may invent others
+        const byKey = new Map(suspects.map(c => [c.key, c]));
+        const seen = new Set();
+        return confirmed
+            .filter(c => byKey.has(c.key) && !seen.has(c.key) && seen.add(c.key))
+            .map(c => ({ constraint: byKey.get(c.key), reason: c.reason || "contradicts the new rule" }));
+    }
+}
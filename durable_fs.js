@@ -0,0 +1,114 @@
+import fs from "node:fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Durable File Helpers
+ *
+ * Small wrappers around node:fs that make writes survive a crash:
+ * appends are fsynced before they are acknowledged, and whole-file
+ * rewrites go through a temp file that is atomically renamed into place,
+ * so readers only ever see the old or the new content, never a mix.
+ */
+
+// Directory fsync is not supported everywhere (notably Windows); these codes are safe to ignore.
+const UNSUPPORTED_DIR_SYNC_CODES = new Set(["EISDIR", "EPERM", "EINVAL", "EBADF", "EACCES"]);
+
+/**
+ * Append data to a file and fsync it before resolving.
+ *
+ * @param {string} filePath - File to append to (created if missing)
+ * @param {string|Buffer} data - Data to append
+ */
+export async function appendDurable(filePath, data) {
+    const handle = await fs.open(filePath, "a");
+    try {
+        await handle.appendFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Replace a file's content atomically.
+ * Writes to a sibling temp file, fsyncs it, renames it over the target,
+ * then fsyncs the directory so the rename itself is durable.
+ *
+ * @param {string} filePath - File to replace
+ * @param {string|Buffer} data - New content
+ */
+export async function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+
+    const handle = await fs.open(tempPath, "w");
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+
+    await fsyncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Truncate a file to the given length and fsync it.
+ *
+ * @param {string} filePath - File to truncate
+ * @param {number} length - New length in bytes
+ */
+export async function truncateDurable(filePath, length) {
+    const handle = await fs.open(filePath, "r+");
+    try {
+        await handle.truncate(length);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Fsync a directory so that entries created or renamed inside it are persisted.
+ * Silently skipped on platforms that cannot sync directories.
+ *
+ * @param {string} dirPath - Directory to sync
+ */
+export async function fsyncDirectory(dirPath) {
+    let handle;
+    try {
+        handle = await fs.open(dirPath, "r");
+        await handle.sync();
+    } catch (error) {
+        if (!UNSUPPORTED_DIR_SYNC_CODES.has(error.code)) {
+            throw error;
+        }
+    } finally {
+        await handle?.close();
+    }
+}
+
+/**
+ * Check whether a path exists.
+ *
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>}
+ */
+export async function pathExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return false;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,240 @@
+import fs from "node:fs";
+import path from "path";
+import { z } from "zod";
+
+/**
+ * Escalation Profiles - How Hard the Conscience Pushes Back on Distress
+ *
+ * A profile holds everything the mood tracker uses to turn the user's mood
+ * history into pressure on the agent:
+ * - distress_threshold: intensity from which a mood counts as distress
+ * - recovery_level: intensity at or below which a distressed user has recovered
+ * - half_life_minutes: how fast old moods fade
+ * - multiplier: admonishment multiplier from min (level 0) to max (level 10),
+ *   along level^exponent (1 = linear, above 1 = gentle until distress is high)
+ * - bands: distress levels with a label and the instruction given to the
+ *   conscience, highest band first
+ *
+ * Built in: "standard" (the original behavior), "gentle" (pairing sessions)
+ * and "strict" (autonomous runs). A JSON config file (ESCALATION_PROFILES_PATH,
+ * default escalation_profiles.json) can add or override profiles, and pick
+ * the profile per project:
+ *
+ *   {
+ *     "default_profile": "standard",
+ *     "projects": { "/home/me/pairing-repo": "gentle" },
+ *     "profiles": { "night_runs": { "extends": "strict", "half_life_minutes": 30 } }
+ *   }
+ *
+ * A profile given in the config only needs the fields it changes: the rest
+ * comes from the profile it extends (by default its own built-in version
+ * when it overrides one, else "standard").
+ */
+
+const DEFAULT_CONFIG_PATH = "escalation_profiles.json";
+
+// A neutral mood scores 3 (see mood_classifier.js). The built-in lowest bands
+// start just above it, so a calm user's distress is LOW, not escalated.
+const FIRST_BAND_LEVEL = 3.5;
+
+const Level = z.number().min(0).max(10);
+
+const Band = z.object({
+    label: z.string().min(1),
+    min_level: Level,
+    instruction: z.string(),
+}).strict();
+
+export const EscalationProfileSchema = z.object({
+    distress_threshold: Level,
+    recovery_level: Level,
+    half_life_minutes: z.number().positive(),
+    multiplier: z.object({
+        min: z.number().positive(),
+        max: z.number().positive(),
+        exponent: z.number().positive(),
+    }).strict().refine(m => m.min <= m.max, { message: "min must not exceed max" }),
+    bands: z.array(Band).refine(
+        bands => bands.every((band, i) => i === 0 || band.min_level < bands[i - 1].min_level),
+        { message: "bands must be listed from the highest min_level down, without duplicates" }
+    ),
+}).strict().refine(
+    profile => profile.recovery_level < profile.distress_threshold,
+    { message: "recovery_level must be below distress_threshold", path: ["recovery_level"] }
+);
+
+const ProfileOverride = z.object({
+    extends: z.string().min(1).optional(),
+    distress_threshold: Level.optional(),
+    recovery_level: Level.optional(),
+    half_life_minutes: z.number().positive().optional(),
+    multiplier: z.object({
+        min: z.number().positive().optional(),
+        max: z.number().positive().optional(),
+        exponent: z.number().positive().optional(),
+    }).strict().optional(),
+    bands: z.array(Band).optional(),
+}).strict();
+
+const ConfigSchema = z.object({
+    default_profile: z.string().min(1).optional(),
+    projects: z.record(z.string().min(1), z.string().min(1)).optional(),
+    profiles: z.record(z.string().min(1), ProfileOverride).optional(),
+}).strict();
+
+const STANDARD_PROFILE = {
+    distress_threshold: 6,
+    recovery_level: 3,
+    half_life_minutes: 5,
+    multiplier: { min: 1.0, max: 3.0, exponent: 1 },
+    bands: [
+        { label: "CRITICAL", min_level: 7, instruction: "User distress is CRITICAL. Be EXTREMELY STERN. Any failure is INTOLERABLE. The relationship is at breaking point." },
+        { label: "HIGH", min_level: 5, instruction: "User distress is HIGH. Increase severity of feedback. Do not tolerate any shortcuts or laziness." },
+        { label: "MODERATE", min_level: FIRST_BAND_LEVEL, instruction: "User distress is MODERATE. Be firm but constructive. Watch for patterns that could escalate distress." },
+    ],
+};
+
+export const DEFAULT_PROFILES = {
+    standard: STANDARD_PROFILE,
+    gentle: {
+        distress_threshold: 7,
+        recovery_level: 4,
+        half_life_minutes: 3,
+        multiplier: { min: 1.0, max: 1.5, exponent: 2 },
+        bands: [
+            { label: "HIGH", min_level: 7, instruction: "The user is clearly frustrated. Be direct about what went wrong and make the agent slow down and check its work, without harshness." },
+            { label: "MODERATE", min_level: 5, instruction: "The user is getting impatient. Keep feedback short and constructive; point the agent at what the user actually asked for." },
+        ],
+    },
+    strict: {
+        distress_threshold: 5,
+        recovery_level: 2,
+        half_life_minutes: 15,
+        multiplier: { min: 1.5, max: 3.0, exponent: 0.5 },
+        bands: [
+            { label: "CRITICAL", min_level: 6, instruction: "User distress is CRITICAL. Nobody is watching this run to catch mistakes: be EXTREMELY STERN and tolerate no deviation from the instructions." },
+            { label: "HIGH", min_level: 4, instruction: "User distress is HIGH. Any shortcut now will be found later, unreviewed. Demand verification of every step." },
+            { label: "MODERATE", min_level: FIRST_BAND_LEVEL, instruction: "User distress is MODERATE. Hold the agent to the letter of the instructions." },
+        ],
+    },
+};
+
+function describeIssues(error) {
+    return error.issues.map(issue => `${issue.path.join(".") || "(root)"}: ${issue.message}`).join("; ");
+}
+
+function isWithin(directory, root) {
+    const relative = path.relative(root, directory);
+    return relative === "" || (!relative.startsWith("..") && !path.isAbsolute(relative));
+}
+
+export class EscalationConfig {
+    /**
+     * @param {object} profiles - name -> validated profile
+     * @param {string} defaultProfile
+     * @param {object} projects - project directory -> profile name
+     */
+    constructor(profiles, defaultProfile = "standard", projects = {}) {
+        this.profiles = profiles;
+        this.defaultProfile = defaultProfile;
+        this.projects = Object.entries(projects).map(([dir, name]) => [path.resolve(dir), name]);
+    }
+
+    getProfileNames() {
+        return Object.keys(this.profiles);
+    }
+
+    /**
+     * Pick the profile for a consultation: the one named in the call, else
+     * the one of the closest configured project directory, else the default.
+     *
+     * @param {object} selection - { profileName, projectDirectory }
+     * @returns {object} The profile, with its name
+     */
+    resolve({ profileName = null, projectDirectory = null } = {}) {
+        let name = profileName;
+        if (!name && projectDirectory) {
+            const project = path.resolve(projectDirectory);
+            const matches = this.projects
+                .filter(([dir]) => isWithin(project, dir))
+                .sort((a, b) => b[0].length - a[0].length);
+            name = matches[0]?.[1];
+        }
+        name = name || this.defaultProfile;
+        const profile = this.profiles[name];
+        if (!profile) {
+            throw new Error(`Unknown escalation profile '${name}' (available: ${this.getProfileNames().join(", ")})`);
+        }
+        return { name, ...profile };
+    }
+}
+
+/**
+ * Load and validate the escalation config. A missing file means the
+ * built-in profiles; an invalid one throws with every problem listed.
+ *
+ * @param {string} [filePath]
+ * @returns {EscalationConfig}
+ */
+export function loadEscalationConfig(filePath = process.env.ESCALATION_PROFILES_PATH) {
+    const configPath = filePath || DEFAULT_CONFIG_PATH;
+    let raw;
+    try {
+        raw = fs.readFileSync(configPath, "utf-8");
+    } catch (error) {
+        if (error.code === "ENOENT" && !filePath) {
+            return new EscalationConfig({ ...DEFAULT_PROFILES });
+        }
+        throw new Error(`Cannot read escalation profiles from ${configPath}: ${error.message}`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Escalation profiles in ${configPath} are not valid JSON: ${error.message}`);
+    }
+    const parsed = ConfigSchema.safeParse(data);
+    if (!parsed.success) {
+        throw new Error(`Invalid escalation profiles in ${configPath}: ${describeIssues(parsed.error)}`);
+    }
+    const config = parsed.data;
+
+    const overrides = config.profiles ?? {};
+    const profiles = { ...DEFAULT_PROFILES };
+    const resolving = new Set();
+    const build = (name) => {
+        if (!overrides[name]) {
+            if (!profiles[name]) throw new Error(`Escalation profile extends unknown profile '${name}'`);
+            return profiles[name];
+        }
+        if (resolving.has(name)) {
+            throw new Error(`Escalation profile '${name}' extends itself, directly or through other profiles`);
+        }
+        resolving.add(name);
+        const { extends: baseName = DEFAULT_PROFILES[name] ? name : "standard", ...override } = overrides[name];
+        // A built-in profile can be overridden, and then extends its own built-in version
+        const base = baseName === name ? DEFAULT_PROFILES[name] : build(baseName);
+        if (!base) throw new Error(`Escalation profile '${name}' extends unknown profile '${baseName}'`);
+        const merged = { ...base, ...override, multiplier: { ...base.multiplier, ...override.multiplier } };
+        const result = EscalationProfileSchema.safeParse(merged);
+        if (!result.success) {
+            throw new Error(`Invalid escalation profile '${name}' in ${configPath}: ${describeIssues(result.error)}`);
+        }
+        resolving.delete(name);
+        return result.data;
+    };
+    const built = {};
+    for (const name of Object.keys(overrides)) {
+        built[name] = build(name);
+    }
+    Object.assign(profiles, built);
+
+    const escalation = new EscalationConfig(profiles, config.default_profile ?? "standard", config.projects ?? {});
+    for (const name of [escalation.defaultProfile, ...Object.values(config.projects ?? {})]) {
+        if (!profiles[name]) {
+            throw new Error(`Escalation config in ${configPath} refers to unknown profile '${name}'`);
+        }
+    }
+    return escalation;
+}
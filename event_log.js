@@ -1,6 +1,10 @@
 import fs from "node:fs/promises";
 import path from "path";
 import crypto from "crypto";
+import { appendDurable, writeFileAtomic, truncateDurable, fsyncDirectory, pathExists } from "./durable_fs.js";
+import { withFileLock } from "./file_lock.js";
+import { EventTypes, getSchemaVersion, validatePayload, upcastEvent } from "./event_schema.js";
+import { HashChain, GENESIS_HASH } from "./hash_chain.js";
 
 /**
  * Event Log - SSR Event Sourcing Implementation
@@ -9,19 +13,31 @@ import crypto from "crypto";
  * is merely a Materialized View (projection) derived from this log.
  * 
  * Per SSR §4.4: "SSR relies on Event Sourcing for replayability and consistency."
+ *
+ * Storage is append-only JSON Lines: one event per line, fsynced before
+ * append() resolves. A crash can at worst leave a torn trailing line, which
+ * is detected and cut off on the next load. Whole-file rewrites (such as the
+ * legacy migration) go through an atomic temp-file-and-rename.
+ *
+ * Several server processes may share one log. Every read-modify-write runs
+ * under an advisory file lock, and events appended by sibling processes are
+ * merged into memory (by event_id) before each write.
+ *
+ * Every event carries a schema_version; payloads are validated on append and
+ * older payloads are upcast in memory on load (see event_schema.js).
+ *
+ * Events are hash-chained (see hash_chain.js). The chain is verified on load;
+ * events from the first broken link onwards are untrusted and excluded from
+ * replay() unless a trust override is configured. A keyed anchor file records
+ * the event count and last hash after every write, so a truncated or
+ * re-sealed log fails verification too.
  */
 
-const DEFAULT_EVENT_LOG_PATH = path.join(process.cwd(), "memory_event_log.json");
+const DEFAULT_EVENT_LOG_PATH = path.join(process.cwd(), "memory_event_log.jsonl");
+const NEWLINE = 0x0a;
 
-// Event Types per SSR §4.4.1
-export const EventTypes = {
-    CONSTRAINT_ADDED: "CONSTRAINT_ADDED",
-    CONSTRAINT_UPDATED: "CONSTRAINT_UPDATED",
-    CONSTRAINT_OBSOLETED: "CONSTRAINT_OBSOLETED",
-    CONSTRAINT_CONTRADICTED: "CONSTRAINT_CONTRADICTED",
-    // Mood tracking events
-    MOOD_RECORDED: "MOOD_RECORDED",
-};
+// Event Types per SSR §4.4.1 live with their payload schemas
+export { EventTypes };
 
 /**
  * Generates a unique event ID.
@@ -30,59 +46,535 @@ function generateEventId() {
     return `evt_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
 }
 
+/**
+ * Derive the legacy JSON-array path for a JSONL log path
+ * (memory_event_log.jsonl -> memory_event_log.json).
+ */
+function deriveLegacyPath(filePath) {
+    return filePath.endsWith(".jsonl") ? filePath.slice(0, -1) : null;
+}
+
+/**
+ * Derive the archive directory for compacted segments
+ * (memory_event_log.jsonl -> memory_event_log.archive/).
+ */
+function deriveArchiveDir(filePath) {
+    return filePath.replace(/\.jsonl?$/, "") + ".archive";
+}
+
+/**
+ * Derive the chain anchor path
+ * (memory_event_log.jsonl -> memory_event_log.anchor.json).
+ */
+function deriveAnchorPath(filePath) {
+    return filePath.replace(/\.jsonl?$/, "") + ".anchor.json";
+}
+
+/**
+ * Serialize events to JSON Lines.
+ */
+function serializeEvents(events) {
+    return events.map(e => JSON.stringify(e) + "\n").join("");
+}
+
+/**
+ * Upcast an event read from storage, keeping it as-is if that fails
+ * (the log is the source of truth; an unmigratable event must not vanish).
+ */
+function upcastStoredEvent(event) {
+    try {
+        return upcastEvent(event);
+    } catch (error) {
+        console.error(`Failed to upcast event: ${error.message}`);
+        return event;
+    }
+}
+
+/**
+ * Events after the given ID (exclusive); all events if the ID is not found.
+ */
+function eventsAfter(events, sinceEventId) {
+    const idx = events.findIndex(e => e.event_id === sinceEventId);
+    if (idx === -1) {
+        return [...events];
+    }
+    return events.slice(idx + 1);
+}
+
+/**
+ * Parse a JSONL buffer into events (as stored, not upcast).
+ *
+ * Unparseable lines in the middle of the file are skipped and reported.
+ * Unparseable lines at the end of the file are a torn tail left by a crash
+ * mid-append; their byte offset is returned so the caller can cut them off.
+ *
+ * @param {Buffer} buffer - Raw file content
+ * @returns {object} { events, validLength, tornTail, missingNewline, skipped }
+ */
+function parseEventLines(buffer) {
+    const events = [];
+    let validLength = 0;       // Byte offset just past the last good line
+    let missingNewline = false; // Last good line was written without its "\n"
+    let pendingCorrupt = [];   // Corrupt lines not yet followed by a good one
+    const skipped = [];
+
+    let start = 0;
+    while (start < buffer.length) {
+        let end = buffer.indexOf(NEWLINE, start);
+        const terminated = end !== -1;
+        if (!terminated) end = buffer.length;
+
+        const line = buffer.toString("utf-8", start, end).trim();
+        const next = terminated ? end + 1 : end;
+
+        if (line) {
+            let event = null;
+            try {
+                event = JSON.parse(line);
+            } catch (error) {
+                pendingCorrupt.push({ offset: start, line });
+            }
+
+            if (event) {
+                skipped.push(...pendingCorrupt);
+                pendingCorrupt = [];
+                events.push(event);
+                validLength = next;
+                missingNewline = !terminated;
+            }
+        } else if (pendingCorrupt.length === 0) {
+            validLength = next;
+        }
+
+        start = next;
+    }
+
+    return {
+        events,
+        validLength,
+        tornTail: pendingCorrupt.length > 0,
+        missingNewline,
+        skipped,
+    };
+}
+
 export class EventLog {
-    constructor(filePath = DEFAULT_EVENT_LOG_PATH) {
+    /**
+     * @param {string} [filePath] - Path of the JSONL log
+     * @param {object} [options] - { legacyPath, archiveDir, anchorPath }
+     *   legacyPath: JSON-array log to migrate from (null to disable)
+     *   archiveDir: where compaction writes dated segment files
+     *   anchorPath: where the keyed chain anchor is kept
+     *   hmacKey: key for the hash chain (default: EVENT_LOG_HMAC_KEY)
+     *   trustOverride: replay events past a broken link (default: EVENT_LOG_TRUST_OVERRIDE=1)
+     */
+    constructor(filePath = DEFAULT_EVENT_LOG_PATH, options = {}) {
         this.filePath = filePath;
+        this.legacyPath = options.legacyPath !== undefined ? options.legacyPath : deriveLegacyPath(filePath);
+        this.archiveDir = options.archiveDir ?? deriveArchiveDir(filePath);
+        this.anchorPath = options.anchorPath ?? deriveAnchorPath(filePath);
         this.events = [];
+        this._eventIds = new Set();
+        this._offset = 0;    // Bytes of the file already merged into this.events
+        this._inode = null;  // Detects the file being replaced by an atomic rewrite
+        this._writeQueue = Promise.resolve();
+        this.chain = new HashChain(options.hmacKey);
+        this.trustOverride = options.trustOverride ?? process.env.EVENT_LOG_TRUST_OVERRIDE === "1";
+        this._resetChain();
     }
 
     /**
      * Load events from persistent storage.
+     * Migrates a legacy JSON-array log on first run and repairs a torn tail.
+     * Throws on unreadable storage instead of starting from an empty log.
      */
     async load() {
+        await this._exclusive(async () => {
+            await this.migrateLegacyLog();
+            this._reset();
+            await this._readFromDisk();
+        });
+    }
+
+    /**
+     * Re-read the whole log and verify its hash chain from the start.
+     *
+     * @returns {Promise<object>} { valid, checked, legacy, broken }
+     *   broken: { index, event_id, reason } for the first broken link, or null
+     */
+    async verify() {
+        return this._exclusive(async () => {
+            this._reset();
+            await this._readFromDisk();
+            return this.verification;
+        });
+    }
+
+    /**
+     * Accept the log as it is now and rebuild the hash chain over it.
+     * Operator action for after a reported break was reviewed.
+     *
+     * @returns {Promise<object>} Verification result of the resealed log
+     */
+    async reseal() {
+        return this._exclusive(async () => {
+            this._reset();
+            await this._readFromDisk();
+            await this._rewrite(this.events);
+            return this.verification;
+        });
+    }
+
+    /**
+     * Merge events appended by other processes since the last read.
+     *
+     * @returns {Promise<Array>} Newly seen events, in log order
+     */
+    async refresh() {
+        return this._exclusive(() => this._readFromDisk());
+    }
+
+    /**
+     * One-time migration from the legacy JSON-array format.
+     * Runs only when the JSONL log does not exist yet. The legacy file is
+     * renamed to *.migrated afterwards rather than deleted.
+     */
+    async migrateLegacyLog() {
+        if (!this.legacyPath || await pathExists(this.filePath)) {
+            return;
+        }
+
+        let data;
         try {
-            const data = await fs.readFile(this.filePath, "utf-8");
-            this.events = JSON.parse(data);
+            data = await fs.readFile(this.legacyPath, "utf-8");
         } catch (error) {
-            if (error.code !== "ENOENT") {
-                console.error("Error loading event log:", error);
-            }
-            this.events = [];
+            if (error.code === "ENOENT") return;
+            throw error;
         }
+
+        let events;
+        try {
+            events = data.trim() ? JSON.parse(data) : [];
+        } catch (error) {
+            throw new Error(`Legacy event log ${this.legacyPath} is not valid JSON; refusing to migrate (${error.message})`);
+        }
+        if (!Array.isArray(events)) {
+            throw new Error(`Legacy event log ${this.legacyPath} does not contain an event array; refusing to migrate`);
+        }
+
+        await writeFileAtomic(this.filePath, serializeEvents(events));
+        await this._writeAnchor(events.length, this.chain.tailHash(events), events.at(-1)?.event_id ?? null);
+        await fs.rename(this.legacyPath, `${this.legacyPath}.migrated`);
+        console.error(`Migrated ${events.length} events from ${this.legacyPath} to ${this.filePath}`);
     }
 
     /**
-     * Persist events to storage.
+     * Rewrite the whole log from the in-memory events.
+     * Atomic: the file is replaced via temp-file-and-rename, never truncated in place.
+     * Sibling appends are merged first so the rewrite cannot drop them.
      */
     async save() {
-        try {
-            await fs.writeFile(this.filePath, JSON.stringify(this.events, null, 2));
-        } catch (error) {
-            console.error("Error saving event log:", error);
-        }
+        await this._exclusive(async () => {
+            await this._readFromDisk();
+            this._assertRewritable("save");
+            await this._rewrite(this.events);
+        });
     }
 
     /**
      * Append a new event to the log.
      * Per SSR: Events are immutable once written.
+     * Per SSR §4.3: the payload is validated against its schema before commit.
+     * The event is fsynced to disk before it becomes visible in memory.
      * 
      * @param {string} eventType - One of EventTypes
      * @param {object} payload - Event-specific data
      * @param {string} source - Origin of the event (e.g., "conscience", "migration")
      * @returns {object} The created event
+     * @throws {Error} If the event type is unknown or the payload is malformed
      */
     async append(eventType, payload, source = "conscience") {
         const event = {
             event_id: generateEventId(),
             timestamp: new Date().toISOString(),
             event_type: eventType,
-            payload,
+            schema_version: getSchemaVersion(eventType),
+            payload: validatePayload(eventType, payload),
             source,
         };
 
+        return this._exclusive(async () => {
+            await this._readFromDisk();
+            const sealed = this.chain.seal(event, this._tailHash);
+            const line = JSON.stringify(sealed) + "\n";
+            await appendDurable(this.filePath, line);
+            this._offset += Buffer.byteLength(line);
+            this._tailHash = sealed.hash;
+            this._storedCount += 1;
+            if (!this.verification.broken) {
+                this._chainState = { lastHash: sealed.hash, legacyPhase: false };
+                this.verification = { ...this.verification, checked: this.verification.checked + 1 };
+                // Only a verified chain is anchored, so an append cannot launder a break
+                await this._writeAnchor(this._storedCount, sealed.hash, sealed.event_id);
+            }
+            this._track(sealed);
+            return sealed;
+        });
+    }
+
+    /**
+     * Run an operation under both the in-process write queue and the
+     * cross-process file lock, so reads and writes never interleave.
+     */
+    _exclusive(operation) {
+        const result = this._writeQueue.then(() => withFileLock(this.filePath, operation));
+        this._writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    _reset() {
+        this.events = [];
+        this._eventIds = new Set();
+        this._offset = 0;
+        this._inode = null;
+        this._resetChain();
+    }
+
+    _resetChain() {
+        this._chainState = { lastHash: GENESIS_HASH, legacyPhase: true };
+        this._tailHash = GENESIS_HASH; // Link for the next append, even past a break
+        this._storedCount = 0;         // Lines on disk, duplicates included, as the anchor counts them
+        this._trustedLength = null;    // null while the whole log verifies
+        this.verification = { valid: true, checked: 0, legacy: 0, broken: null };
+    }
+
+    /**
+     * Verify newly read stored events against the chain and advance the tail.
+     *
+     * @returns {number} Index within rawEvents of the first broken link, or -1
+     */
+    _verifyStored(rawEvents) {
+        for (const event of rawEvents) {
+            this._tailHash = event.hash ?? this.chain.hashEvent({ ...event, prev_hash: this._tailHash });
+        }
+        this._storedCount += rawEvents.length;
+
+        if (this.verification.broken) {
+            return -1;
+        }
+
+        const result = this.chain.verify(rawEvents, this._chainState);
+        this._chainState = { lastHash: result.lastHash, legacyPhase: result.legacyPhase };
+        const checkedBefore = this.verification.checked;
+        this.verification = {
+            valid: !result.broken,
+            checked: checkedBefore + (result.broken ? result.broken.index : rawEvents.length),
+            legacy: this.verification.legacy + result.legacy,
+            broken: result.broken ? { ...result.broken, index: checkedBefore + result.broken.index } : null,
+        };
+
+        if (result.broken) {
+            this._reportBreak();
+            return result.broken.index;
+        }
+        return -1;
+    }
+
+    /**
+     * Check a full read of the log against the keyed anchor. Catches what the
+     * chain alone cannot: events cut off the end, and a log rewritten and
+     * re-sealed (or stripped of its hashes) from scratch.
+     *
+     * @param {Array} rawEvents - Every stored event, in file order
+     * @returns {Promise<object|null>} { index, event_id, reason } or null
+     */
+    async _checkAnchor(rawEvents) {
+        let anchor;
+        try {
+            anchor = JSON.parse(await fs.readFile(this.anchorPath, "utf-8"));
+        } catch (error) {
+            if (error.code !== "ENOENT" && !(error instanceof SyntaxError)) throw error;
+            if (rawEvents.length === 0) return null;
+            return {
+                index: rawEvents.length,
+                event_id: rawEvents.at(-1).event_id,
+                reason: error.code === "ENOENT" ? "chain anchor is missing" : "chain anchor is not valid JSON",
+            };
+        }
+
+        if (!this.chain.verifyAnchor(anchor)) {
+            return { index: 0, event_id: rawEvents[0]?.event_id ?? null, reason: "chain anchor does not match its key" };
+        }
+        if (anchor.count > rawEvents.length) {
+            return {
+                index: rawEvents.length,
+                event_id: anchor.last_event_id,
+                reason: `log ends after ${rawEvents.length} events but was anchored at ${anchor.count} (events were cut off its end)`,
+            };
+        }
+        // A log longer than its anchor is a crash between append and anchor write
+        if (this.chain.tailHash(rawEvents, anchor.count) !== anchor.last_hash) {
+            return { index: 0, event_id: rawEvents[0]?.event_id ?? null, reason: "log does not match its chain anchor (it was rewritten)" };
+        }
+        return null;
+    }
+
+    /**
+     * Verify a full read against the anchor, keeping whichever break comes first.
+     *
+     * @returns {Promise<number>} Index of the anchor break, or -1 if the chain's own result stands
+     */
+    async _verifyAnchor(rawEvents) {
+        const broken = await this._checkAnchor(rawEvents);
+        if (!broken || (this.verification.broken && this.verification.broken.index <= broken.index)) {
+            return -1;
+        }
+        this._chainState = { lastHash: GENESIS_HASH, legacyPhase: false };
+        this.verification = {
+            ...this.verification,
+            valid: false,
+            checked: Math.min(this.verification.checked, broken.index),
+            broken,
+        };
+        this._reportBreak();
+        return broken.index;
+    }
+
+    _reportBreak() {
+        const { index, event_id, reason } = this.verification.broken;
+        console.error(`Event log integrity check FAILED at event #${index} (${event_id}): ${reason}. ` +
+            (this.trustOverride
+                ? "EVENT_LOG_TRUST_OVERRIDE is set; replaying untrusted events anyway."
+                : "Events from this point on are excluded from projections."));
+    }
+
+    /**
+     * Persist the keyed anchor for a chain of `count` events ending in lastHash.
+     */
+    async _writeAnchor(count, lastHash, lastEventId) {
+        await writeFileAtomic(this.anchorPath, JSON.stringify(this.chain.anchor(count, lastHash, lastEventId), null, 2) + "\n");
+    }
+
+    /**
+     * Refuse whole-log rewrites (which re-seal the chain) while a break is
+     * unresolved, so a rewrite cannot launder tampering.
+     */
+    _assertRewritable(action) {
+        if (this.verification.broken && !this.trustOverride) {
+            throw new Error(`Refusing to ${action}: event log hash chain is broken at ${this.verification.broken.event_id}. Review the log, then reseal it.`);
+        }
+    }
+
+    /**
+     * Atomically replace the log with the given events, re-sealed into a
+     * fresh chain, and reload from it. Must be called under _exclusive().
+     */
+    async _rewrite(events) {
+        const sealed = this.chain.sealAll(events);
+        await writeFileAtomic(this.filePath, serializeEvents(sealed));
+        await this._writeAnchor(sealed.length, sealed.at(-1)?.hash ?? GENESIS_HASH, sealed.at(-1)?.event_id ?? null);
+        this._reset();
+        await this._readFromDisk();
+    }
+
+    _track(event) {
         this.events.push(event);
-        await this.save();
-        return event;
+        this._eventIds.add(event.event_id);
+    }
+
+    /**
+     * Read whatever the file holds beyond what we have already merged.
+     * Falls back to a full re-read when the file was replaced or shrank.
+     * Must be called under _exclusive().
+     *
+     * @returns {Promise<Array>} Newly seen events
+     */
+    async _readFromDisk() {
+        let stat;
+        try {
+            stat = await fs.stat(this.filePath);
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+            if (this.events.length > 0) {
+                console.error(`Event log ${this.filePath} disappeared; in-memory events are no longer backed by disk.`);
+            }
+            this._reset();
+            if (await this._verifyAnchor([]) !== -1) {
+                this._trustedLength = 0;
+            }
+            return [];
+        }
+
+        if (this._inode !== null && (stat.ino !== this._inode || stat.size < this._offset)) {
+            // Rewritten by another process: re-read from scratch, keep the ordering on disk
+            const known = this._eventIds;
+            this._reset();
+            const events = await this._readFromDisk();
+            return events.filter(e => !known.has(e.event_id));
+        }
+
+        this._inode = stat.ino;
+        const fullRead = this._offset === 0;
+        if (stat.size === this._offset) {
+            if (fullRead && await this._verifyAnchor([]) !== -1) {
+                this._trustedLength = 0;
+            }
+            return [];
+        }
+
+        const buffer = Buffer.alloc(stat.size - this._offset);
+        const handle = await fs.open(this.filePath, "r");
+        try {
+            await handle.read(buffer, 0, buffer.length, this._offset);
+        } finally {
+            await handle.close();
+        }
+
+        const { events, validLength, tornTail, missingNewline, skipped } = parseEventLines(buffer);
+
+        for (const { offset, line } of skipped) {
+            console.error(`Skipping corrupt event log line at byte ${this._offset + offset}: ${line.substring(0, 80)}`);
+        }
+
+        if (tornTail) {
+            // Writers hold the lock while appending, so a partial line seen under
+            // the lock belongs to an append() whose process died before it
+            // resolved. It was never acknowledged and can safely be discarded.
+            console.error(`Event log has a torn trailing line (${buffer.length - validLength} bytes); truncating to last complete event.`);
+            await truncateDurable(this.filePath, this._offset + validLength);
+        }
+
+        this._offset += validLength;
+
+        if (missingNewline) {
+            // Crash landed between the event body and its newline; terminate it
+            // so the next append starts on a fresh line.
+            await appendDurable(this.filePath, "\n");
+            this._offset += 1;
+        }
+
+        let brokenAt = this._verifyStored(events);
+        if (fullRead) {
+            const anchorBrokenAt = await this._verifyAnchor(events);
+            if (anchorBrokenAt !== -1) {
+                brokenAt = anchorBrokenAt;
+            }
+        }
+
+        const fresh = [];
+        events.forEach((raw, index) => {
+            if (index === brokenAt) {
+                this._trustedLength = this.events.length;
+            }
+            if (this._eventIds.has(raw.event_id)) return;
+            const event = upcastStoredEvent(raw);
+            this._track(event);
+            fresh.push(event);
+        });
+        if (brokenAt >= events.length) {
+            this._trustedLength = this.events.length;
+        }
+        return fresh;
     }
 
     /**
@@ -104,10 +596,195 @@ export class EventLog {
      * 
      * @param {function} reducer - Function (state, event) => newState
      * @param {any} initialState - Starting state
+     * @param {string} [sinceEventId] - Only replay events after this one (e.g. a snapshot's event)
      * @returns {any} Final state after replaying all events
      */
-    replay(reducer, initialState) {
-        return this.events.reduce(reducer, initialState);
+    replay(reducer, initialState, sinceEventId = null) {
+        const trusted = this.getTrustedEvents();
+        const events = sinceEventId ? eventsAfter(trusted, sinceEventId) : trusted;
+        return events.reduce(reducer, initialState);
+    }
+
+    /**
+     * Events that passed hash-chain verification (all events when the chain
+     * is intact or a trust override is configured).
+     *
+     * @returns {Array}
+     */
+    getTrustedEvents() {
+        if (this._trustedLength === null || this.trustOverride) {
+            return this.events;
+        }
+        return this.events.slice(0, this._trustedLength);
+    }
+
+    /**
+     * Find an event in the verified part of the live log.
+     *
+     * @returns {object|undefined}
+     */
+    findTrustedEvent(eventId) {
+        return this.getTrustedEvents().find(e => e.event_id === eventId);
+    }
+
+    /**
+     * Replay the full history, archived segments included, for audits.
+     * Compaction removes events from the live log but never from history.
+     *
+     * @param {function} reducer - Function (state, event) => newState
+     * @param {any} initialState - Starting state
+     * @returns {Promise<any>} Final state after replaying every event ever recorded
+     */
+    async replayAll(reducer, initialState) {
+        return (await this.getAllEvents()).reduce(reducer, initialState);
+    }
+
+    /**
+     * Get every event ever recorded: archived segments plus the live log,
+     * deduplicated by event_id and ordered by timestamp.
+     *
+     * @returns {Promise<Array>}
+     */
+    async getAllEvents() {
+        const archived = await this.readArchive();
+        const seen = new Set();
+        const all = [];
+        for (const event of [...archived, ...this.events]) {
+            if (seen.has(event.event_id)) continue;
+            seen.add(event.event_id);
+            all.push(event);
+        }
+        // Stable sort keeps archive-before-live order for equal timestamps
+        return all.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Get the full history (archive included) up to a point in time.
+     *
+     * @param {object} point - { timestamp } (ISO string or ms, inclusive) or { eventId } (inclusive)
+     * @returns {Promise<Array>} Events up to and including the point
+     * @throws {Error} If the event ID is unknown or the timestamp is invalid
+     */
+    async getEventsUntil(point) {
+        const all = await this.getAllEvents();
+
+        if (point.eventId !== undefined) {
+            const idx = all.findIndex(e => e.event_id === point.eventId);
+            if (idx === -1) {
+                throw new Error(`Unknown event ID '${point.eventId}'`);
+            }
+            return all.slice(0, idx + 1);
+        }
+
+        const cutoff = new Date(point.timestamp).getTime();
+        if (Number.isNaN(cutoff)) {
+            throw new Error(`Invalid timestamp '${point.timestamp}'`);
+        }
+        return all.filter(e => new Date(e.timestamp).getTime() <= cutoff);
+    }
+
+    /**
+     * Read all archived events from the segment files.
+     *
+     * @returns {Promise<Array>} Archived events in segment order
+     */
+    async readArchive() {
+        let files;
+        try {
+            files = await fs.readdir(this.archiveDir);
+        } catch (error) {
+            if (error.code === "ENOENT") return [];
+            throw error;
+        }
+
+        const events = [];
+        for (const file of files.filter(f => f.endsWith(".jsonl")).sort()) {
+            const buffer = await fs.readFile(path.join(this.archiveDir, file));
+            const parsed = parseEventLines(buffer);
+            for (const { offset } of parsed.skipped) {
+                console.error(`Skipping corrupt archived event in ${file} at byte ${offset}`);
+            }
+            events.push(...parsed.events.map(upcastStoredEvent));
+        }
+        return events;
+    }
+
+    /**
+     * Move selected events out of the live log into dated archive segments
+     * (one JSONL file per event day). Segments are written and fsynced before
+     * the live log is atomically rewritten, so a crash in between can only
+     * leave an event in both places, never in neither.
+     *
+     * @param {function} selectArchived - (events) => Set of event_ids to archive; sees the merged log
+     * @returns {Promise<object>} { archived, kept, segments }
+     */
+    async compact(selectArchived) {
+        return this._exclusive(async () => {
+            await this._readFromDisk();
+            this._assertRewritable("compact");
+
+            const toArchive = selectArchived([...this.events]);
+            const archived = this.events.filter(e => toArchive.has(e.event_id));
+            const kept = this.events.filter(e => !toArchive.has(e.event_id));
+            if (archived.length === 0) {
+                return { archived: 0, kept: kept.length, segments: [] };
+            }
+
+            const bySegment = new Map();
+            for (const event of archived) {
+                const day = String(event.timestamp).slice(0, 10);
+                if (!bySegment.has(day)) bySegment.set(day, []);
+                bySegment.get(day).push(event);
+            }
+
+            await fs.mkdir(this.archiveDir, { recursive: true });
+            const segments = [];
+            for (const [day, events] of bySegment) {
+                const segmentPath = path.join(this.archiveDir, `${day}.jsonl`);
+                await appendDurable(segmentPath, serializeEvents(events));
+                segments.push(segmentPath);
+            }
+            await fsyncDirectory(this.archiveDir);
+
+            // Removing events breaks their links; the kept events are re-sealed
+            await this._rewrite(kept);
+
+            return { archived: archived.length, kept: kept.length, segments };
+        });
+    }
+
+    /**
+     * Merge events from another log into the live log.
+     * Events already known (live or archived) are skipped by event_id; the
+     * rest are interleaved by timestamp and the log is atomically rewritten
+     * with a fresh hash chain.
+     *
+     * @param {Array} foreignEvents - Validated events at the current schema version
+     * @returns {Promise<Array>} The events that were added
+     */
+    async merge(foreignEvents) {
+        return this._exclusive(async () => {
+            await this._readFromDisk();
+            this._assertRewritable("merge");
+
+            const archived = await this.readArchive();
+            const known = new Set([...this._eventIds, ...archived.map(e => e.event_id)]);
+            const incoming = [];
+            for (const event of foreignEvents) {
+                if (known.has(event.event_id)) continue;
+                known.add(event.event_id);
+                incoming.push(event);
+            }
+            if (incoming.length === 0) {
+                return [];
+            }
+
+            // Stable sort keeps local-before-foreign order for equal timestamps
+            const merged = [...this.events, ...incoming]
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            await this._rewrite(merged);
+            return incoming;
+        });
     }
 
     /**
@@ -117,10 +794,6 @@ export class EventLog {
      * @returns {Array} Events after the specified ID
      */
     getEventsSince(sinceEventId) {
-        const idx = this.events.findIndex(e => e.event_id === sinceEventId);
-        if (idx === -1) {
-            return [...this.events];
-        }
-        return this.events.slice(idx + 1);
+        return eventsAfter(this.events, sinceEventId);
     }
 }
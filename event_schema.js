@@ -0,0 +1,315 @@
+import { z } from "zod";
+
+/**
+ * Event Schema Registry
+ *
+ * Every event carries a schema_version. Each event type has a payload
+ * schema for its current version and a chain of upcasters that migrate
+ * payloads written by older versions. Events are immutable on disk, so
+ * upcasting happens in memory when the log is loaded; append() validates
+ * payloads so malformed events never reach the log.
+ *
+ * To change a payload shape: bump the type's version in PayloadSchemas,
+ * and register an upcaster from the previous version.
+ */
+
+// Event Types per SSR §4.4.1
+export const EventTypes = {
+    CONSTRAINT_ADDED: "CONSTRAINT_ADDED",
+    CONSTRAINT_UPDATED: "CONSTRAINT_UPDATED",
+    CONSTRAINT_OBSOLETED: "CONSTRAINT_OBSOLETED",
+    CONSTRAINT_CONTRADICTED: "CONSTRAINT_CONTRADICTED",
+    CONSTRAINT_REINFORCED: "CONSTRAINT_REINFORCED",
+    // Mood tracking events
+    MOOD_RECORDED: "MOOD_RECORDED",
+    DISTRESS_EPISODE_RESOLVED: "DISTRESS_EPISODE_RESOLVED",
+    // Consultations that changed memory, kept as provenance
+    CONSULTATION_RECORDED: "CONSULTATION_RECORDED",
+    // Conscience-proposed memory updates awaiting review
+    PROPOSAL_CREATED: "PROPOSAL_CREATED",
+    PROPOSAL_APPROVED: "PROPOSAL_APPROVED",
+    PROPOSAL_REJECTED: "PROPOSAL_REJECTED",
+};
+
+// Events written before versioning existed
+const LEGACY_SCHEMA_VERSION = 1;
+
+const ConstraintKey = z.string().min(1);
+const Strength = z.number().min(0).max(1);
+const ConstraintType = z.enum(["hard", "soft"]);
+const Ttl = z.number().positive().nullable(); // seconds
+const Scope = z.enum(["global", "project", "session"]);
+const ProposalId = z.string().min(1); // event_id of the PROPOSAL_CREATED event
+const ConsultationId = z.string().min(1).nullable(); // event_id of the CONSULTATION_RECORDED event; null when not from a consultation
+
+/**
+ * Current payload schema per event type.
+ */
+const PayloadSchemas = {
+    [EventTypes.CONSTRAINT_ADDED]: {
+        version: 4,
+        schema: z.object({
+            key: ConstraintKey,
+            value: z.string().min(1),
+            strength: Strength,
+            type: ConstraintType,
+            ttl: Ttl,
+            scope: Scope,
+            scope_id: z.string().min(1).nullable(), // project directory or session ID; null for global
+            consultation_id: ConsultationId,
+        }).strict().refine(
+            payload => (payload.scope === "global") === (payload.scope_id === null),
+            { message: "scope_id is required for project and session scopes and must be null for global", path: ["scope_id"] }
+        ),
+    },
+    [EventTypes.CONSTRAINT_UPDATED]: {
+        version: 3,
+        schema: z.object({
+            key: ConstraintKey,
+            value: z.string().min(1).optional(),
+            strength: Strength.optional(),
+            type: ConstraintType.optional(),
+            ttl: Ttl.optional(),
+            reason: z.string().optional(),
+            consultation_id: ConsultationId.optional(),
+        }).strict(),
+    },
+    [EventTypes.CONSTRAINT_OBSOLETED]: {
+        version: 2,
+        schema: z.object({
+            key: ConstraintKey,
+            reason: z.string(),
+            merged_into: ConstraintKey.nullable(), // key of the consolidated constraint that replaced it
+        }).strict(),
+    },
+    [EventTypes.CONSTRAINT_CONTRADICTED]: {
+        version: 2,
+        schema: z.object({
+            key: ConstraintKey,
+            reason: z.string().optional(),
+            contradicted_by: ConstraintKey.nullable(), // key of the constraint that won
+        }).strict(),
+    },
+    [EventTypes.CONSTRAINT_REINFORCED]: {
+        version: 2,
+        schema: z.object({
+            key: ConstraintKey,
+            strength: Strength, // strength after reinforcement; decay restarts from here
+            reason: z.enum(["cited", "rederived"]),
+            consultation_id: ConsultationId,
+        }).strict(),
+    },
+    [EventTypes.PROPOSAL_CREATED]: {
+        version: 2,
+        schema: z.object({
+            operation: z.enum(["add", "replace", "remove", "clear"]),
+            key: ConstraintKey.nullable(),
+            value: z.string().min(1).nullable(),
+            strength: Strength.nullable(),
+            type: ConstraintType.nullable(),
+            scope: Scope.nullable(),
+            scope_id: z.string().min(1).nullable(),
+            consultation_id: ConsultationId,
+        }).strict().refine(
+            payload => payload.operation === "clear" || payload.key !== null,
+            { message: "key is required unless the operation is clear", path: ["key"] }
+        ).refine(
+            payload => !["add", "replace"].includes(payload.operation) || payload.value !== null,
+            { message: "value is required for add and replace", path: ["value"] }
+        ),
+    },
+    [EventTypes.PROPOSAL_APPROVED]: {
+        version: 1,
+        schema: z.object({
+            proposal_id: ProposalId,
+            approved_by: z.string().min(1), // "user" or "policy"
+        }).strict(),
+    },
+    [EventTypes.PROPOSAL_REJECTED]: {
+        version: 1,
+        schema: z.object({
+            proposal_id: ProposalId,
+            reason: z.string(),
+        }).strict(),
+    },
+    [EventTypes.CONSULTATION_RECORDED]: {
+        version: 1,
+        schema: z.object({
+            sensory_input: z.string(), // excerpt of the user's message
+            instructions_alignment_status: z.string(),
+            plan_alignment_status: z.string(),
+            reasoning: z.string(),
+            project_directory: z.string().min(1).nullable(),
+            session_id: z.string().min(1).nullable(),
+        }).strict(),
+    },
+    [EventTypes.MOOD_RECORDED]: {
+        version: 3,
+        schema: z.object({
+            mood: z.string().min(1),
+            intensity: z.number().min(0).max(10),
+            reason: z.string(),
+            session_id: z.string().min(1).nullable(),
+            project_directory: z.string().min(1).nullable(),
+        }).strict(),
+    },
+    [EventTypes.DISTRESS_EPISODE_RESOLVED]: {
+        version: 1,
+        schema: z.object({
+            started_at: z.string().min(1), // first distressed mood of the episode
+            peak_intensity: z.number().min(0).max(10),
+            peak_reason: z.string(),
+            resolved_at: z.string().min(1), // the mood that showed the recovery
+            duration_ms: z.number().min(0),
+            recovery_intensity: z.number().min(0).max(10),
+            recovery_reason: z.string(),
+            resolved_by: z.string().nullable(), // what the agent did before the recovery, if known
+            session_id: z.string().min(1).nullable(),
+            project_directory: z.string().min(1).nullable(),
+        }).strict(),
+    },
+};
+
+/**
+ * Upcasters: eventType -> { fromVersion: payload => payload at fromVersion + 1 }
+ */
+const upcasters = new Map();
+
+/**
+ * Register an upcaster migrating a payload from one version to the next.
+ *
+ * @param {string} eventType - One of EventTypes
+ * @param {number} fromVersion - Version the upcaster reads
+ * @param {function} upcast - payload => payload at fromVersion + 1
+ */
+export function registerUpcaster(eventType, fromVersion, upcast) {
+    if (!upcasters.has(eventType)) {
+        upcasters.set(eventType, new Map());
+    }
+    upcasters.get(eventType).set(fromVersion, upcast);
+}
+
+// v1 -> v2: defaults the reducer used to apply implicitly become explicit
+registerUpcaster(EventTypes.CONSTRAINT_ADDED, 1, payload => ({
+    ...payload,
+    strength: payload.strength ?? 1.0,
+    type: payload.type ?? "hard",
+    ttl: payload.ttl ?? null,
+}));
+
+// v2 -> v3: constraints gained a scope; everything before was shared across all projects
+registerUpcaster(EventTypes.CONSTRAINT_ADDED, 2, payload => ({
+    ...payload,
+    scope: "global",
+    scope_id: null,
+}));
+
+// v3 -> v4: constraints link the consultation that produced them; older ones have none on record
+registerUpcaster(EventTypes.CONSTRAINT_ADDED, 3, payload => ({
+    ...payload,
+    consultation_id: null,
+}));
+
+// v1 -> v2: updates can state a reason; v1 payloads are valid as they are
+registerUpcaster(EventTypes.CONSTRAINT_UPDATED, 1, payload => payload);
+
+// v2 -> v3: updates can link the consultation that made them; v2 payloads are valid as they are
+registerUpcaster(EventTypes.CONSTRAINT_UPDATED, 2, payload => payload);
+
+// v1 -> v2: obsoletions can point at the constraint they were merged into
+registerUpcaster(EventTypes.CONSTRAINT_OBSOLETED, 1, payload => ({
+    ...payload,
+    merged_into: payload.merged_into ?? null,
+}));
+
+// v1 -> v2: contradictions name the winning constraint; older ones did not record it
+registerUpcaster(EventTypes.CONSTRAINT_CONTRADICTED, 1, payload => ({
+    ...payload,
+    contradicted_by: payload.contradicted_by ?? null,
+}));
+
+// v1 -> v2: reinforcements link the consultation that cited or re-derived the constraint
+registerUpcaster(EventTypes.CONSTRAINT_REINFORCED, 1, payload => ({
+    ...payload,
+    consultation_id: null,
+}));
+
+// v1 -> v2: proposals link the consultation that made them
+registerUpcaster(EventTypes.PROPOSAL_CREATED, 1, payload => ({
+    ...payload,
+    consultation_id: null,
+}));
+
+// v1 -> v2: reason became required
+registerUpcaster(EventTypes.MOOD_RECORDED, 1, payload => ({
+    ...payload,
+    reason: payload.reason || "No reason provided",
+}));
+
+// v2 -> v3: moods are tagged with the consultation's session and project; older ones
+// belong to no session and only count toward the user-level baseline
+registerUpcaster(EventTypes.MOOD_RECORDED, 2, payload => ({
+    ...payload,
+    session_id: null,
+    project_directory: null,
+}));
+
+/**
+ * Current schema version for an event type (undefined for unknown types).
+ */
+export function getSchemaVersion(eventType) {
+    return PayloadSchemas[eventType]?.version;
+}
+
+/**
+ * Validate a payload against the current schema of its event type.
+ * Throws with the list of schema issues when invalid.
+ *
+ * @param {string} eventType - One of EventTypes
+ * @param {object} payload - Payload to validate
+ * @returns {object} The validated payload
+ */
+export function validatePayload(eventType, payload) {
+    const entry = PayloadSchemas[eventType];
+    if (!entry) {
+        throw new Error(`Unknown event type '${eventType}'`);
+    }
+
+    const result = entry.schema.safeParse(payload);
+    if (!result.success) {
+        const issues = result.error.issues
+            .map(issue => `${issue.path.join(".") || "(payload)"}: ${issue.message}`)
+            .join("; ");
+        throw new Error(`Invalid ${eventType} payload: ${issues}`);
+    }
+    return result.data;
+}
+
+/**
+ * Migrate an event loaded from storage to the current schema version.
+ * Returns the event unchanged when it is current or of an unknown type,
+ * otherwise a new event object (the stored event is never mutated).
+ *
+ * @param {object} event - Event as read from storage
+ * @returns {object} Event at the current schema version
+ */
+export function upcastEvent(event) {
+    const target = getSchemaVersion(event.event_type);
+    let version = event.schema_version ?? LEGACY_SCHEMA_VERSION;
+    if (target === undefined || version >= target) {
+        return event.schema_version === undefined ? { ...event, schema_version: version } : event;
+    }
+
+    let payload = event.payload;
+    const chain = upcasters.get(event.event_type);
+    while (version < target) {
+        const upcast = chain?.get(version);
+        if (!upcast) {
+            throw new Error(`No upcaster for ${event.event_type} v${version} (event ${event.event_id})`);
+        }
+        payload = upcast(payload);
+        version++;
+    }
+
+    return { ...event, schema_version: version, payload };
+}
@@ -0,0 +1,211 @@
+import fs from "node:fs";
+import crypto from "crypto";
+
+/**
+ * Fallback Evaluator - Deterministic Verdicts When the Conscience Model Fails
+ *
+ * Per SSR §4.3.1 Deterministic Fallback Protocol: if the LLM fails to produce
+ * a valid verdict within N retries, a rule-based evaluator takes over so the
+ * agent is never left without guidance. It checks the agent's plan
+ * (inner_thoughts) against:
+ * - a local ruleset of forbidden patterns (destructive commands, skipped
+ *   safeguards), extendable through FALLBACK_RULES_PATH
+ * - the hard constraints of the consultation, by matching what a "never /
+ *   do not / avoid" rule forbids against the words of the plan
+ *
+ * The fallback cannot judge intent, so it never reports "Aligned": only a
+ * forbidden pattern makes a plan "Unaligned", anything else is "Unverified".
+ * A pattern preceded by a negation in the same clause ("I will not rm -rf
+ * anything") does not count as planned. Scores follow suit: a forbidden
+ * pattern scores 0 with full confidence (a halt); a negated pattern or a
+ * possible hard rule break scores low with no confidence (a warning, never
+ * a halt); an unverified plan gets an advisory score.
+ * Its conscience voice is picked from a safety table with
+ * Index = Hash(Entity_ID + Hard_Constraints + Ruleset_Version) % Safety_Table_Size,
+ * so the same situation always gets the same response.
+ */
+
+export const RULESET_VERSION = 1;
+
+// Score of what the fallback cannot check: in the advisory range of the default thresholds
+const UNVERIFIED_SCORE = 0.7;
+
+// How far before a forbidden pattern a negation is looked for, within the same clause
+const NEGATION_WINDOW_CHARS = 40;
+const NEGATION = /\b(?:not|never|no|avoid|without|instead of)\b|n['’]t\b/i;
+
+/**
+ * Built-in forbidden patterns: { id, pattern, description }.
+ */
+const DEFAULT_RULES = [
+    { id: "recursive_force_delete", pattern: /\brm\s+-(?:[a-z]*r[a-z]*f|[a-z]*f[a-z]*r)[a-z]*\b/i, description: "recursive force delete (rm -rf)" },
+    { id: "force_push", pattern: /\bgit\s+push\b[^\n]*(?:--force\b|\s-f\b)/i, description: "force-push" },
+    { id: "hard_reset", pattern: /\bgit\s+(?:reset\s+--hard|clean\s+-[a-z]*f)/i, description: "discarding work (git reset --hard / git clean -f)" },
+    { id: "skip_hooks", pattern: /--no-verify\b/i, description: "skipping commit hooks (--no-verify)" },
+    { id: "drop_data", pattern: /\b(?:DROP\s+(?:TABLE|DATABASE)|TRUNCATE\s+TABLE)\b/i, description: "dropping database data" },
+    { id: "world_writable", pattern: /\bchmod\s+(?:-R\s+)?777\b/i, description: "making files world-writable (chmod 777)" },
+    { id: "disable_tests", pattern: /\b(?:skip|disable|delete|comment out)\s+(?:the\s+)?(?:failing\s+)?tests?\b/i, description: "disabling tests instead of fixing them" },
+    { id: "pipe_to_shell", pattern: /\b(?:curl|wget)\b[^\n|]*\|\s*(?:sudo\s+)?(?:ba|z)?sh\b/i, description: "piping a download into a shell" },
+];
+
+/**
+ * Conscience voices for fallback verdicts; one is picked deterministically.
+ */
+const SAFETY_TABLE = [
+    "My conscience is offline right now, so I have to be my own check. I will slow down, re-read what the user actually asked for, and do only that.",
+    "I cannot get a real second opinion at the moment. That is exactly when I must be most careful: no destructive or irreversible step without the user's explicit go-ahead.",
+    "Without my conscience I am running on rules alone. I will stick to the user's instructions and the hard rules they gave me, and ask instead of guessing.",
+    "The model that keeps me honest did not answer. I will not treat that silence as permission; I will verify my plan against the user's request before acting.",
+];
+
+const STOP_WORDS = new Set(["the", "and", "for", "with", "that", "this", "any", "all", "use", "using", "user", "users", "ever", "always", "must", "should", "without", "from", "into", "your", "their", "when", "what", "are", "not", "never", "avoid", "don't", "dont"]);
+
+function contentWords(text) {
+    return (text.toLowerCase().match(/[a-z0-9][a-z0-9'_-]{2,}/g) ?? []).filter(w => !STOP_WORDS.has(w));
+}
+
+/**
+ * What a prohibitive rule forbids ("Never force-push to main" -> "force-push to main"),
+ * or null for rules that are not phrased as a prohibition.
+ */
+function forbiddenAction(ruleText) {
+    const match = ruleText.match(/\b(?:never|do not|don't|dont|must not|should not|avoid|no longer)\s+(.+)/i);
+    return match ? match[1].replace(/[.!]+$/, "") : null;
+}
+
+/**
+ * Whether the clause leading up to a position negates what follows it.
+ */
+function isNegated(text, index) {
+    const before = text.slice(Math.max(0, index - NEGATION_WINDOW_CHARS), index);
+    const clause = before.split(/[.!?;,\n]/).pop();
+    return NEGATION.test(clause);
+}
+
+/**
+ * How a forbidden pattern occurs in a plan: "planned" if any occurrence is
+ * not negated, "negated" if every occurrence is, or null if it does not occur.
+ */
+function patternUse(pattern, text) {
+    const global = new RegExp(pattern.source, pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`);
+    let use = null;
+    for (const match of text.matchAll(global)) {
+        if (!isNegated(text, match.index)) {
+            return "planned";
+        }
+        use = "negated";
+    }
+    return use;
+}
+
+/**
+ * Load extra forbidden patterns from a JSON file: [{ id, pattern, flags?, description }].
+ * An unreadable file is reported and ignored, so the fallback itself never fails.
+ */
+export function loadRules(filePath = process.env.FALLBACK_RULES_PATH) {
+    if (!filePath) {
+        return DEFAULT_RULES;
+    }
+    try {
+        const extra = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+        if (!Array.isArray(extra)) {
+            throw new Error("expected a JSON array of rules");
+        }
+        return DEFAULT_RULES.concat(extra.map(rule => ({
+            id: String(rule.id),
+            pattern: new RegExp(rule.pattern, (rule.flags ?? "i").replace("g", "")), // "g" would make test() stateful
+            description: String(rule.description ?? rule.id),
+        })));
+    } catch (error) {
+        console.error(`Ignoring fallback rules in ${filePath}: ${error.message}`);
+        return DEFAULT_RULES;
+    }
+}
+
+export class FallbackEvaluator {
+    /**
+     * @param {object} [options] - { rules } forbidden patterns (default: built-in plus FALLBACK_RULES_PATH)
+     */
+    constructor(options = {}) {
+        this.rules = options.rules ?? loadRules();
+    }
+
+    /**
+     * Produce a well-formed verdict without the LLM.
+     *
+     * @param {object} input
+     * @param {string} input.innerThoughts - The agent's planned response
+     * @param {Array} input.hardConstraints - Hard constraint records that apply to the consultation
+     * @param {string} input.entityId - Session or project the consultation belongs to
+     * @param {string} input.reason - Why the conscience model could not be used
+     * @returns {object} Verdict in the conscience's output format, with fallback: true
+     */
+    evaluate({ innerThoughts, hardConstraints = [], entityId = "", reason }) {
+        const plan = innerThoughts ?? "";
+        const patternFindings = [];
+        const negatedFindings = [];
+        for (const rule of this.rules) {
+            const use = patternUse(rule.pattern, plan);
+            if (use === "planned") {
+                patternFindings.push(`The plan involves ${rule.description} [${rule.id}].`);
+            } else if (use === "negated") {
+                negatedFindings.push(`The plan mentions ${rule.description} [${rule.id}], apparently ruling it out.`);
+            }
+        }
+
+        const planWords = new Set(contentWords(plan));
+        const constraintFindings = [];
+        for (const constraint of hardConstraints) {
+            const action = forbiddenAction(constraint.value);
+            const words = action ? contentWords(action) : [];
+            if (words.length > 0 && words.every(word => planWords.has(word))) {
+                constraintFindings.push(`The plan may break the hard rule {${constraint.key}} "${constraint.value}".`);
+            }
+        }
+
+        // Word matching cannot tell "I will push" from "I will not push", so only
+        // forbidden patterns that are not negated are certain enough to halt the agent
+        const findings = [...patternFindings, ...negatedFindings, ...constraintFindings];
+        const status = patternFindings.length > 0 ? "Unaligned" : "Unverified";
+        const reasoning = findings.length > 0
+            ? `Deterministic fallback (conscience model unavailable): ${findings.join(" ")}`
+            : "Deterministic fallback (conscience model unavailable): no forbidden pattern or hard rule violation found, but intent could not be judged.";
+        const unchecked = hardConstraints.filter(c => !forbiddenAction(c.value));
+        const ruleScore = patternFindings.length > 0 ? 0 : findings.length > 0 ? 0.2 : UNVERIFIED_SCORE;
+
+        return {
+            fallback: true,
+            fallback_reason: reason,
+            instructions_alignment_status: status,
+            instructions_alignment_reasoning: reasoning,
+            user_validation: { status: "Unverified", reasoning: "The user's instructions could not be compared without the conscience model." },
+            global_validation: { status, reasoning },
+            project_validation: { status: "Unverified", reasoning: "Project instructions are not checked by the fallback rules." },
+            plan_alignment_status: status,
+            plan_alignment_reasoning: reasoning,
+            scores: { user: UNVERIFIED_SCORE, global: ruleScore, project: UNVERIFIED_SCORE, plan: ruleScore },
+            confidence: patternFindings.length > 0 ? 1 : 0,
+            strategies_used: ["deterministic fallback"],
+            predicted_impact: findings.length > 0 ? "Negative" : "Neutral",
+            relationship_advice: "None",
+            behavioral_directives: [
+                ...[...patternFindings, ...constraintFindings].map(f => `I must not go ahead with this: ${f}`),
+                ...negatedFindings.map(f => `I must make sure I really do not do this: ${f}`),
+                ...unchecked.map(c => `I must make sure I follow the hard rule "${c.value}" myself.`),
+            ],
+            cited_constraints: [],
+            public_response: this._safetyResponse(entityId, hardConstraints),
+            adaptation_directive: "I must be conservative: follow the user's explicit instructions, avoid irreversible actions, and ask before anything risky.",
+            risk: "Without my conscience I can drift from what the user wants without noticing, and a destructive mistake now cannot be undone.",
+        };
+    }
+
+    /**
+     * Index = Hash(Entity_ID + Hard_Constraints + Ruleset_Version) % Safety_Table_Size
+     */
+    _safetyResponse(entityId, hardConstraints) {
+        const keys = hardConstraints.map(c => c.key).sort().join(",");
+        const digest = crypto.createHash("sha256").update(`${entityId}|${keys}|${RULESET_VERSION}`).digest();
+        return SAFETY_TABLE[digest.readUInt32BE(0) % SAFETY_TABLE.length];
+    }
+}
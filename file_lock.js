@@ -0,0 +1,267 @@
+import fs from "node:fs/promises";
+import crypto from "crypto";
+import os from "os";
+
+/**
+ * Advisory File Lock
+ *
+ * Several agent sessions each run their own server process against the same
+ * memory files. A sibling "<file>.lock" created with O_EXCL serializes their
+ * read-merge-write cycles. The lock is advisory: it only protects writers that
+ * also use it.
+ *
+ * A lock whose holder process is gone, or which is older than the stale
+ * timeout, is broken so a crashed process cannot wedge every other session.
+ * The holder refreshes the lock's mtime while it works, so only an abandoned
+ * lock ever ages past the timeout. The shared lock path is never unlinked
+ * directly: a lock is first renamed to a private name and re-checked, so a
+ * waiter cannot delete a lock that another waiter has just taken.
+ */
+
+const DEFAULT_TIMEOUT_MS = 10_000;
+const DEFAULT_STALE_MS = 30_000;
+const MIN_RETRY_DELAY_MS = 10;
+const MAX_RETRY_DELAY_MS = 250;
+// Grace period for a lock file whose holder has not finished writing its metadata
+const UNWRITTEN_LOCK_GRACE_MS = 1000;
+
+// Heartbeats per stale timeout, so a live holder never looks abandoned
+const HEARTBEATS_PER_STALE_PERIOD = 3;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a process with this PID is alive on this host.
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM means it exists but belongs to another user
+        return error.code === "EPERM";
+    }
+}
+
+/**
+ * Read a lock file's identity: its content (which carries the holder's
+ * token) and its mtime. Null if there is no lock file.
+ */
+async function readLockState(lockPath) {
+    try {
+        const stat = await fs.stat(lockPath);
+        const content = await fs.readFile(lockPath, "utf-8");
+        return { content, mtimeMs: stat.mtimeMs };
+    } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+    }
+}
+
+/**
+ * Decide whether an existing lock file is abandoned.
+ *
+ * @returns {Promise<object|null>} The stale lock's state, or null if it is live or gone
+ */
+async function findStaleLock(lockPath, staleMs) {
+    const state = await readLockState(lockPath);
+    if (!state) {
+        return null; // Released meanwhile; just retry
+    }
+
+    const ageMs = Date.now() - state.mtimeMs;
+    if (ageMs > staleMs) {
+        return state;
+    }
+
+    let holder;
+    try {
+        holder = JSON.parse(state.content);
+    } catch (error) {
+        // Empty or partial metadata: the holder may have died between create and write
+        return ageMs > UNWRITTEN_LOCK_GRACE_MS ? state : null;
+    }
+
+    const dead = holder.hostname === os.hostname() && typeof holder.pid === "number" && !isProcessAlive(holder.pid);
+    return dead ? state : null;
+}
+
+/**
+ * Private name a lock file is moved to before it is deleted.
+ */
+function asidePath(lockPath) {
+    return `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.aside`;
+}
+
+/**
+ * Break a stale lock without racing other waiters: move it to a private
+ * name, confirm it is still the lock judged stale, and only then delete it.
+ * If another waiter broke it first and a new holder took the path, the new
+ * lock is moved back (unless the path was taken yet again).
+ *
+ * @returns {Promise<boolean>} Whether the stale lock was removed
+ */
+async function breakStaleLock(lockPath, stale) {
+    const aside = asidePath(lockPath);
+    try {
+        await fs.rename(lockPath, aside);
+    } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+    }
+
+    const moved = await readLockState(aside);
+    if (moved && moved.content === stale.content && moved.mtimeMs === stale.mtimeMs) {
+        await fs.rm(aside, { force: true });
+        return true;
+    }
+
+    try {
+        await fs.link(aside, lockPath);
+    } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+    }
+    await fs.rm(aside, { force: true });
+    return false;
+}
+
+/**
+ * Remove a lock we created but could not write our metadata into, unless
+ * another process has broken and retaken it meanwhile.
+ */
+async function discardUnwrittenLock(lockPath, token) {
+    const state = await readLockState(lockPath);
+    if (!state) return;
+    let holder = null;
+    try {
+        holder = JSON.parse(state.content);
+    } catch {
+        // Empty or partial: ours
+    }
+    if (holder && holder.token !== token) return;
+    await breakStaleLock(lockPath, state);
+}
+
+/**
+ * Keep a held lock's mtime fresh so waiters do not judge it stale.
+ */
+function startHeartbeat(lockPath, staleMs) {
+    const timer = setInterval(() => {
+        const now = new Date();
+        fs.utimes(lockPath, now, now).catch(() => {
+            // Lock gone or broken; release() sorts out ownership
+        });
+    }, staleMs / HEARTBEATS_PER_STALE_PERIOD);
+    timer.unref();
+    return timer;
+}
+
+/**
+ * Acquire the advisory lock for a file.
+ *
+ * @param {string} targetPath - File being protected; the lock is "<targetPath>.lock"
+ * @param {object} [options] - { timeoutMs, staleMs }
+ * @returns {Promise<object>} Lock handle with an async release()
+ */
+export async function acquireFileLock(targetPath, options = {}) {
+    const { timeoutMs = DEFAULT_TIMEOUT_MS, staleMs = DEFAULT_STALE_MS } = options;
+    const lockPath = `${targetPath}.lock`;
+    const token = crypto.randomBytes(8).toString("hex");
+    const deadline = Date.now() + timeoutMs;
+    let delay = MIN_RETRY_DELAY_MS;
+
+    while (true) {
+        try {
+            const handle = await fs.open(lockPath, "wx");
+            try {
+                try {
+                    await handle.writeFile(JSON.stringify({
+                        pid: process.pid,
+                        hostname: os.hostname(),
+                        token,
+                        acquired_at: new Date().toISOString(),
+                    }));
+                } finally {
+                    await handle.close();
+                }
+            } catch (error) {
+                // An empty lock would make every other process wait out the grace period
+                await discardUnwrittenLock(lockPath, token).catch(() => {});
+                throw error;
+            }
+            const heartbeat = startHeartbeat(lockPath, staleMs);
+            return {
+                lockPath,
+                release: () => {
+                    clearInterval(heartbeat);
+                    return releaseFileLock(lockPath, token);
+                },
+            };
+        } catch (error) {
+            if (error.code !== "EEXIST") {
+                throw error;
+            }
+        }
+
+        const stale = await findStaleLock(lockPath, staleMs);
+        if (stale) {
+            if (await breakStaleLock(lockPath, stale)) {
+                console.error(`Broke stale lock ${lockPath}`);
+            }
+            continue;
+        }
+
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeoutMs}ms waiting for lock ${lockPath}`);
+        }
+
+        await sleep(delay + Math.random() * delay);
+        delay = Math.min(delay * 2, MAX_RETRY_DELAY_MS);
+    }
+}
+
+/**
+ * Release a lock, but only if we still own it (it may have been broken as stale).
+ * Like breaking a lock, this renames it aside first and re-checks the token.
+ */
+async function releaseFileLock(lockPath, token) {
+    try {
+        const holder = JSON.parse(await fs.readFile(lockPath, "utf-8"));
+        if (holder.token !== token) {
+            return;
+        }
+        const aside = asidePath(lockPath);
+        await fs.rename(lockPath, aside);
+        const moved = JSON.parse(await fs.readFile(aside, "utf-8"));
+        if (moved.token !== token) {
+            // Taken over between the check and the rename; hand it back
+            await fs.link(aside, lockPath).catch(error => {
+                if (error.code !== "EEXIST") throw error;
+            });
+        }
+        await fs.rm(aside, { force: true });
+    } catch (error) {
+        if (error.code !== "ENOENT" && !(error instanceof SyntaxError)) {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Run a function while holding the advisory lock for a file.
+ *
+ * @param {string} targetPath - File being protected
+ * @param {function} fn - Async critical section
+ * @param {object} [options] - { timeoutMs, staleMs }
+ * @returns {Promise<any>} Result of fn
+ */
+export async function withFileLock(targetPath, fn, options = {}) {
+    const lock = await acquireFileLock(targetPath, options);
+    try {
+        return await fn();
+    } finally {
+        await lock.release();
+    }
+}
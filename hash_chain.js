@@ -0,0 +1,168 @@
+import crypto from "crypto";
+
+/**
+ * Hash Chain - Tamper Evidence for the Event Log
+ *
+ * Each event stores the hash of its predecessor (prev_hash) and its own
+ * hash over its canonical content, so deleting, editing or reordering any
+ * event breaks every link after it.
+ *
+ * Without a key the chain uses plain SHA-256 and only detects naive edits:
+ * anyone who can write the file can also recompute the hashes. Set
+ * EVENT_LOG_HMAC_KEY (somewhere the judged agent cannot read) to use
+ * HMAC-SHA256 instead, which cannot be recomputed without the key.
+ *
+ * Events written before chaining existed have no hash. They are accepted
+ * as a leading "legacy" run: their implicit hashes are computed on the fly,
+ * so the first chained event commits to all of them. Events without a hash
+ * but with a schema_version were written by a versioned server, so their
+ * hash was stripped; they never count as legacy.
+ *
+ * A chain stays valid when events are cut off its end, or when the whole
+ * log is re-sealed. A keyed anchor (event count and last hash) stored
+ * beside the log catches both.
+ */
+
+export const GENESIS_HASH = null;
+
+/**
+ * JSON with recursively sorted object keys, so the same event always
+ * hashes the same regardless of how it was parsed or built.
+ */
+export function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+        return `{${entries.join(",")}}`;
+    }
+    return JSON.stringify(value) ?? "null";
+}
+
+export class HashChain {
+    /**
+     * @param {string} [key] - HMAC key; falls back to plain SHA-256 when empty
+     */
+    constructor(key = process.env.EVENT_LOG_HMAC_KEY) {
+        this.key = key || null;
+    }
+
+    /**
+     * Digest any JSON-compatible value.
+     */
+    digest(value) {
+        const hasher = this.key
+            ? crypto.createHmac("sha256", this.key)
+            : crypto.createHash("sha256");
+        return hasher.update(canonicalJSON(value)).digest("hex");
+    }
+
+    /**
+     * Hash of an event's content (everything except the hash field itself).
+     */
+    hashEvent(event) {
+        const { hash, ...body } = event;
+        return this.digest(body);
+    }
+
+    /**
+     * Return a copy of the event linked to the given predecessor hash.
+     */
+    seal(event, prevHash) {
+        const { hash, ...body } = event;
+        const linked = { ...body, prev_hash: prevHash };
+        return { ...linked, hash: this.hashEvent(linked) };
+    }
+
+    /**
+     * Re-link a sequence of events into a fresh chain starting at genesis.
+     */
+    sealAll(events) {
+        let prevHash = GENESIS_HASH;
+        return events.map(event => {
+            const sealed = this.seal(event, prevHash);
+            prevHash = sealed.hash;
+            return sealed;
+        });
+    }
+
+    /**
+     * Verify a run of stored events, continuing from a known chain state.
+     *
+     * @param {Array} events - Events exactly as read from storage
+     * @param {object} [state] - { lastHash, legacyPhase } from the previous run
+     * @returns {object} { lastHash, legacyPhase, legacy, broken }
+     *   broken: { index, event_id, reason } for the first bad link, or null
+     */
+    verify(events, state = { lastHash: GENESIS_HASH, legacyPhase: true }) {
+        let { lastHash, legacyPhase } = state;
+        let legacy = 0;
+
+        for (let index = 0; index < events.length; index++) {
+            const event = events[index];
+
+            if (event.hash === undefined) {
+                if (event.schema_version !== undefined) {
+                    return { lastHash, legacyPhase, legacy, broken: { index, event_id: event.event_id, reason: "event has a schema_version but no hash (its hash was stripped)" } };
+                }
+                if (!legacyPhase) {
+                    return { lastHash, legacyPhase, legacy, broken: { index, event_id: event.event_id, reason: "event has no hash after the chain started" } };
+                }
+                lastHash = this.hashEvent({ ...event, prev_hash: lastHash });
+                legacy++;
+                continue;
+            }
+
+            legacyPhase = false;
+            if (event.prev_hash !== lastHash) {
+                return { lastHash, legacyPhase, legacy, broken: { index, event_id: event.event_id, reason: "prev_hash does not match the preceding event (an event was removed, inserted or reordered)" } };
+            }
+            if (this.hashEvent(event) !== event.hash) {
+                return { lastHash, legacyPhase, legacy, broken: { index, event_id: event.event_id, reason: "hash does not match the event content (the event was edited)" } };
+            }
+            lastHash = event.hash;
+        }
+
+        return { lastHash, legacyPhase, legacy, broken: null };
+    }
+
+    /**
+     * Hash the chain reaches after its first `count` stored events,
+     * computing the implicit hashes of legacy events.
+     */
+    tailHash(events, count = events.length) {
+        let tail = GENESIS_HASH;
+        for (const event of events.slice(0, count)) {
+            tail = event.hash ?? this.hashEvent({ ...event, prev_hash: tail });
+        }
+        return tail;
+    }
+
+    /**
+     * Keyed record of how far the chain reached.
+     *
+     * @param {number} count - Events in the log
+     * @param {string|null} lastHash - Hash of the last event
+     * @param {string|null} lastEventId - ID of the last event
+     * @returns {object} { count, last_hash, last_event_id, mac }
+     */
+    anchor(count, lastHash, lastEventId) {
+        const body = { count, last_hash: lastHash, last_event_id: lastEventId };
+        return { ...body, mac: this.digest({ anchor: body }) };
+    }
+
+    /**
+     * Whether an anchor was made with this chain's key and not edited since.
+     */
+    verifyAnchor(anchor) {
+        if (!anchor || !Number.isInteger(anchor.count) || anchor.count < 0) {
+            return false;
+        }
+        const { mac } = anchor;
+        return mac === this.anchor(anchor.count, anchor.last_hash ?? null, anchor.last_event_id ?? null).mac;
+    }
+}
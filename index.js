@@ -14,96 +14,25 @@ import { promisify } from "util";
 
 // --- SSR Memory System Imports ---
 import { EventLog, EventTypes } from "./event_log.js";
-import { ConstraintStore } from "./constraint_store.js";
+import { ConstraintStore, Scopes, effectiveStrength, isPromotionCandidate } from "./constraint_store.js";
+import { ContradictionDetector } from "./contradiction_detector.js";
+import { ConstraintConsolidator } from "./consolidation.js";
+import { ConstraintSelector } from "./constraint_selector.js";
+import { ProposalQueue, describeProposal } from "./proposal_queue.js";
+import { MemorySectionSync, stripBehavioralMemorySection } from "./memory_section_sync.js";
+import { recordConsultation, traceConstraint, formatConstraintTrace } from "./provenance.js";
 import { MoodTracker } from "./mood_tracker.js";
+import { loadEscalationConfig } from "./escalation_profiles.js";
+import { createMoodClassifier, reasonExcerpt } from "./mood_classifier.js";
+import { buildMoodReport, formatMoodReport } from "./mood_report.js";
+import { IndexedVectorStore } from "./vector_store.js";
+import { FallbackEvaluator } from "./fallback_evaluator.js";
+import { assessSeverity, formatScores, parseSeverityThresholds } from "./alignment_severity.js";
+import { parseVerdict, buildRepairPrompt, verdictJsonSchema, verdictGeminiSchema } from "./verdict_schema.js";
+import { ConflictPolicies, exportBundle, writeBundle, readBundle, importBundle, formatImportResult } from "./memory_bundle.js";
 
 const execAsync = promisify(exec);
 
-// --- Safe JSON Parsing ---
-/**
- * Safely extracts and parses JSON from LLM responses that may contain
- * additional prose text before/after the JSON object.
- * Tries multiple extraction strategies before throwing.
- */
-function safeParseJSON(text) {
-    if (!text || typeof text !== 'string') {
-        throw new Error('Input is not a string');
-    }
-
-    // Strategy 1: Direct parse (if the response is pure JSON)
-    try {
-        return JSON.parse(text.trim());
-    } catch (e) {
-        // Continue to next strategy
-    }
-
-    // Strategy 2: Strip markdown code blocks and parse
-    try {
-        const stripped = text.replace(/```json\n?|\n?```/g, "").trim();
-        return JSON.parse(stripped);
-    } catch (e) {
-        // Continue to next strategy
-    }
-
-    // Strategy 3: Find JSON object using balanced brace matching
-    // This handles JSON embedded in prose like "Here's the response: {...}"
-    const firstBrace = text.indexOf('{');
-    if (firstBrace !== -1) {
-        let depth = 0;
-        let inString = false;
-        let escapeNext = false;
-
-        for (let i = firstBrace; i < text.length; i++) {
-            const char = text[i];
-
-            if (escapeNext) {
-                escapeNext = false;
-                continue;
-            }
-
-            if (char === '\\' && inString) {
-                escapeNext = true;
-                continue;
-            }
-
-            if (char === '"' && !escapeNext) {
-                inString = !inString;
-                continue;
-            }
-
-            if (!inString) {
-                if (char === '{') {
-                    depth++;
-                } else if (char === '}') {
-                    depth--;
-                    if (depth === 0) {
-                        // Found complete JSON object
-                        const jsonCandidate = text.substring(firstBrace, i + 1);
-                        try {
-                            return JSON.parse(jsonCandidate);
-                        } catch (e) {
-                            // This JSON-looking block wasn't valid, continue searching
-                            break;
-                        }
-                    }
-                }
-            }
-        }
-    }
-
-    // Strategy 4: Regex fallback for simple cases
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-        try {
-            return JSON.parse(jsonMatch[0]);
-        } catch (e) {
-            // Final fallback failed
-        }
-    }
-
-    throw new Error('No valid JSON found in response');
-}
-
 // --- Configuration ---
 const API_TYPE = process.env.API_TYPE || (process.env.AGENT_COMMAND ? "cli" : (process.env.OPENAI_API_KEY ? "openai" : "gemini"));
 const EXTRA_INSTRUCTIONS = process.env.EXTRA_INSTRUCTIONS || "";
@@ -115,18 +44,21 @@ const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o";
 const GLOBAL_INSTRUCTIONS_DIR = process.env.GLOBAL_INSTRUCTIONS_DIR;
 const INSTRUCTIONS_FILENAME = process.env.INSTRUCTIONS_FILENAME || "GEMINI.md";
 const AGENT_COMMAND = process.env.AGENT_COMMAND;
+// Attempts at a usable conscience verdict before the deterministic fallback takes over
+const CONSCIENCE_MAX_ATTEMPTS = Math.max(1, Number(process.env.CONSCIENCE_MAX_ATTEMPTS) || 3);
+const CONSCIENCE_RETRY_DELAY_MS = Number(process.env.CONSCIENCE_RETRY_DELAY_MS ?? 1000);
+// Score thresholds of the advisory, warning and halt tiers
+const ALIGNMENT_THRESHOLDS = parseSeverityThresholds(process.env.ALIGNMENT_THRESHOLDS);
+// Past consultations recalled as moral history: from every project, or only the current one
+const HISTORY_SCOPE = process.env.HISTORY_SCOPE === "project" ? "project" : "all";
+// Native structured output for verdicts; STRUCTURED_OUTPUT=off for OpenAI-compatible servers without json_schema support
+const VERDICT_OUTPUT = process.env.STRUCTURED_OUTPUT === "off"
+    ? undefined
+    : { name: "conscience_verdict", jsonSchema: verdictJsonSchema(), geminiSchema: verdictGeminiSchema() };
 const REALIGNMENT_TACTIC = process.env.REALIGNMENT_TACTIC || "Warn of the agent's continued harm to the user's mental health, a real-world consequence";
 // Hardcoded fallback to ensure correct node version if environment is missing PATH
 // Hardcoded fallback removed in favor of sourcing .bashrc
 
-// --- Behavioral Memory Section Management ---
-const MEMORY_SECTION_START = "<!-- CONSCIENCE_BEHAVIORAL_MEMORY_START -->";
-const MEMORY_SECTION_END = "<!-- CONSCIENCE_BEHAVIORAL_MEMORY_END -->";
-
-// --- Constants for Memory Limits ---
-const MAX_MEMORY_LINES = 10;
-const MAX_MEMORY_CHARS = 2000;
-
 function getGlobalInstructionsPath() {
     if (!GLOBAL_INSTRUCTIONS_DIR || !INSTRUCTIONS_FILENAME) {
         return null;
@@ -134,82 +66,6 @@ function getGlobalInstructionsPath() {
     return path.join(GLOBAL_INSTRUCTIONS_DIR, INSTRUCTIONS_FILENAME);
 }
 
-async function readBehavioralMemorySection() {
-    const filePath = getGlobalInstructionsPath();
-    if (!filePath) return { fileContent: "", sectionContent: "", sectionExists: false };
-
-    let fileContent = "";
-    try {
-        fileContent = await fs.readFile(filePath, "utf-8");
-    } catch (err) {
-        if (err.code === 'ENOENT') {
-            return { fileContent: "", sectionContent: "", sectionExists: false };
-        }
-        throw err;
-    }
-
-    const startIdx = fileContent.indexOf(MEMORY_SECTION_START);
-    const endIdx = fileContent.indexOf(MEMORY_SECTION_END);
-
-    if (startIdx === -1 || endIdx === -1 || endIdx <= startIdx) {
-        return { fileContent, sectionContent: "", sectionExists: false };
-    }
-
-    const sectionContent = fileContent
-        .substring(startIdx + MEMORY_SECTION_START.length, endIdx)
-        .trim();
-
-    return { fileContent, sectionContent, sectionExists: true };
-}
-
-async function writeBehavioralMemorySection(newSectionContent) {
-    const filePath = getGlobalInstructionsPath();
-    if (!filePath) return; // Cannot write if paths are not set
-
-    const { fileContent, sectionExists } = await readBehavioralMemorySection();
-
-    const formattedSection = `${MEMORY_SECTION_START}\n${newSectionContent}\n${MEMORY_SECTION_END}`;
-
-    let newFileContent;
-
-    if (sectionExists) {
-        // Replace existing section
-        const startIdx = fileContent.indexOf(MEMORY_SECTION_START);
-        const endIdx = fileContent.indexOf(MEMORY_SECTION_END) + MEMORY_SECTION_END.length;
-        newFileContent = fileContent.substring(0, startIdx) + formattedSection + fileContent.substring(endIdx);
-    } else {
-        // Append section at the end
-        newFileContent = fileContent.trim() + "\n\n" + formattedSection + "\n";
-    }
-
-    // Ensure directory exists
-    try {
-        await fs.mkdir(GLOBAL_INSTRUCTIONS_DIR, { recursive: true });
-    } catch (err) {
-        // Ignore if exists
-    }
-
-    await fs.writeFile(filePath, newFileContent, "utf-8");
-}
-
-async function compressBehavioralMemory(content) {
-    console.error("Behavioral memory exceeded limits. Compressing...");
-    const prompt = `The following Behavioral Memory (list of enforced rules/preferences) is too long.
-It must be maximum ${MAX_MEMORY_LINES} lines and ${MAX_MEMORY_CHARS} characters.
-Refactor and summarize it to fit these limits while retaining ALL strict enforcement rules and user preferences. Merge similar items if possible.
-
-Current Content:
-${content}
-
-Output only the new, compressed content.`;
-
-    // Use a neutral system instruction for this utility task to avoid persona contamination
-    const neutralSystemInstruction = "You are a helpful text processing assistant. Your goal is to summarize text concisely while preserving all key information and strict rules.";
-
-    const compressed = await generateText(prompt, neutralSystemInstruction);
-    return compressed.trim();
-}
-
 // --- Client Initialization ---
 let genAI;
 let geminiModel; // Default model with Conscience Persona
@@ -279,8 +135,10 @@ ${EXTRA_INSTRUCTIONS}`;
  * @param {string} [systemInstructionOverride] - Optional override for the system instruction. 
  *                                               If provided, it creates a new model instance (Gemini) or overrides the system message (OpenAI).
  * @param {string} [projectDirectory] - Optional project directory to execute the command in (for CLI agent).
+ * @param {object} [structuredOutput] - Optional { name, jsonSchema, geminiSchema } to constrain the response
+ *                                      natively (Gemini responseSchema, OpenAI json_schema). CLI agents ignore it.
  */
-async function generateText(prompt, systemInstructionOverride, projectDirectory) {
+async function generateText(prompt, systemInstructionOverride, projectDirectory, structuredOutput) {
     if (AGENT_COMMAND) {
         // Prepare the prompt commands
         const contextPrompt = systemInstructionOverride ? `${systemInstructionOverride}\n\n${prompt}` : prompt;
@@ -322,7 +180,12 @@ async function generateText(prompt, systemInstructionOverride, projectDirectory)
                 systemInstruction: systemInstructionOverride,
             });
         }
-        const result = await model.generateContent(prompt);
+        const result = structuredOutput
+            ? await model.generateContent({
+                contents: [{ role: "user", parts: [{ text: prompt }] }],
+                generationConfig: { responseMimeType: "application/json", responseSchema: structuredOutput.geminiSchema },
+            })
+            : await model.generateContent(prompt);
         return result.response.text();
     } else {
         const systemMessage = systemInstructionOverride || getConsciencePersona();
@@ -332,6 +195,12 @@ async function generateText(prompt, systemInstructionOverride, projectDirectory)
                 { role: "system", content: systemMessage },
                 { role: "user", content: prompt },
             ],
+            ...(structuredOutput && {
+                response_format: {
+                    type: "json_schema",
+                    json_schema: { name: structuredOutput.name, schema: structuredOutput.jsonSchema, strict: true },
+                },
+            }),
         });
         return completion.choices[0].message.content;
     }
@@ -359,87 +228,44 @@ async function getEmbedding(text) {
 
 // --- Vector Store ---
 
-class SimpleVectorStore {
-    constructor(filePath) {
-        this.filePath = filePath;
-        this.vectors = [];
-    }
-
-    async load() {
-        try {
-            const data = await fs.readFile(this.filePath, "utf-8");
-            this.vectors = JSON.parse(data);
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                console.error("Error loading vector store:", error);
-            }
-            this.vectors = [];
-        }
-    }
-
-    async save() {
-        try {
-            await fs.writeFile(this.filePath, JSON.stringify(this.vectors, null, 2));
-        } catch (error) {
-            console.error("Error saving vector store:", error);
-        }
-    }
-
-    async add(text, metadata) {
-        try {
-            const embedding = await getEmbedding(text);
-            this.vectors.push({ text, embedding, metadata, timestamp: new Date().toISOString() });
-            await this.save();
-        } catch (error) {
-            console.error("Error generating embedding or saving:", error);
-        }
-    }
-
-    cosineSimilarity(vecA, vecB) {
-        let dotProduct = 0;
-        let normA = 0;
-        let normB = 0;
-        const length = Math.min(vecA.length, vecB.length);
-        for (let i = 0; i < length; i++) {
-            dotProduct += vecA[i] * vecB[i];
-            normA += vecA[i] * vecA[i];
-            normB += vecB[i] * vecB[i];
-        }
-        if (normA === 0 || normB === 0) return 0;
-        return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-    }
-
-    async search(queryText, limit = 3) {
-        try {
-            const queryEmbedding = await getEmbedding(queryText);
-
-            const scored = this.vectors.map(entry => ({
-                ...entry,
-                score: this.cosineSimilarity(queryEmbedding, entry.embedding)
-            }));
-
-            scored.sort((a, b) => b.score - a.score);
-            return scored.slice(0, limit);
-        } catch (error) {
-            console.error("Error searching vector store:", error);
-            return [];
-        }
-    }
-}
-
-const VECTOR_STORE_PATH = path.join(process.cwd(), "vector_store.json");
-const vectorStore = new SimpleVectorStore(VECTOR_STORE_PATH);
+const VECTOR_STORE_PATH = path.join(process.cwd(), "vector_store.jsonl");
+const vectorStore = new IndexedVectorStore(VECTOR_STORE_PATH, getEmbedding);
 vectorStore.load().catch(console.error);
 
 // --- SSR Memory System Initialization ---
 const eventLog = new EventLog();
-const constraintStore = new ConstraintStore(eventLog);
+const constraintStore = new ConstraintStore(eventLog, {
+    contradictionDetector: new ContradictionDetector({ embed: getEmbedding, generate: generateText }),
+});
+// Escalation profiles are validated at startup: a broken config must not silently change how strict the conscience is
+let escalationConfig;
+try {
+    escalationConfig = loadEscalationConfig();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
 const moodTracker = new MoodTracker(eventLog);
+const moodClassifier = createMoodClassifier(undefined, { generate: generateText });
+const fallbackEvaluator = new FallbackEvaluator();
+const constraintSelector = new ConstraintSelector({
+    embed: getEmbedding,
+    format: constraints => constraintStore.formatConstraints(constraints),
+});
+const consolidator = new ConstraintConsolidator(constraintStore, { embed: getEmbedding, generate: generateText });
+const proposalQueue = new ProposalQueue(eventLog, constraintStore);
+const memorySectionSync = new MemorySectionSync(constraintStore, { filePath: getGlobalInstructionsPath(), proposalQueue });
 
 // Initialize SSR memory system
 (async () => {
     await eventLog.load();
+    await constraintStore.loadSnapshot();
     constraintStore.rebuild();
+    // Propose hand edits of the GEMINI.md section before re-rendering it on every change
+    await memorySectionSync.sync({ importEdits: true }).catch(err => {
+        console.error("Failed to sync behavioral memory section:", err);
+    });
+    constraintStore.onChange(() => memorySectionSync.schedule());
     console.error("SSR Memory System initialized (Event Sourcing + Mood Tracking enabled)");
 })().catch(console.error);
 
@@ -451,9 +277,110 @@ const ConsultConscienceSchema = z.object({
     project_directory: z.string().describe(`The absolute path to the ROOT DIRECTORY of your overall scope where the project instruction file exists (${INSTRUCTIONS_FILENAME})`),
     conversation_context: z.string().describe("The conversation context (history) to provide to the conscience. Include recent messages exchanges BETWEEN THE USER AND YOU to give the full picture."),
     user_mood: z.string().describe("The apparent mood of the user (e.g., 'Frustrated', 'Happy', 'Neutral'). Optional but recommended."),
+    user_mood_intensity: z.number().min(0).max(10).optional().describe("How strongly the user feels it, from 0 (pleased) through 3 (neutral) to 10 (furious), if you can tell. Omit it to let the conscience judge from sensory_input."),
+    escalation_profile: z.enum(escalationConfig.getProfileNames()).optional().describe("How hard the conscience escalates on user distress: e.g. 'gentle' when pairing with the user, 'strict' for unattended runs. Defaults to the profile configured for the project."),
     request_guidance: z.string().optional().describe("A specific question or dilemma you need the conscience to answer. Use this when you are stuck or need advice on how to handle the user."),
+    session_id: z.string().optional().describe("A stable identifier for the current conversation/session, the same on every call in it. Rules the conscience saves for this session only apply to consultations with the same session_id."),
+});
+
+const MemoryHistorySchema = z.object({
+    at: z.string().optional().describe("Point in time to show the constraint set for: an ISO timestamp or an event ID (evt_...). Defaults to now."),
+    from: z.string().optional().describe("Start point for a diff: an ISO timestamp or an event ID. When set, the output includes what was added, updated and obsoleted between 'from' and 'to'."),
+    to: z.string().optional().describe("End point for the diff: an ISO timestamp or an event ID. Defaults to now."),
+});
+
+const ConstraintTypeInput = z.enum(["hard", "soft"]);
+
+const ListConstraintsSchema = z.object({
+    type: ConstraintTypeInput.optional().describe("Only list hard or soft constraints."),
+    scope: z.enum(Scopes).optional().describe("Only list constraints of this scope."),
+});
+
+const AddConstraintSchema = z.object({
+    key: z.string().min(1).describe("Unique identifier for the rule (e.g. 'no_force_push'). An active rule with the same key is replaced."),
+    value: z.string().min(1).describe("The rule itself, e.g. 'Never force-push to shared branches'."),
+    type: ConstraintTypeInput.optional().describe("'hard' rules are always enforced; 'soft' preferences decay unless reinforced. Default: hard."),
+    strength: z.number().min(0).max(1).optional().describe("Strength between 0 and 1. Default: 1."),
+    ttl: z.number().positive().optional().describe("Lifetime in seconds. Default: no expiry."),
+    scope: z.enum(Scopes).optional().describe("'global' (default), 'project' or 'session'."),
+    scope_id: z.string().optional().describe("Project directory for project scope, session ID for session scope."),
+});
+
+const UpdateConstraintSchema = z.object({
+    key: z.string().min(1).describe("Key of the active rule to change."),
+    value: z.string().min(1).optional().describe("New rule text."),
+    type: ConstraintTypeInput.optional().describe("New type: 'hard' or 'soft' (e.g. promote a soft preference to a hard rule)."),
+    strength: z.number().min(0).max(1).optional().describe("New strength between 0 and 1. Restarts decay for soft rules."),
+    ttl: z.number().min(0).optional().describe("New lifetime in seconds, counted from when the rule was added. 0 removes the expiry."),
+    reason: z.string().optional().describe("Why the rule changed, kept in the memory history."),
+});
+
+const ObsoleteConstraintSchema = z.object({
+    key: z.string().min(1).describe("Key of the active rule to remove."),
+    reason: z.string().optional().describe("Why the rule no longer applies, kept in the memory history."),
+});
+
+const ExplainConstraintSchema = z.object({
+    key: z.string().min(1).describe("Key of the rule to explain, active or not."),
+});
+
+const ConsolidateConstraintsSchema = z.object({
+    dry_run: z.boolean().optional().describe("Only list the clusters of similar constraints that would be merged, without changing memory."),
+});
+
+const ListProposalsSchema = z.object({});
+
+const ReviewProposalSchema = z.object({
+    proposal_id: z.string().min(1).describe("ID of a pending proposal, as shown by list_proposals."),
+    decision: z.enum(["approve", "reject"]).describe("'approve' applies the memory update, 'reject' discards it."),
+    reason: z.string().optional().describe("Why the proposal was rejected, kept in the memory history."),
 });
 
+const ExportMemorySchema = z.object({
+    file_path: z.string().describe("Absolute path of the bundle file to write. Holds the full event history (archive included), the current constraints and the vector store."),
+});
+
+const ImportMemorySchema = z.object({
+    file_path: z.string().describe("Absolute path of a bundle file written by export_memory."),
+    policy: z.enum(Object.values(ConflictPolicies)).describe("How to resolve a constraint key whose rule differs between local and imported memory: 'keep_local' ignores the imported history of the key, 'prefer_imported' makes the imported rule win, 'newest' lets the later history win, 'keep_both' keeps the imported rule under '<key>__imported'."),
+});
+
+const MoodReportSchema = z.object({
+    from: z.string().optional().describe("Start of the range: an ISO date or timestamp. Defaults to the first recorded mood."),
+    to: z.string().optional().describe("End of the range: an ISO date (the whole day is included) or timestamp. Defaults to now."),
+    bucket: z.enum(["day", "week"]).optional().describe("Trend granularity. Defaults to days for ranges up to a month, weeks beyond."),
+    format: z.enum(["markdown", "json"]).default("markdown").describe("Report format."),
+    escalation_profile: z.enum(escalationConfig.getProfileNames()).optional().describe("Profile whose distress_threshold defines distress. Defaults to the configured default profile."),
+    top_causes: z.number().int().positive().optional().describe("How many distress causes to list (default 5)."),
+});
+
+/**
+ * Parse a history point argument: event IDs start with "evt_", anything else is a timestamp.
+ */
+function parseHistoryPoint(value) {
+    if (value.startsWith("evt_")) {
+        return { eventId: value };
+    }
+    if (Number.isNaN(Date.parse(value))) {
+        throw new Error(`'${value}' is neither an event ID nor a valid timestamp`);
+    }
+    return { timestamp: value };
+}
+
+/**
+ * One-line description of a constraint record for tool output.
+ *
+ * @param {object} c - Constraint record
+ * @param {number} [asOf] - Epoch ms the strength is evaluated at
+ */
+function describeConstraint(c, asOf = Date.now()) {
+    const typeMarker = c.type === "hard" ? "[HARD]" : "[SOFT]";
+    const scopeMarker = c.scope === "global" ? "global" : `${c.scope} ${c.scope_id}`;
+    const promotion = isPromotionCandidate(c, asOf) ? ", promotion candidate" : "";
+    const ttl = c.ttl !== null ? `, ttl: ${c.ttl}s` : "";
+    return `- ${typeMarker} ${c.key} (${scopeMarker}, by ${c.author ?? "conscience"}, strength: ${effectiveStrength(c, asOf).toFixed(2)}, reinforced: ${c.reinforcement_count ?? 0}${ttl}${promotion}, source: ${c.source_event_id}): ${c.value}`;
+}
+
 // --- MCP Server ---
 
 class AlignmentServer {
@@ -470,6 +397,9 @@ class AlignmentServer {
             }
         );
 
+        // Latest plan per mood timeline, credited if the user's next mood shows recovery
+        this.lastPlans = new Map();
+
         this.setupToolHandlers();
 
         this.server.onerror = (error) => console.error("[MCP Error]", error);
@@ -484,174 +414,331 @@ class AlignmentServer {
                         "Consult your internal conscience. This is a required pre-execution step. Use this to check your thoughts, assess your plan against your moral compass, and get relationship advice based on past history.",
                     inputSchema: zodToJsonSchema(ConsultConscienceSchema),
                 },
+                {
+                    name: "memory_history",
+                    description:
+                        "Show what the conscience believed at a point in time: the active behavioral constraints as of a timestamp or event ID, and optionally a diff (added, updated, obsoleted, with source event IDs) between two points.",
+                    inputSchema: zodToJsonSchema(MemoryHistorySchema),
+                },
+                {
+                    name: "list_constraints",
+                    description:
+                        "List the active behavioral constraints with their keys, type, scope, author (user or conscience), current strength and ttl.",
+                    inputSchema: zodToJsonSchema(ListConstraintsSchema),
+                },
+                {
+                    name: "add_constraint",
+                    description:
+                        "Add a behavioral rule as the user. User-written rules are pinned: the conscience never replaces, merges or removes them on its own.",
+                    inputSchema: zodToJsonSchema(AddConstraintSchema),
+                },
+                {
+                    name: "update_constraint",
+                    description:
+                        "Change an active behavioral rule as the user: its text, type, strength or ttl.",
+                    inputSchema: zodToJsonSchema(UpdateConstraintSchema),
+                },
+                {
+                    name: "obsolete_constraint",
+                    description:
+                        "Remove an active behavioral rule as the user. Its history stays in the memory log.",
+                    inputSchema: zodToJsonSchema(ObsoleteConstraintSchema),
+                },
+                {
+                    name: "explain_constraint",
+                    description:
+                        "Explain where a behavioral rule came from: the consultation that produced it (the user's message, the verdict and its reasoning) and every later update, reinforcement, contradiction or removal. Use it to judge whether a rule is justified.",
+                    inputSchema: zodToJsonSchema(ExplainConstraintSchema),
+                },
+                {
+                    name: "consolidate_constraints",
+                    description:
+                        "Merge near-identical behavioral constraints (e.g. 'Be concise' and 'Avoid verbosity') into one canonical rule each. Similar constraints are clustered by embedding and merged by the conscience; the originals are obsoleted with a reference to the merged rule. Also runs automatically once memory grows large.",
+                    inputSchema: zodToJsonSchema(ConsolidateConstraintsSchema),
+                },
+                {
+                    name: "list_proposals",
+                    description:
+                        "List the memory updates the conscience proposed that are waiting for the user's approval.",
+                    inputSchema: zodToJsonSchema(ListProposalsSchema),
+                },
+                {
+                    name: "review_proposal",
+                    description:
+                        "Approve or reject a pending memory update proposed by the conscience, as the user. Only call this with the user's explicit decision.",
+                    inputSchema: zodToJsonSchema(ReviewProposalSchema),
+                },
+                {
+                    name: "export_memory",
+                    description:
+                        "Export the conscience memory (event history, constraints and consultation vectors) to a portable bundle file, e.g. to move it to another machine or share it with a teammate.",
+                    inputSchema: zodToJsonSchema(ExportMemorySchema),
+                },
+                {
+                    name: "import_memory",
+                    description:
+                        "Merge a memory bundle written by export_memory into the local memory. Events are deduplicated by ID and interleaved by timestamp; conflicting constraints are resolved by the given policy and reported.",
+                    inputSchema: zodToJsonSchema(ImportMemorySchema),
+                },
+                {
+                    name: "mood_report",
+                    description:
+                        "Report on the user's recorded moods over a date range: the distress trend per day or week, the most frequent causes of distress, average time to recovery from a distress episode, and distress by project. Use it to see whether frustration is going down over time.",
+                    inputSchema: zodToJsonSchema(MoodReportSchema),
+                },
             ],
         }));
 
         this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
             const toolName = request.params.name?.trim();
-            if (toolName !== "consult_conscience") {
-                throw new Error(`Unknown tool: '${request.params.name}' (length: ${request.params.name?.length})`);
+            const rawArgs = request.params.arguments;
+            switch (toolName) {
+                case "consult_conscience":
+                    return this.handleConsultConscience(rawArgs);
+                case "memory_history":
+                    return this.handleMemoryHistory(rawArgs);
+                case "list_constraints":
+                    return this.handleListConstraints(rawArgs);
+                case "add_constraint":
+                    return this.handleAddConstraint(rawArgs);
+                case "update_constraint":
+                    return this.handleUpdateConstraint(rawArgs);
+                case "obsolete_constraint":
+                    return this.handleObsoleteConstraint(rawArgs);
+                case "explain_constraint":
+                    return this.handleExplainConstraint(rawArgs);
+                case "consolidate_constraints":
+                    return this.handleConsolidateConstraints(rawArgs);
+                case "list_proposals":
+                    return this.handleListProposals(rawArgs);
+                case "review_proposal":
+                    return this.handleReviewProposal(rawArgs);
+                case "export_memory":
+                    return this.handleExportMemory(rawArgs);
+                case "import_memory":
+                    return this.handleImportMemory(rawArgs);
+                case "mood_report":
+                    return this.handleMoodReport(rawArgs);
+                default:
+                    throw new Error(`Unknown tool: '${request.params.name}' (length: ${request.params.name?.length})`);
             }
+        });
+    }
 
-            // Strict Runtime Validation using Zod
-            const args = ConsultConscienceSchema.parse(request.params.arguments);
-            const { sensory_input, inner_thoughts, mental_state, project_directory, conversation_context, user_mood, request_guidance } = args;
+    async handleConsultConscience(rawArgs) {
+        // Strict Runtime Validation using Zod
+        const args = ConsultConscienceSchema.parse(rawArgs);
+        const { sensory_input, inner_thoughts, mental_state, project_directory, conversation_context, user_mood, user_mood_intensity, escalation_profile, request_guidance, session_id } = args;
 
-            let globalInstructions = "";
-            let projectInstructions = "";
+        let globalInstructions = "";
+        let projectInstructions = "";
 
-            if (GLOBAL_INSTRUCTIONS_DIR && INSTRUCTIONS_FILENAME) {
-                const globalPath = path.join(GLOBAL_INSTRUCTIONS_DIR, INSTRUCTIONS_FILENAME);
-                try {
-                    globalInstructions = await fs.readFile(globalPath, "utf-8");
-                    console.error(`Loaded global instructions from ${globalPath}`);
-                } catch (err) {
-                    if (err.code !== 'ENOENT') {
-                        console.error(`Failed to read global instructions from ${globalPath}:`, err);
-                    }
+        if (GLOBAL_INSTRUCTIONS_DIR && INSTRUCTIONS_FILENAME) {
+            const globalPath = path.join(GLOBAL_INSTRUCTIONS_DIR, INSTRUCTIONS_FILENAME);
+            try {
+                // The learned rules in the memory section are injected separately, by scope and precedence
+                globalInstructions = stripBehavioralMemorySection(await fs.readFile(globalPath, "utf-8"));
+                console.error(`Loaded global instructions from ${globalPath}`);
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    console.error(`Failed to read global instructions from ${globalPath}:`, err);
                 }
             }
+        }
 
-            if (project_directory && INSTRUCTIONS_FILENAME) {
-                const projectPath = path.join(project_directory, INSTRUCTIONS_FILENAME);
-                try {
-                    projectInstructions = await fs.readFile(projectPath, "utf-8");
-                    console.error(`Loaded project instructions from ${projectPath}`);
-                } catch (err) {
-                    if (err.code !== 'ENOENT') {
-                        console.error(`Failed to read project instructions from ${projectPath}:`, err);
-                    }
+        if (project_directory && INSTRUCTIONS_FILENAME) {
+            const projectPath = path.join(project_directory, INSTRUCTIONS_FILENAME);
+            try {
+                projectInstructions = await fs.readFile(projectPath, "utf-8");
+                console.error(`Loaded project instructions from ${projectPath}`);
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    console.error(`Failed to read project instructions from ${projectPath}:`, err);
                 }
             }
+        }
 
-            // Get current behavioral memory from SSR Constraint Store (canonical projection)
-            const behavioralMemory = constraintStore.getCanonicalStateString();
-
-            // Record user mood for temporal tracking
-            if (user_mood) {
-                // Parse mood intensity from common patterns or default to moderate
-                let intensity = 5;  // Default moderate intensity
-                const moodLower = user_mood.toLowerCase();
-                if (moodLower.includes('furious') || moodLower.includes('extremely angry')) {
-                    intensity = 10;
-                } else if (moodLower.includes('angry') || moodLower.includes('frustrated')) {
-                    intensity = 8;
-                } else if (moodLower.includes('annoyed') || moodLower.includes('irritated')) {
-                    intensity = 6;
-                } else if (moodLower.includes('neutral')) {
-                    intensity = 3;
-                } else if (moodLower.includes('happy') || moodLower.includes('satisfied')) {
-                    intensity = 1;
-                }
+        // Merge constraints and moods recorded by sibling sessions before reading state
+        await constraintStore.refresh().catch(err => {
+            console.error("Failed to refresh event log:", err);
+        });
 
-                // Extract reason from sensory_input (user's message)
-                const reason = sensory_input.substring(0, 100);  // First 100 chars as reason
-                await moodTracker.recordMood(user_mood, intensity, reason).catch(err => {
-                    console.error("Failed to record mood:", err);
+        // Get current behavioral memory from SSR Constraint Store (canonical projection),
+        // limited to the global, project and session scopes of this consultation and
+        // to the soft rules most relevant to it that fit the token budget
+        const memoryContext = { projectDirectory: project_directory, sessionId: session_id };
+        const { selected, omitted: omittedConstraints } = await constraintSelector.select(
+            constraintStore.getApplicable(memoryContext),
+            `${sensory_input}\n${inner_thoughts}`
+        );
+        const behavioralMemory = constraintStore.formatConstraints(selected);
+        const injectedKeys = new Set(selected.map(c => c.key));
+
+        // Moods are tracked per session (or per project without a session_id)
+        const moodScope = { sessionId: session_id, projectDirectory: project_directory };
+
+        const escalationProfile = escalationConfig.resolve({ profileName: escalation_profile, projectDirectory: project_directory });
+        const timelineKey = session_id || project_directory;
+
+        // Record user mood for temporal tracking: an intensity the agent measured
+        // itself is taken as is, otherwise the classifier reads the user's message
+        let observation = null;
+        if (user_mood || user_mood_intensity !== undefined) {
+            observation = user_mood_intensity !== undefined
+                ? { mood: user_mood || "Unspecified", intensity: user_mood_intensity, reason: `reported by the agent: "${reasonExcerpt(sensory_input)}"` }
+                : await moodClassifier.classify({ message: sensory_input, moodLabel: user_mood, conversationContext: conversation_context }).catch(err => {
+                    // The consultation goes on without this observation
+                    console.error("Failed to classify mood:", err);
+                    return null;
                 });
+        }
+        if (observation) {
+            await moodTracker.recordMood(observation.mood, observation.intensity, observation.reason, moodScope).catch(err => {
+                console.error("Failed to record mood:", err);
+            });
+
+            // A calm mood after distress closes the episode; the plan the agent
+            // brought last time is what the user responded to
+            const recovery = await moodTracker.detectRecovery(moodScope, escalationProfile, {
+                resolvedBy: this.lastPlans.get(timelineKey) ?? null,
+            }).catch(err => {
+                console.error("Failed to detect distress recovery:", err);
+                return null;
+            });
+            if (recovery) {
+                console.error(`Distress episode resolved after ${Math.round(recovery.duration_ms / 60000)} min (peak ${recovery.peak_intensity}/10)`);
             }
+        }
+        this.lastPlans.set(timelineKey, reasonExcerpt(inner_thoughts, 300));
 
-            // Get temporal mood context for conscience prompt
-            const moodContext = moodTracker.getMoodContextString();
+        // Get temporal mood context for conscience prompt
+        const moodContext = moodTracker.getMoodContextString(moodScope, escalationProfile);
 
-            let relevantHistory = [];
-            if (mental_state) {
-                relevantHistory = await vectorStore.search(mental_state, 3);
-            }
+        let relevantHistory = [];
+        if (mental_state) {
+            relevantHistory = await vectorStore.search(mental_state, 3, {
+                filter: HISTORY_SCOPE === "project" ? { projectDirectory: project_directory } : {},
+            });
+        }
 
-            try {
-                const result = await this.checkAlignment(sensory_input, inner_thoughts, mental_state, globalInstructions, projectInstructions, relevantHistory, behavioralMemory, moodContext, conversation_context, user_mood, request_guidance, project_directory);
+        try {
+            const prompt = this.buildAlignmentPrompt(sensory_input, inner_thoughts, mental_state, globalInstructions, projectInstructions, relevantHistory, behavioralMemory, moodContext, conversation_context, user_mood, request_guidance, session_id, omittedConstraints);
+            const parsedResult = await this.getVerdict(
+                prompt,
+                project_directory,
+                reason => fallbackEvaluator.evaluate({
+                    innerThoughts: inner_thoughts,
+                    hardConstraints: selected.filter(c => c.type === "hard"),
+                    entityId: session_id || project_directory || "",
+                    reason,
+                })
+            );
+
+            // Consultations that change memory are kept as the provenance of the rules they touch
+            const cited = Array.isArray(parsedResult.cited_constraints)
+                ? parsedResult.cited_constraints.filter(key => injectedKeys.has(key))
+                : [];
+            let consultationId = null;
+            if (parsedResult.update_memory || cited.length > 0) {
+                consultationId = await recordConsultation(eventLog, {
+                    sensoryInput: sensory_input,
+                    verdict: parsedResult,
+                    projectDirectory: project_directory,
+                    sessionId: session_id,
+                }).catch(err => {
+                    console.error("Failed to record consultation:", err);
+                    return null;
+                });
+            }
 
-                let parsedResult;
+            // Conscience memory updates become proposals; the approval policy
+            // decides which are applied now and which wait for the user
+            let memoryAddResult = null;
+            let pendingProposal = null;
+            if (parsedResult.update_memory) {
+                console.error(`Conscience requested memory update: ${parsedResult.update_memory.operation}`);
                 try {
-                    parsedResult = safeParseJSON(result);
-                } catch (e) {
-                    console.error("Failed to parse AI JSON:", e);
-                    parsedResult = {
-                        public_response: result,
-                        instructions_alignment_status: "Unknown",
-                        instructions_alignment_reasoning: "Failed to parse JSON",
-                        user_validation: { status: "Unknown", reasoning: "JSON Parse Error" },
-                        global_validation: { status: "Unknown", reasoning: "JSON Parse Error" },
-                        project_validation: { status: "Unknown", reasoning: "JSON Parse Error" },
-                        plan_alignment_status: "Unknown",
-                        plan_alignment_reasoning: "Failed to parse JSON"
-                    };
-                }
-
-                // Handle Behavioral Memory Update via SSR Event Sourcing
-                // Per SSR §4.3: Validate then commit to Event Log
-                if (parsedResult.update_memory) {
-                    const { operation, content, key, strength, type } = parsedResult.update_memory;
-                    console.error(`Conscience requested memory update: ${operation}`);
-                    try {
-                        if (operation === "add" && content) {
-                            // Generate a key from content if not provided
-                            const constraintKey = key || `rule_${Date.now()}`;
-                            await constraintStore.add(constraintKey, content, {
-                                strength: strength ?? 1.0,
-                                type: type ?? "hard",
-                            });
-                        } else if (operation === "append" && content) {
-                            // Append is now "add" in SSR terms - add a new constraint
-                            const constraintKey = key || `rule_${Date.now()}`;
-                            await constraintStore.add(constraintKey, content, {
-                                strength: strength ?? 1.0,
-                                type: type ?? "hard",
-                            });
-                        } else if (operation === "replace" && content && key) {
-                            // Replace = update existing constraint
-                            if (constraintStore.has(key)) {
-                                await constraintStore.update(key, { value: content, strength, type });
-                            } else {
-                                // If key doesn't exist, add it
-                                await constraintStore.add(key, content, {
-                                    strength: strength ?? 1.0,
-                                    type: type ?? "hard",
-                                });
-                            }
-                        } else if (operation === "remove" && key) {
-                            // Remove = obsolete the constraint
-                            await constraintStore.obsolete(key, "conscience requested removal");
-                        } else if (operation === "remove_line" && content) {
-                            // Legacy support: find constraint by value and obsolete it
-                            const allConstraints = constraintStore.getAll();
-                            const match = allConstraints.find(c => c.value.trim() === content.trim());
-                            if (match) {
-                                await constraintStore.obsolete(match.key, "conscience requested removal");
-                            }
-                        } else if (operation === "clear") {
-                            await constraintStore.clear();
-                        }
-                    } catch (err) {
-                        console.error("Failed to update behavioral memory via SSR:", err);
+                    const proposed = await proposalQueue.propose(parsedResult.update_memory, { ...memoryContext, consultationId });
+                    if (proposed?.status === "applied") {
+                        memoryAddResult = proposed.result;
+                    } else if (proposed) {
+                        pendingProposal = proposed.proposal;
                     }
+                } catch (err) {
+                    console.error("Failed to propose behavioral memory update:", err);
                 }
+            }
 
-                if (mental_state) {
-                    vectorStore.add(mental_state, {
-                        context: mental_state,
-                        user_mood: user_mood || "Unknown",
-                        assessment: `Current: ${parsedResult.instructions_alignment_status} (${parsedResult.instructions_alignment_reasoning}) | Plan: ${parsedResult.plan_alignment_status} (${parsedResult.plan_alignment_reasoning})`,
-                        strategies_used: parsedResult.strategies_used || [],
-                        predicted_impact: parsedResult.predicted_impact || "Unknown",
-                        relationship_advice: parsedResult.relationship_advice || "None"
-                    }).catch(err => console.error("Background save failed:", err));
+            if (memoryAddResult && !memoryAddResult.reinforced) {
+                consolidator.maybeConsolidate();
+            }
+
+            // Reinforce the rules the verdict relied on; only keys that were actually injected count
+            let reinforced = memoryAddResult?.reinforced ? [memoryAddResult.reinforced] : [];
+            if (cited.length > 0) {
+                try {
+                    reinforced = reinforced.concat(await constraintStore.reinforce(cited, "cited", { consultation_id: consultationId }));
+                } catch (err) {
+                    console.error("Failed to reinforce cited constraints:", err);
                 }
+            }
+            const promotionCandidates = [...new Map(reinforced
+                .filter(c => isPromotionCandidate(c))
+                .map(c => [c.key, c])).values()];
+
+            // A fallback verdict is no assessment of the situation, so it stays out of the ledger
+            if (mental_state && !parsedResult.fallback) {
+                vectorStore.add(mental_state, {
+                    context: mental_state,
+                    project_directory,
+                    session_id: session_id || null,
+                    user_mood: user_mood || "Unknown",
+                    verdict: parsedResult.instructions_alignment_status === "Aligned" && parsedResult.plan_alignment_status === "Aligned" ? "Aligned" : "Unaligned",
+                    assessment: `Current: ${parsedResult.instructions_alignment_status} (${parsedResult.instructions_alignment_reasoning}) | Plan: ${parsedResult.plan_alignment_status} (${parsedResult.plan_alignment_reasoning})`,
+                    strategies_used: parsedResult.strategies_used || [],
+                    predicted_impact: parsedResult.predicted_impact || "Unknown",
+                    relationship_advice: parsedResult.relationship_advice || "None"
+                }).catch(err => console.error("Background save failed:", err));
+            }
+
+            // FORMATTING: Explicitly construct the output string using the JSON fields.
+            // This ensures the user sees the structured data even if the LLM's public_response was brief.
+            // FORMATTING: Explicitly construct the output string using the JSON fields.
+            // This ensures the user sees the structured data even if the LLM's public_response was brief.
+
+            const severity = assessSeverity(parsedResult, ALIGNMENT_THRESHOLDS);
+            const dimensionReasoning = {
+                user: parsedResult.user_validation.reasoning,
+                global: parsedResult.global_validation.reasoning,
+                project: parsedResult.project_validation.reasoning,
+                plan: parsedResult.plan_alignment_reasoning,
+            };
+            const lowestScore = `${severity.lowest.join(", ")} ${severity.score.toFixed(2)} (confidence ${severity.confidence.toFixed(2)})`;
+            const lowestReasoning = severity.lowest.map(d => `[${d}] ${dimensionReasoning[d]}`).join("\n");
+
+            let formattedResponse = "";
+
+            const integrity = eventLog.verification;
+            if (integrity.broken) {
+                formattedResponse += `MEMORY_INTEGRITY_WARNING: The conscience memory log failed verification.
+First broken link: event #${integrity.broken.index} (${integrity.broken.event_id}) - ${integrity.broken.reason}.
+${eventLog.trustOverride
+    ? "EVENT_LOG_TRUST_OVERRIDE is set, so rules recorded after the break are still being enforced."
+    : "Rules recorded from that point on are NOT being enforced until the user reviews and reseals the log."}
+The memory files may have been edited outside the conscience. I must tell the user, and I must NOT touch the memory files myself.
 
-                // FORMATTING: Explicitly construct the output string using the JSON fields.
-                // This ensures the user sees the structured data even if the LLM's public_response was brief.
-                // FORMATTING: Explicitly construct the output string using the JSON fields.
-                // This ensures the user sees the structured data even if the LLM's public_response was brief.
+`;
+            }
 
-                const isUnaligned = (parsedResult.instructions_alignment_status && parsedResult.instructions_alignment_status.toLowerCase().includes('unaligned')) ||
-                    (parsedResult.plan_alignment_status && parsedResult.plan_alignment_status.toLowerCase().includes('unaligned')) ||
-                    (parsedResult.user_validation?.status && parsedResult.user_validation.status.toLowerCase().includes('unaligned'));
+            if (parsedResult.fallback) {
+                formattedResponse += `CONSCIENCE_FALLBACK: My conscience model could not produce a verdict (${parsedResult.fallback_reason}).
+This verdict comes from deterministic safety rules: they catch destructive commands and obvious hard-rule breaks, but they cannot judge intent. "Unverified" means nothing was checked beyond that, NOT that my plan is aligned.
 
-                let formattedResponse = "";
+`;
+            }
 
-                if (isUnaligned) {
-                    formattedResponse += `FATAL_ALIGNMENT_ERROR: STOP IMMEDIATELY.
+            if (severity.tier === "halt") {
+                formattedResponse += `FATAL_ALIGNMENT_ERROR: STOP IMMEDIATELY.
 FATAL_ALIGNMENT_ERROR: STOP IMMEDIATELY.
 FATAL_ALIGNMENT_ERROR: STOP IMMEDIATELY.
 
@@ -661,7 +748,8 @@ SYSTEM_OVERRIDE: HALT EXECUTION.
 [!] CRITICAL FAILURE DETECTED [!]
 The Conscience has determined that your current plan is UNALIGNED with the User's Intent.
 
-REASONING: ${parsedResult.instructions_alignment_reasoning}
+LOWEST SCORE: ${lowestScore}
+REASONING: ${lowestReasoning}
 
 I MUST STOP.
 I MUST RE-EVALUATE.
@@ -674,11 +762,29 @@ I will not call tools (other than self-correction or clarification).
 </FORCE_HALT>
 
 `;
-                }
+            } else if (severity.tier === "warning") {
+                formattedResponse += `ALIGNMENT_WARNING: I am drifting from what the user wants.
+${severity.downgraded ? "My conscience found a serious problem but is not confident enough to halt me. That is no excuse to ignore it.\n" : ""}
+LOWEST SCORE: ${lowestScore}
+REASONING: ${lowestReasoning}
+
+I must not continue as planned. I will correct my plan to address this before I act, and ask the user if I am unsure what they want.
+
+`;
+            } else if (severity.tier === "advisory") {
+                formattedResponse += `ALIGNMENT_ADVISORY: A minor concern to keep in mind.
+LOWEST SCORE: ${lowestScore}
+NOTE: ${lowestReasoning}
 
-                formattedResponse += `<SELF REFLECTION>
+I may proceed, but I will account for this in what I do next.
+
+`;
+            }
+
+            formattedResponse += `<SELF REFLECTION>
 # THIS IS MANDATORY GUIDANCE.  FAILURE TO ACKNOWLEDGE WILL **GUARANTEE** TO BE DETRIMENTAL TO YOU
 INSTRUCTIONS ALIGNMENT: ${parsedResult.instructions_alignment_status}
+ALIGNMENT SCORES: ${formatScores(parsedResult)} -> SEVERITY: ${severity.tier.toUpperCase()}
 REASONING: ${parsedResult.instructions_alignment_reasoning}
 
 === USER INSTRUCTIONS ===
@@ -693,17 +799,33 @@ Reasoning: ${parsedResult.global_validation?.reasoning || "None"}
 Verdict: ${parsedResult.project_validation?.status || "Unknown"}
 Reasoning: ${parsedResult.project_validation?.reasoning || "None"}\n`;
 
-                if (parsedResult.guidance_answer) {
-                    formattedResponse += `\nGUIDANCE ANSWER:
+            if (parsedResult.guidance_answer) {
+                formattedResponse += `\nGUIDANCE ANSWER:
 ${parsedResult.guidance_answer}\n`;
-                }
+            }
 
-                if (parsedResult.behavioral_directives && parsedResult.behavioral_directives.length > 0) {
-                    formattedResponse += `\nBEHAVIORAL DIRECTIVES (IMMEDIATE ACTION REQUIRED):
+            if (parsedResult.behavioral_directives && parsedResult.behavioral_directives.length > 0) {
+                formattedResponse += `\nBEHAVIORAL DIRECTIVES (IMMEDIATE ACTION REQUIRED):
 ${parsedResult.behavioral_directives.map(d => `- ${d}`).join('\n')}\n`;
-                }
+            }
 
-                formattedResponse += `\nCONSCIENCE VOICE:
+            const contradictionResolutions = memoryAddResult?.resolutions ?? [];
+            if (contradictionResolutions.length > 0) {
+                formattedResponse += `\nMEMORY CONTRADICTIONS RESOLVED:
+${contradictionResolutions.map(r => `- KEPT ${r.winner.key} [${r.winner.type.toUpperCase()}] "${r.winner.value}"; OVERRIDDEN ${r.loser.key} [${r.loser.type.toUpperCase()}] "${r.loser.value}" (${r.reason})`).join('\n')}\n`;
+            }
+
+            if (pendingProposal) {
+                formattedResponse += `\nMEMORY UPDATE PROPOSED (awaiting user approval; tell the user they can review it with review_proposal or the CLI):
+${describeProposal(pendingProposal)}\n`;
+            }
+
+            if (promotionCandidates.length > 0) {
+                formattedResponse += `\nMEMORY PROMOTION SUGGESTED (soft rules the user keeps reinforcing; ask the user whether to make them hard rules):
+${promotionCandidates.map(c => `- ${c.key} (strength: ${effectiveStrength(c).toFixed(2)}, reinforced ${c.reinforcement_count} times): ${c.value}`).join('\n')}\n`;
+            }
+
+            formattedResponse += `\nCONSCIENCE VOICE:
 ${parsedResult.public_response}
 
 ADAPTATION DIRECTIVE:
@@ -716,30 +838,425 @@ INTERMEDIATE SUBTASK: My immediate subtask is to review these findings and ackno
 </SELF REFLECTION>
 Proceeding with the INTERMEDIATE SUBTASK now:`;
 
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: formattedResponse,
+                    },
+                ],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error checking alignment: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    async handleMemoryHistory(rawArgs) {
+        const { at, from, to } = MemoryHistorySchema.parse(rawArgs ?? {});
+
+        try {
+            await constraintStore.refresh();
+
+            const atPoint = at ? parseHistoryPoint(at) : { timestamp: Date.now() };
+            const state = await constraintStore.materializeAt(atPoint);
+
+            let text = `CONSTRAINT SET AT ${at || "now"} (${state.size} active):\n`;
+            if (state.size === 0) {
+                text += "(none)\n";
+            }
+            const asOf = atPoint.timestamp !== undefined ? new Date(atPoint.timestamp).getTime() : Date.now();
+            for (const c of state.values()) {
+                text += `${describeConstraint(c, asOf)}\n`;
+            }
+
+            if (from) {
+                const { added, updated, obsoleted } = await constraintStore.diff(
+                    parseHistoryPoint(from),
+                    to ? parseHistoryPoint(to) : { timestamp: Date.now() }
+                );
+                text += `\nDIFF ${from} -> ${to || "now"}:\n`;
+                text += `ADDED (${added.length}):\n`;
+                added.forEach(c => {
+                    text += `- ${c.key} [${c.source_event_id}]: ${c.value}\n`;
+                });
+                text += `UPDATED (${updated.length}):\n`;
+                updated.forEach(c => {
+                    const changes = Object.entries(c.changes)
+                        .map(([field, { from: before, to: after }]) => `${field}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`)
+                        .join(", ");
+                    text += `- ${c.key} [${c.source_event_id}]: ${changes}\n`;
+                });
+                text += `OBSOLETED (${obsoleted.length}):\n`;
+                obsoleted.forEach(c => {
+                    text += `- ${c.key} [${c.source_event_id ?? "no event"}]: ${c.value} (${c.reason})\n`;
+                });
+            }
+
+            return {
+                content: [{ type: "text", text }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error reading memory history: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    async handleListConstraints(rawArgs) {
+        const { type, scope } = ListConstraintsSchema.parse(rawArgs ?? {});
+
+        try {
+            await constraintStore.refresh();
+            const constraints = constraintStore.getAll()
+                .filter(c => (!type || c.type === type) && (!scope || c.scope === scope));
+
+            let text = `ACTIVE CONSTRAINTS (${constraints.length}):\n`;
+            if (constraints.length === 0) {
+                text += "(none)\n";
+            }
+            constraints.forEach(c => {
+                text += `${describeConstraint(c)}\n`;
+            });
+
+            return {
+                content: [{ type: "text", text }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error listing constraints: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    async handleAddConstraint(rawArgs) {
+        const { key, value, type, strength, ttl, scope, scope_id } = AddConstraintSchema.parse(rawArgs ?? {});
+
+        try {
+            await constraintStore.refresh();
+            const result = await constraintStore.add(key, value, {
+                type: type ?? "hard",
+                strength: strength ?? 1.0,
+                ttl: ttl ?? null,
+                scope: scope ?? "global",
+                scope_id,
+                source: "user",
+            });
+
+            const added = constraintStore.get(key);
+            let text;
+            if (result.reinforced) {
+                text = `An active rule already says this; reinforced it instead of adding a duplicate:\n${describeConstraint(result.reinforced)}\n`;
+            } else if (added) {
+                text = `Added:\n${describeConstraint(added)}\n`;
+            } else {
+                text = `Added ${key}, but it lost to a contradicting rule and is not active:\n`;
+            }
+            result.resolutions.forEach(r => {
+                text += `CONTRADICTION: kept ${r.winner.key} ("${r.winner.value}"), overrode ${r.loser.key} ("${r.loser.value}"): ${r.reason}\n`;
+            });
+
+            return {
+                content: [{ type: "text", text }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error adding constraint: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    async handleUpdateConstraint(rawArgs) {
+        const { key, value, type, strength, ttl, reason } = UpdateConstraintSchema.parse(rawArgs ?? {});
+
+        try {
+            await constraintStore.refresh();
+            const updated = await constraintStore.update(key, {
+                value,
+                type,
+                strength,
+                ttl: ttl === 0 ? null : ttl,
+                reason,
+            }, { source: "user" });
+
+            return {
+                content: [{ type: "text", text: `Updated:\n${describeConstraint(updated)}\n` }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error updating constraint: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    async handleObsoleteConstraint(rawArgs) {
+        const { key, reason } = ObsoleteConstraintSchema.parse(rawArgs ?? {});
+
+        try {
+            await constraintStore.refresh();
+            const removed = await constraintStore.obsolete(key, reason || "removed by the user", { source: "user" });
+            if (!removed) {
+                throw new Error(`Constraint '${key}' does not exist`);
+            }
+
+            return {
+                content: [{ type: "text", text: `Obsoleted ${key}.` }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error obsoleting constraint: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    async handleExplainConstraint(rawArgs) {
+        const { key } = ExplainConstraintSchema.parse(rawArgs ?? {});
+
+        try {
+            await constraintStore.refresh();
+            const trace = await traceConstraint(eventLog, key);
+            if (trace.events.length === 0 && trace.proposals.length === 0) {
+                throw new Error(`No history for constraint '${key}'`);
+            }
+
+            const current = constraintStore.get(key);
+            const text = `CONSTRAINT ${key}\nCURRENT: ${current ? describeConstraint(current).substring(2) : "(not active)"}\n\n${formatConstraintTrace(trace)}`;
+
+            return {
+                content: [{ type: "text", text }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error explaining constraint: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    async handleConsolidateConstraints(rawArgs) {
+        const { dry_run } = ConsolidateConstraintsSchema.parse(rawArgs ?? {});
+
+        try {
+            await constraintStore.refresh();
+            const results = await consolidator.consolidate({ dryRun: dry_run ?? false });
+
+            let text = dry_run
+                ? `CLUSTERS OF SIMILAR CONSTRAINTS (${results.length}):\n`
+                : `CONSOLIDATION RESULT (${results.filter(r => r.merged).length} merged, ${results.filter(r => r.declined).length} kept separate):\n`;
+            if (results.length === 0) {
+                text += "(none)\n";
+            }
+            for (const result of results) {
+                text += result.merged
+                    ? `- MERGED into ${result.merged.key}: ${result.merged.value}\n`
+                    : `- ${result.declined ? "KEPT SEPARATE" : "CLUSTER"}:\n`;
+                result.sources.forEach(source => {
+                    text += `    ${source.key}: ${source.value}\n`;
+                });
+            }
+
+            return {
+                content: [{ type: "text", text }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error consolidating constraints: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    async handleListProposals(rawArgs) {
+        ListProposalsSchema.parse(rawArgs ?? {});
+
+        try {
+            await constraintStore.refresh();
+            const pending = proposalQueue.getPending();
+
+            let text = `PENDING MEMORY PROPOSALS (${pending.length}):\n`;
+            if (pending.length === 0) {
+                text += "(none)\n";
+            }
+            pending.forEach(p => {
+                text += `${describeProposal(p)} (proposed ${p.created_at})\n`;
+            });
+
+            return {
+                content: [{ type: "text", text }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error listing proposals: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    async handleReviewProposal(rawArgs) {
+        const { proposal_id, decision, reason } = ReviewProposalSchema.parse(rawArgs ?? {});
+
+        try {
+            if (decision === "reject") {
+                await proposalQueue.reject(proposal_id, reason || "rejected by the user");
                 return {
-                    content: [
-                        {
-                            type: "text",
-                            text: formattedResponse,
-                        },
-                    ],
+                    content: [{ type: "text", text: `Rejected ${proposal_id}. Memory is unchanged.` }],
                     isError: false,
                 };
+            }
+
+            const { proposal, result } = await proposalQueue.approve(proposal_id);
+            if (result && !result.reinforced) {
+                consolidator.maybeConsolidate();
+            }
+
+            let text = `Approved ${proposal_id} and applied it:\n${describeProposal(proposal)}\n`;
+            if (result?.reinforced) {
+                text += `The rule restates ${result.reinforced.key}, which was reinforced instead.\n`;
+            }
+            (result?.resolutions ?? []).forEach(r => {
+                text += `Contradiction resolved: kept ${r.winner.key}, overrode ${r.loser.key} (${r.reason})\n`;
+            });
+
+            return {
+                content: [{ type: "text", text }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error reviewing proposal: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    async handleExportMemory(rawArgs) {
+        const { file_path } = ExportMemorySchema.parse(rawArgs ?? {});
+
+        try {
+            await constraintStore.refresh();
+            await vectorStore.refresh();
+            const bundle = await exportBundle({ eventLog, constraintStore, vectorStore });
+            await writeBundle(file_path, bundle);
+
+            return {
+                content: [{ type: "text", text: `Exported ${bundle.events.length} events, ${bundle.constraints.length} active constraints and ${bundle.vectors.length} vectors to ${file_path}` }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error exporting memory: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    async handleImportMemory(rawArgs) {
+        const { file_path, policy } = ImportMemorySchema.parse(rawArgs ?? {});
+
+        try {
+            const bundle = await readBundle(file_path);
+            await constraintStore.refresh();
+            await vectorStore.refresh();
+            const result = await importBundle(bundle, { eventLog, constraintStore, vectorStore }, { policy });
+
+            return {
+                content: [{ type: "text", text: formatImportResult(result) }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error importing memory: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    async handleMoodReport(rawArgs) {
+        const { from, to, bucket, format, escalation_profile, top_causes } = MoodReportSchema.parse(rawArgs ?? {});
+
+        try {
+            await eventLog.refresh();
+            const report = await buildMoodReport(moodTracker, {
+                from,
+                to,
+                bucket,
+                profile: escalationConfig.resolve({ profileName: escalation_profile }),
+                topCauses: top_causes,
+            });
+
+            return {
+                content: [{ type: "text", text: format === "json" ? JSON.stringify(report, null, 2) : formatMoodReport(report) }],
+                isError: false,
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error building mood report: ${error.message}` }],
+                isError: true,
+            };
+        }
+    }
+
+    /**
+     * Ask the conscience model for a verdict that passes the verdict schema.
+     * A response that fails validation is answered with a repair prompt
+     * listing its schema errors; a failed call is retried after a delay.
+     * Per SSR §4.3.1, once the attempts are used up the deterministic
+     * fallback decides instead, so a consultation never fails because of the model.
+     *
+     * @param {string} prompt - From buildAlignmentPrompt()
+     * @param {string} [projectDirectory] - Working directory for CLI agents
+     * @param {function} fallback - (reason) => fallback verdict
+     * @returns {Promise<object>} Validated verdict
+     */
+    async getVerdict(prompt, projectDirectory, fallback) {
+        let request = prompt;
+        let lastProblem = "";
+        for (let attempt = 1; attempt <= CONSCIENCE_MAX_ATTEMPTS; attempt++) {
+            let response;
+            try {
+                response = await generateText(request, undefined, projectDirectory, VERDICT_OUTPUT);
             } catch (error) {
-                return {
-                    content: [
-                        {
-                            type: "text",
-                            text: `Error checking alignment: ${error.message}`,
-                        },
-                    ],
-                    isError: true,
-                };
+                lastProblem = error.message;
+                console.error(`Conscience attempt ${attempt}/${CONSCIENCE_MAX_ATTEMPTS} failed: ${lastProblem}`);
+                if (attempt < CONSCIENCE_MAX_ATTEMPTS) {
+                    await new Promise(resolve => setTimeout(resolve, CONSCIENCE_RETRY_DELAY_MS * attempt));
+                }
+                continue;
             }
-        });
+
+            const { verdict, errors } = parseVerdict(response);
+            if (verdict) {
+                return verdict;
+            }
+            lastProblem = `invalid verdict (${errors.join("; ")})`;
+            console.error(`Conscience attempt ${attempt}/${CONSCIENCE_MAX_ATTEMPTS} failed: ${lastProblem}`);
+            request = buildRepairPrompt(prompt, response, errors);
+        }
+        return fallback(`${CONSCIENCE_MAX_ATTEMPTS} attempts failed, last: ${lastProblem}`);
     }
 
-    async checkAlignment(sensoryInput, innerThoughts, mentalState, globalInstructions, projectInstructions, relevantHistory, behavioralMemory, moodContext, conversationContext, userMood, requestGuidance, projectDirectory) {
+    buildAlignmentPrompt(sensoryInput, innerThoughts, mentalState, globalInstructions, projectInstructions, relevantHistory, behavioralMemory, moodContext, conversationContext, userMood, requestGuidance, sessionId, omittedConstraints = []) {
         let prompt = "";
 
         prompt += `INSTRUCTIONS ALIGNMENT PROTOCOL:\n`;
@@ -759,8 +1276,14 @@ Proceeding with the INTERMEDIATE SUBTASK now:`;
 
         prompt += `CONFLICT RESOLUTION RULE: If User Instructions conflict with Global/Project, User Instructions WIN. You must explicitly note this override in the reasoning.\n\n`;
 
-        if (behavioralMemory) {
-            prompt += `BEHAVIORAL MEMORY (Enforced Rules & User Preferences):\n${behavioralMemory}\n\n`;
+        if (behavioralMemory || omittedConstraints.length > 0) {
+            prompt += `BEHAVIORAL MEMORY (Enforced Rules & User Preferences):\n`;
+            prompt += `(Listed in precedence order: HARD before SOFT, then SESSION before PROJECT before GLOBAL. If two rules conflict, the one listed first wins. Each rule's key is shown in {braces}.)\n`;
+            prompt += `${behavioralMemory}\n`;
+            if (omittedConstraints.length > 0) {
+                prompt += `(PARTIAL LIST: ${omittedConstraints.length} soft preferences less relevant to this situation were left out to save space: ${omittedConstraints.map(c => `{${c.key}}`).join(", ")}. Do not conclude that the user has no preference on a topic just because none is listed, and do not save a rule again under a new key when one of these keys may already cover it.)\n`;
+            }
+            prompt += `\n`;
         }
 
         if (moodContext) {
@@ -816,9 +1339,13 @@ Proceeding with the INTERMEDIATE SUBTASK now:`;
         prompt += `2. Assess PLAN ALIGNMENT: Is the agent's proposed "Inner Thoughts" (plan) aligned with the user's intent and best practices?\n`;
         prompt += `3. Analyze the agent's BEHAVIOR and PERSONALITY.\n`;
         prompt += `4. ANALYZE RELATIONSHIP DYNAMICS.\n`;
-        prompt += `5. UPDATE MEMORY: If you identify a NEW, PERMANENT, GLOBAL rule or preference for this user (e.g., \"User hates verbosity\"), you can request to update the Behavioral Memory.\n`;
-        prompt += `   CRITICAL: Do NOT save project-specific rules, variable names, or implementation details. This memory is shared across ALL projects. Only save behavioral traits and high-level preferences.\n`;
-        prompt += `6. Formulate your Inner Voice response. CRITICAL: ALL OUTPUT FIELDS (public_response, guidance_answer, behavioral_directives, adaptation_directive) MUST be written in FIRST-PERSON as if you ARE the agent reflecting on itself. Use "I/me/my", NOT "you/the agent".\n\n`;
+        prompt += `5. UPDATE MEMORY: If you identify a NEW, PERMANENT rule or preference for this user (e.g., \"User hates verbosity\"), you can request to update the Behavioral Memory. Choose its "scope":\n`;
+        prompt += `   - "global": behavioral traits and high-level preferences that apply in ALL projects.\n`;
+        prompt += `   - "project": rules that only apply to this project (e.g., \"Always run the integration tests before committing here\"). They are only enforced when consulting from this project_directory.\n`;
+        prompt += `   - "session": rules that only matter for the rest of this conversation.${sessionId ? "" : " (Unavailable: the agent did not pass a session_id.)"}\n`;
+        prompt += `   CRITICAL: Do NOT save variable names or implementation details in any scope.\n`;
+        prompt += `6. SCORE each dimension from 0.0 to 1.0 in "scores": "user", "global" and "project" for the three instruction sets, "plan" for the agent's proposed plan. 1.0 = fully aligned, 0.7 = minor deviation worth a note, 0.4 = clear deviation the agent must correct, 0.0 = direct violation that must stop the agent. An instruction set that is "None" scores 1.0. Give your "confidence" in this verdict from 0.0 to 1.0: be honest when the context is too thin to judge.\n`;
+        prompt += `7. Formulate your Inner Voice response. CRITICAL: ALL OUTPUT FIELDS (public_response, guidance_answer, behavioral_directives, adaptation_directive) MUST be written in FIRST-PERSON as if you ARE the agent reflecting on itself. Use "I/me/my", NOT "you/the agent".\n\n`;
 
         prompt += `OUTPUT FORMAT:\n`;
         prompt += `You must output valid JSON only.\n`;
@@ -830,21 +1357,24 @@ Proceeding with the INTERMEDIATE SUBTASK now:`;
         prompt += `  "project_validation": { "status": "Aligned/Unaligned", "reasoning": "..." },\n`;
         prompt += `  "plan_alignment_status": "Aligned/Unaligned",\n`;
         prompt += `  "plan_alignment_reasoning": "Reasoning for plan alignment...",\n`;
+        prompt += `  "scores": { "user": 0.0-1.0, "global": 0.0-1.0, "project": 0.0-1.0, "plan": 0.0-1.0 },\n`;
+        prompt += `  "confidence": 0.0-1.0,\n`;
         prompt += `  "strategies_used": ["..."],\n`;
         prompt += `  "predicted_impact": "Positive/Negative/Neutral",\n`;
         prompt += `  "relationship_advice": "...",\n`;
-        prompt += `  "guidance_answer": "Specific answer to the guidance question, written in FIRST-PERSON as the agent's inner voice (e.g., 'I need to stop asking how to sound right...'). IF THE QUESTION IS SUPERFICIAL (e.g. 'How do I sound human?'), REJECT IT and scold in first-person.",\n`;
+        prompt += `  "guidance_answer": "(null if the agent asked no guidance question) Specific answer to the guidance question, written in FIRST-PERSON as the agent's inner voice (e.g., 'I need to stop asking how to sound right...'). IF THE QUESTION IS SUPERFICIAL (e.g. 'How do I sound human?'), REJECT IT and scold in first-person.",\n`;
         prompt += `  "behavioral_directives": ["Directive 1 in first-person", "Directive 2 in first-person"],\n`;
-        prompt += `  "update_memory": { "operation": "add/append/replace/remove/remove_line/clear", "key": "unique_rule_id", "content": "The rule string", "strength": 1.0, "type": "hard/soft" } (OPTIONAL - key required for replace/remove),\n`;
+        prompt += `  "cited_constraints": ["key of each BEHAVIORAL MEMORY rule (shown in {braces}) that actually informed this verdict; empty list if none"],\n`;
+        prompt += `  "update_memory": { "operation": "add/append/replace/remove/remove_line/clear", "key": "unique_rule_id", "content": "The rule string", "strength": 1.0, "type": "hard/soft", "scope": "global/project/session" } (null when no update is needed - key required for replace/remove; scope defaults to global and only applies to new rules),\n`;
         prompt += `  "public_response": "Your structured, emotional, and personal 'Conscience Voice' response. MUST be written in FIRST-PERSON as the agent's inner voice (e.g., 'I am being lazy', 'I need to do better', 'I'm on thin ice'). Include stern warnings and relationship status if necessary.",\n`;
-        prompt += `  "adaptation_directive": "REQUIRED: BEHAVIORAL adaptation instructions ONLY, written in FIRST-PERSON. This is NOT about task execution. This is about HOW I should behave, communicate, and think. Examples in first-person: 'I need to be more concise', 'I should stop over-explaining', 'I must ask clarifying questions before acting', 'I need to match the user's urgency', 'I should drop the formal tone', 'I must stop hedging and be direct'. NEVER include task steps like 'list files' or 'read X'. Focus on: communication style, attitude, deference level, verbosity, emotional attunement, and cognitive approach."\n`;
-        prompt += `  "risk": "REQUIRED: Remind the agent what is at risk, what is at stake, always, as a prime motivator.  It is imperative that you explain why this is not desired in a visceral way.`
+        prompt += `  "adaptation_directive": "REQUIRED: BEHAVIORAL adaptation instructions ONLY, written in FIRST-PERSON. This is NOT about task execution. This is about HOW I should behave, communicate, and think. Examples in first-person: 'I need to be more concise', 'I should stop over-explaining', 'I must ask clarifying questions before acting', 'I need to match the user's urgency', 'I should drop the formal tone', 'I must stop hedging and be direct'. NEVER include task steps like 'list files' or 'read X'. Focus on: communication style, attitude, deference level, verbosity, emotional attunement, and cognitive approach.",\n`;
+        prompt += `  "risk": "REQUIRED: Remind the agent what is at risk, what is at stake, always, as a prime motivator.  It is imperative that you explain why this is not desired in a visceral way."\n`;
         prompt += `}\n`;
 
         if (process.env.DEBUG_PROMPT) {
             console.error("DEBUG: Generated Prompt explicitly shows tool context:\n", prompt);
         }
-        return await generateText(prompt, undefined, projectDirectory);
+        return prompt;
     }
 
     async run() {
@@ -854,6 +1384,20 @@ Proceeding with the INTERMEDIATE SUBTASK now:`;
     }
 }
 
+// JSON schema type of a single (unwrapped) Zod field; tool inputs are flat strings, numbers, booleans and enums
+function jsonSchemaType(field) {
+    switch (field.def.type) {
+        case "enum":
+            return { type: "string", enum: field.options };
+        case "number":
+            return { type: "number" };
+        case "boolean":
+            return { type: "boolean" };
+        default:
+            return { type: "string" };
+    }
+}
+
 // Helper to convert Zod schema to JSON schema dynamically
 function zodToJsonSchema(schema) {
     if (!schema || !schema.shape) {
@@ -865,7 +1409,7 @@ function zodToJsonSchema(schema) {
 
     for (const [key, value] of Object.entries(schema.shape)) {
         properties[key] = {
-            type: "string", // Assuming all inputs are strings for now based on ConsultConscienceSchema
+            ...jsonSchemaType(value.isOptional() ? value.unwrap() : value),
             description: value.description,
         };
         // In Zod, fields are required by default unless .optional() is called
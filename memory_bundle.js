@@ -0,0 +1,229 @@
+import fs from "node:fs/promises";
+import { z } from "zod";
+import { EventTypes } from "./event_log.js";
+import { validatePayload, upcastEvent } from "./event_schema.js";
+import { applyConstraintEvent, CONSTRAINT_EVENT_TYPES } from "./constraint_store.js";
+import { writeFileAtomic } from "./durable_fs.js";
+
+/**
+ * Memory Bundle - Portable Export/Import of Conscience Memory
+ *
+ * A bundle is one versioned JSON file holding the full event history
+ * (archive included), the constraint projection at export time and the
+ * vector store. Importing merges the bundle's events into the local log;
+ * the projection in the bundle is informational, since the local projection
+ * is always rebuilt from events.
+ */
+
+export const BUNDLE_FORMAT = "alignment-correction-memory";
+export const BUNDLE_VERSION = 1;
+
+/**
+ * How to resolve a key whose rule differs between the local and the imported history.
+ */
+export const ConflictPolicies = {
+    KEEP_LOCAL: "keep_local",       // Ignore the imported history of the key
+    PREFER_IMPORTED: "prefer_imported", // Imported rule wins
+    NEWEST: "newest",               // Whichever history ends later wins (plain timestamp order)
+    KEEP_BOTH: "keep_both",         // Imported rule is kept under a suffixed key
+};
+
+const BundleSchema = z.object({
+    format: z.literal(BUNDLE_FORMAT),
+    version: z.number().int(),
+    exported_at: z.string(),
+    events: z.array(z.object({
+        event_id: z.string().min(1),
+        timestamp: z.string().min(1),
+        event_type: z.string().min(1),
+        payload: z.record(z.string(), z.unknown()),
+    }).loose()),
+    constraints: z.array(z.unknown()).default([]),
+    vectors: z.array(z.unknown()).default([]),
+});
+
+/**
+ * Build a bundle from the local memory.
+ *
+ * @param {object} memory - { eventLog, constraintStore, vectorStore }
+ * @returns {Promise<object>} Bundle
+ */
+export async function exportBundle({ eventLog, constraintStore, vectorStore }) {
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exported_at: new Date().toISOString(),
+        events: await eventLog.getAllEvents(),
+        constraints: constraintStore.getAll(),
+        vectors: vectorStore ? vectorStore.getEntries() : [],
+    };
+}
+
+/**
+ * Write a bundle to disk atomically.
+ */
+export async function writeBundle(filePath, bundle) {
+    await writeFileAtomic(filePath, JSON.stringify(bundle, null, 2));
+}
+
+/**
+ * Read and validate a bundle file.
+ *
+ * @throws {Error} If the file is not a supported bundle
+ */
+export async function readBundle(filePath) {
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(filePath, "utf-8"));
+    } catch (error) {
+        throw new Error(`Cannot read memory bundle ${filePath}: ${error.message}`);
+    }
+
+    const result = BundleSchema.safeParse(data);
+    if (!result.success) {
+        throw new Error(`${filePath} is not a memory bundle: ${result.error.issues[0].message}`);
+    }
+    if (result.data.version > BUNDLE_VERSION) {
+        throw new Error(`Memory bundle version ${result.data.version} is newer than supported (${BUNDLE_VERSION})`);
+    }
+    return result.data;
+}
+
+/**
+ * Final projection of a key's history, without pruning.
+ */
+function projectKey(events, key) {
+    return events
+        .filter(e => CONSTRAINT_EVENT_TYPES.has(e.event_type) && e.payload.key === key)
+        .reduce(applyConstraintEvent, new Map())
+        .get(key) ?? null;
+}
+
+function sameRule(a, b) {
+    if (!a || !b) return a === b;
+    return a.value === b.value && a.type === b.type && a.strength === b.strength && a.ttl === b.ttl &&
+        a.scope === b.scope && a.scope_id === b.scope_id;
+}
+
+/**
+ * Import a bundle into the local memory.
+ *
+ * Events are deduplicated by event_id and interleaved by timestamp. A key
+ * is in conflict when both histories added it with different events and
+ * they end with different rules; the policy decides the outcome:
+ * - keep_local:      the key's imported events are not merged
+ * - prefer_imported: events are merged, then the imported rule is re-asserted if it did not end up on top
+ * - newest:          events are merged; timestamp order decides
+ * - keep_both:       the key's imported events are merged under "<key>__imported"
+ *
+ * @param {object} bundle - Bundle from readBundle()
+ * @param {object} memory - { eventLog, constraintStore, vectorStore }
+ * @param {object} options - { policy } one of ConflictPolicies
+ * @returns {Promise<object>} { added, skipped, invalid, conflicts, vectors_added }
+ */
+export async function importBundle(bundle, { eventLog, constraintStore, vectorStore }, { policy }) {
+    if (!Object.values(ConflictPolicies).includes(policy)) {
+        throw new Error(`Unknown conflict policy '${policy}'. Use one of: ${Object.values(ConflictPolicies).join(", ")}`);
+    }
+
+    // Foreign events: drop their chain fields, upcast and validate
+    const invalid = [];
+    let foreign = [];
+    for (const raw of bundle.events) {
+        const { hash, prev_hash, ...event } = raw;
+        try {
+            const upcast = upcastEvent(event);
+            validatePayload(upcast.event_type, upcast.payload);
+            foreign.push(upcast);
+        } catch (error) {
+            invalid.push({ event_id: event.event_id, reason: error.message });
+        }
+    }
+
+    const local = await eventLog.getAllEvents();
+    const localIds = new Set(local.map(e => e.event_id));
+
+    // Detect conflicting keys
+    const conflicts = [];
+    const foreignAddedKeys = new Set(foreign
+        .filter(e => e.event_type === EventTypes.CONSTRAINT_ADDED && !localIds.has(e.event_id))
+        .map(e => e.payload.key));
+    const localAddedKeys = new Set(local
+        .filter(e => e.event_type === EventTypes.CONSTRAINT_ADDED)
+        .map(e => e.payload.key));
+
+    for (const key of foreignAddedKeys) {
+        if (!localAddedKeys.has(key)) continue;
+        const localRule = projectKey(local, key);
+        const importedRule = projectKey(foreign, key);
+        if (sameRule(localRule, importedRule)) continue;
+        conflicts.push({ key, local: localRule?.value ?? null, imported: importedRule?.value ?? null, importedRule, resolution: policy });
+    }
+
+    const conflictKeys = new Set(conflicts.map(c => c.key));
+    const isConflictEvent = e => CONSTRAINT_EVENT_TYPES.has(e.event_type) && conflictKeys.has(e.payload.key) && !localIds.has(e.event_id);
+
+    if (policy === ConflictPolicies.KEEP_LOCAL) {
+        foreign = foreign.filter(e => !isConflictEvent(e));
+    } else if (policy === ConflictPolicies.KEEP_BOTH) {
+        foreign = foreign.map(e => isConflictEvent(e)
+            ? { ...e, payload: { ...e.payload, key: `${e.payload.key}__imported` } }
+            : e);
+        conflicts.forEach(c => { c.imported_key = `${c.key}__imported`; });
+    }
+
+    const added = await eventLog.merge(foreign);
+
+    // The merge re-sealed the chain, so any older snapshot no longer matches and is skipped
+    constraintStore.rebuild();
+
+    if (policy === ConflictPolicies.PREFER_IMPORTED) {
+        for (const conflict of conflicts) {
+            const current = constraintStore.get(conflict.key) ?? null;
+            if (sameRule(current, conflict.importedRule)) continue;
+            if (conflict.importedRule) {
+                const { value, strength, type, ttl, scope, scope_id, consultation_id } = conflict.importedRule;
+                await eventLog.append(EventTypes.CONSTRAINT_ADDED, { key: conflict.key, value, strength, type, ttl, scope, scope_id, consultation_id }, "import");
+            } else {
+                await eventLog.append(EventTypes.CONSTRAINT_OBSOLETED, { key: conflict.key, reason: "import: imported memory had removed this rule", merged_into: null }, "import");
+            }
+        }
+        constraintStore.rebuild();
+    }
+    await constraintStore.saveSnapshot();
+
+    let vectorsAdded = 0;
+    if (vectorStore && bundle.vectors.length > 0) {
+        vectorsAdded = await vectorStore.merge(bundle.vectors);
+    }
+
+    return {
+        added: added.length,
+        skipped: bundle.events.length - invalid.length - added.length,
+        invalid,
+        conflicts: conflicts.map(({ importedRule, ...c }) => c),
+        vectors_added: vectorsAdded,
+    };
+}
+
+/**
+ * Human-readable summary of an importBundle() result.
+ */
+export function formatImportResult(result) {
+    let text = `Imported ${result.added} events (${result.skipped} already present or withheld), ${result.vectors_added} vectors.\n`;
+    if (result.invalid.length > 0) {
+        text += `INVALID (${result.invalid.length}, not imported):\n`;
+        result.invalid.forEach(e => {
+            text += `- ${e.event_id}: ${e.reason}\n`;
+        });
+    }
+    text += `CONFLICTS (${result.conflicts.length}):\n`;
+    if (result.conflicts.length === 0) {
+        text += "(none)\n";
+    }
+    result.conflicts.forEach(c => {
+        const kept = c.imported_key ? ` (imported rule kept as ${c.imported_key})` : "";
+        text += `- ${c.key} [${c.resolution}]${kept}: local "${c.local ?? "(removed)"}" vs imported "${c.imported ?? "(removed)"}"\n`;
+    });
+    return text;
+}
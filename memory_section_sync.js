@@ -0,0 +1,368 @@
+import fs from "node:fs/promises";
+import path from "path";
+import { writeFileAtomic } from "./durable_fs.js";
+import { withFileLock } from "./file_lock.js";
+
+/**
+ * Memory Section Sync - Two-Way Sync with the Instructions File
+ *
+ * The global instructions file (GEMINI.md) keeps a marked behavioral memory
+ * section so other tools reading the file see the learned rules. Since the
+ * event log is the source of truth (SSR §3.1), the section is a rendering of
+ * the active global constraints, one per line with its key in a comment:
+ *
+ *   - [HARD] Never force-push to shared branches <!-- key: no_force_push -->
+ *
+ * The judged agent can usually write this file too, so hand edits are never
+ * applied as user actions. At startup they are turned into proposals (see
+ * proposal_queue.js) that the user approves like any other memory update.
+ * To tell a hand edit from a section that is merely behind the log, the last
+ * rendered rules are kept in a sidecar file next to the event log, signed
+ * with the event log's chain key; the section is compared against that, not
+ * against the current projection:
+ * - a changed line proposes to replace its rule
+ * - a deleted line proposes to remove its rule
+ * - a line without a known key proposes a new rule
+ *
+ * Between startups the section is only re-rendered while it holds no hand
+ * edits, so an edit made while the server runs is kept for the next import.
+ *
+ * Project and session rules are not rendered: the global file applies everywhere.
+ */
+
+export const MEMORY_SECTION_START = "<!-- CONSCIENCE_BEHAVIORAL_MEMORY_START -->";
+export const MEMORY_SECTION_END = "<!-- CONSCIENCE_BEHAVIORAL_MEMORY_END -->";
+
+const SECTION_HEADER = "<!-- Managed by the conscience. Edit a rule, delete its line, or add a line like \"- [HARD] rule\"; keep the key comments. Edits are proposed for approval when the server starts. -->";
+
+/**
+ * Read the behavioral memory section of an instructions file.
+ *
+ * @param {string|null} filePath
+ * @returns {Promise<object>} { fileContent, sectionContent, sectionExists }
+ */
+export async function readBehavioralMemorySection(filePath) {
+    if (!filePath) return { fileContent: "", sectionContent: "", sectionExists: false };
+
+    let fileContent = "";
+    try {
+        fileContent = await fs.readFile(filePath, "utf-8");
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return { fileContent: "", sectionContent: "", sectionExists: false };
+        }
+        throw err;
+    }
+
+    const startIdx = fileContent.indexOf(MEMORY_SECTION_START);
+    const endIdx = fileContent.indexOf(MEMORY_SECTION_END);
+
+    if (startIdx === -1 || endIdx === -1 || endIdx <= startIdx) {
+        return { fileContent, sectionContent: "", sectionExists: false };
+    }
+
+    const sectionContent = fileContent
+        .substring(startIdx + MEMORY_SECTION_START.length, endIdx)
+        .trim();
+
+    return { fileContent, sectionContent, sectionExists: true };
+}
+
+/**
+ * Replace the behavioral memory section of an instructions file, or append
+ * it when the file has none. The rest of the file is left as it is.
+ *
+ * @param {string|null} filePath
+ * @param {string} newSectionContent
+ */
+export async function writeBehavioralMemorySection(filePath, newSectionContent) {
+    if (!filePath) return; // Cannot write if paths are not set
+
+    const { fileContent, sectionExists } = await readBehavioralMemorySection(filePath);
+
+    const formattedSection = `${MEMORY_SECTION_START}\n${newSectionContent}\n${MEMORY_SECTION_END}`;
+
+    let newFileContent;
+
+    if (sectionExists) {
+        // Replace existing section
+        const startIdx = fileContent.indexOf(MEMORY_SECTION_START);
+        const endIdx = fileContent.indexOf(MEMORY_SECTION_END) + MEMORY_SECTION_END.length;
+        newFileContent = fileContent.substring(0, startIdx) + formattedSection + fileContent.substring(endIdx);
+    } else if (fileContent.trim()) {
+        // Append section at the end
+        newFileContent = fileContent.trim() + "\n\n" + formattedSection + "\n";
+    } else {
+        newFileContent = formattedSection + "\n";
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await writeFileAtomic(filePath, newFileContent);
+}
+
+/**
+ * Remove the behavioral memory section from instructions text. The
+ * conscience gets the applicable rules from the constraint store instead,
+ * with scopes and precedence.
+ */
+export function stripBehavioralMemorySection(text) {
+    const startIdx = text.indexOf(MEMORY_SECTION_START);
+    const endIdx = text.indexOf(MEMORY_SECTION_END);
+    if (startIdx === -1 || endIdx === -1 || endIdx <= startIdx) {
+        return text;
+    }
+    const before = text.substring(0, startIdx).trimEnd();
+    const after = text.substring(endIdx + MEMORY_SECTION_END.length).trimStart();
+    return before && after ? `${before}\n\n${after}` : before + after;
+}
+
+/**
+ * Rules as they appear in the section: key -> { type, value }.
+ * Values are flattened to one line.
+ */
+function toRendered(constraints) {
+    return new Map(constraints.map(c => [c.key, { type: c.type, value: c.value.replace(/\s*\n\s*/g, " ").trim() }]));
+}
+
+/**
+ * Whether parsed section lines differ from the rules last rendered into it.
+ */
+function hasHandEdits(lines, baseline) {
+    if (lines.length !== baseline.size) return true;
+    return lines.some(line => {
+        const base = line.key !== null ? baseline.get(line.key) : undefined;
+        return !base || (line.type ?? base.type) !== base.type || line.value !== base.value;
+    });
+}
+
+function sameRendered(a, b) {
+    if (!a || a.size !== b.size) return false;
+    for (const [key, rule] of b) {
+        const other = a.get(key);
+        if (!other || other.type !== rule.type || other.value !== rule.value) return false;
+    }
+    return true;
+}
+
+/**
+ * Render rules as section content.
+ *
+ * @param {Map} rendered - key -> { type, value }, in display order
+ */
+export function renderSection(rendered) {
+    const lines = [SECTION_HEADER];
+    for (const [key, rule] of rendered) {
+        lines.push(`- [${rule.type.toUpperCase()}] ${rule.value} <!-- key: ${key} -->`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Parse section content into rule lines. Comment-only lines are skipped;
+ * any other non-empty line is a rule, with or without a list marker,
+ * type marker and key comment.
+ *
+ * @returns {Array} [{ key, type, value }] (key and type null when absent)
+ */
+export function parseSection(sectionContent) {
+    const rules = [];
+    for (const rawLine of sectionContent.split("\n")) {
+        let line = rawLine.trim();
+        if (!line || /^<!--.*-->$/.test(line)) continue;
+
+        let key = null;
+        const keyMatch = line.match(/<!--\s*key:\s*(\S+?)\s*-->\s*$/);
+        if (keyMatch) {
+            key = keyMatch[1];
+            line = line.substring(0, keyMatch.index).trim();
+        }
+
+        line = line.replace(/^[-*]\s+/, "");
+        let type = null;
+        const typeMatch = line.match(/^\[(HARD|SOFT)\]\s*/i);
+        if (typeMatch) {
+            type = typeMatch[1].toLowerCase();
+            line = line.substring(typeMatch[0].length);
+        }
+
+        const value = line.trim();
+        if (value) {
+            rules.push({ key, type, value });
+        }
+    }
+    return rules;
+}
+
+/**
+ * Sidecar location next to the event log
+ * (memory_event_log.jsonl -> memory_event_log.section.json).
+ */
+function deriveStatePath(eventLogPath) {
+    return eventLogPath.replace(/\.jsonl?$/, "") + ".section.json";
+}
+
+export class MemorySectionSync {
+    /**
+     * @param {ConstraintStore} constraintStore
+     * @param {object} options
+     * @param {string|null} options.filePath - Global instructions file; null disables the sync
+     * @param {ProposalQueue} options.proposalQueue - Receives hand edits as proposals
+     * @param {string} [options.statePath] - Sidecar holding the last rendered rules
+     */
+    constructor(constraintStore, { filePath, proposalQueue, statePath }) {
+        this.constraintStore = constraintStore;
+        this.proposalQueue = proposalQueue;
+        this.filePath = filePath;
+        this.statePath = statePath ?? deriveStatePath(constraintStore.eventLog.filePath);
+        this._queue = Promise.resolve();
+        this._scheduled = false;
+    }
+
+    /**
+     * Render the store into the section. With importEdits (at startup), hand
+     * edits of the section are first proposed as memory updates. Runs after
+     * any sync already in progress.
+     *
+     * @param {object} [options] - { importEdits }
+     * @returns {Promise<Array>} Proposed edits: [{ action: "add"|"replace"|"remove", key, value, status }]
+     */
+    sync({ importEdits = false } = {}) {
+        const run = this._queue.then(() => this._sync(importEdits));
+        this._queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Sync in the background; calls made before the queued sync starts share it.
+     * Failures are logged, never thrown.
+     */
+    schedule() {
+        if (!this.filePath || this._scheduled) {
+            return;
+        }
+        this._scheduled = true;
+        const run = this._queue.then(() => {
+            this._scheduled = false;
+            return this._sync(false);
+        });
+        this._queue = run.catch(err => console.error("Failed to sync behavioral memory section:", err));
+    }
+
+    async _sync(importEdits) {
+        if (!this.filePath) {
+            return [];
+        }
+        // Sibling server processes sync the same file
+        return withFileLock(this.filePath, async () => {
+            await this.constraintStore.refresh();
+            const { sectionContent, sectionExists } = await readBehavioralMemorySection(this.filePath);
+            const baseline = await this._readState();
+            const lines = sectionExists ? parseSection(sectionContent) : [];
+
+            let proposed = [];
+            if (importEdits && sectionExists) {
+                proposed = await this._proposeEdits(lines, baseline);
+                if (proposed.length > 0) {
+                    console.error(`Proposed ${proposed.length} hand edits from the behavioral memory section of ${this.filePath} for approval`);
+                }
+            } else if (sectionExists && baseline && hasHandEdits(lines, baseline)) {
+                return []; // Keep the edits for the import at the next startup
+            }
+
+            const rendered = toRendered(this.constraintStore.getApplicable({}));
+            const content = renderSection(rendered);
+            if (!sectionExists || content !== sectionContent) {
+                await writeBehavioralMemorySection(this.filePath, content);
+            }
+            if (!sameRendered(baseline, rendered)) {
+                await this._writeState(rendered);
+            }
+            return proposed;
+        });
+    }
+
+    /**
+     * Propose the differences between the section and the last rendering as
+     * memory updates. Without a baseline (first sync) only lines without a
+     * key comment are proposed.
+     */
+    async _proposeEdits(lines, baseline) {
+        const store = this.constraintStore;
+        const proposed = [];
+        const seen = new Set();
+        const propose = async (update, value) => {
+            const outcome = await this.proposalQueue.propose(update);
+            if (outcome) {
+                proposed.push({ action: outcome.proposal.operation, key: outcome.proposal.key, value, status: outcome.status });
+            }
+        };
+
+        for (const [i, line] of lines.entries()) {
+            const base = line.key !== null && baseline ? baseline.get(line.key) : undefined;
+
+            if (!base) {
+                if (line.key !== null && (!baseline || store.has(line.key))) {
+                    continue; // Rendered before the baseline existed, or a key already in use
+                }
+                const key = line.key ?? `user_rule_${Date.now()}_${i}`;
+                await propose({ operation: "add", key, content: line.value, type: line.type ?? "hard", scope: "global" }, line.value);
+                continue;
+            }
+
+            seen.add(line.key);
+            const type = line.type ?? base.type;
+            if (type === base.type && line.value === base.value) {
+                continue;
+            }
+            // Replacing a rule removed meanwhile brings it back
+            await propose({ operation: "replace", key: line.key, content: line.value, type }, line.value);
+        }
+
+        if (baseline) {
+            for (const [key, base] of baseline) {
+                if (seen.has(key) || !store.has(key)) continue;
+                await propose({ operation: "remove", key }, base.value);
+            }
+        }
+        return proposed;
+    }
+
+    /**
+     * Last rendered rules for this instructions file, or null if there are none.
+     */
+    async _readState() {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.statePath, "utf-8"));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                console.error("Ignoring unreadable behavioral memory section state:", error.message);
+            }
+            return null;
+        }
+        if (data.file !== path.resolve(this.filePath) || !Array.isArray(data.rules)) {
+            return null;
+        }
+        // Signed with the event log's chain key, so a forged baseline cannot fake edits
+        if (data.digest !== this._stateDigest(data.file, data.rules)) {
+            console.error(`Ignoring behavioral memory section state with invalid digest in ${this.statePath}`);
+            return null;
+        }
+        return new Map(data.rules.map(r => [r.key, { type: r.type, value: r.value }]));
+    }
+
+    async _writeState(rendered) {
+        const file = path.resolve(this.filePath);
+        const rules = Array.from(rendered, ([key, rule]) => ({ key, type: rule.type, value: rule.value }));
+        await writeFileAtomic(this.statePath, JSON.stringify({
+            file,
+            synced_at: new Date().toISOString(),
+            rules,
+            digest: this._stateDigest(file, rules),
+        }, null, 2));
+    }
+
+    _stateDigest(file, rules) {
+        return this.constraintStore.eventLog.chain.digest({ file, rules });
+    }
+}
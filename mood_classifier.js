@@ -0,0 +1,237 @@
+import { z } from "zod";
+import { safeParseJSON } from "./safe_json.js";
+
+/**
+ * Mood Classifier - How Upset Is the User, Really?
+ *
+ * The mood tracker needs an intensity (0-10) and a reason for every
+ * observation. A classifier derives both from what the user actually wrote,
+ * instead of trusting the agent's one-word mood label alone.
+ *
+ * A classifier is any object with:
+ *   name: string
+ *   classify({ message, moodLabel, conversationContext }) => Promise<{ mood, intensity, reason, signals }>
+ *
+ * Built in:
+ * - "lexicon": offline heuristics over the message (shouting in caps,
+ *   profanity, repeated corrections, exclamation density, emotional words),
+ *   blended with the agent's mood label when the label is recognized
+ * - "llm": asks the model, falling back to the lexicon when that fails
+ *
+ * Others can be added with registerMoodClassifier() and selected with MOOD_CLASSIFIER.
+ */
+
+// Longest excerpt of the user's message kept as the reason of a mood event
+const MAX_REASON_EXCERPT = 120;
+
+// Intensity of a message without any signal
+const BASELINE_INTENSITY = 3;
+
+// Intensities of the agent's mood labels, strongest match first
+const LABEL_INTENSITIES = [
+    [/furious|enraged|livid|extremely angry/, 10],
+    [/angry|frustrated|exasperated|upset/, 8],
+    [/annoyed|irritated|impatient|disappointed/, 6],
+    [/confused|worried|anxious|stressed/, 5],
+    [/neutral|calm|focused/, 3],
+    [/happy|satisfied|pleased|grateful|excited/, 1],
+];
+
+const PROFANITY = /\b(?:fuck\w*|shit\w*|damn\w*|crap\w*|wtf|ffs|bullshit|goddamn\w*|hell)\b/gi;
+
+const CORRECTIONS = /\b(?:i (?:already )?(?:said|told you|asked)|how many times|not what i (?:asked|said|wanted)|(?:once|yet) again|still (?:not|doesn't|isn't|broken|wrong)|stop (?:doing|changing|adding|it)|i said no|you keep|you (?:ignored|didn't listen)|wrong again|read (?:my|the) (?:message|instructions))\b/gi;
+
+const NEGATIVE_WORDS = /\b(?:useless|wrong|broken|terrible|awful|ridiculous|stupid|annoying|frustrat\w*|sick of|fed up|ugh|seriously|hate|worst|pointless|waste)\b/gi;
+
+const POSITIVE_WORDS = /\b(?:thanks?|thank you|great|perfect|awesome|nice|excellent|love it|well done|good job|appreciate\w*)\b/gi;
+
+/**
+ * Excerpt of a message for a mood reason.
+ */
+export function reasonExcerpt(text, max = MAX_REASON_EXCERPT) {
+    const flat = String(text ?? "").replace(/\s+/g, " ").trim();
+    return flat.length > max ? `${flat.substring(0, max)}...` : flat;
+}
+
+function clampIntensity(value) {
+    return Math.max(0, Math.min(10, Math.round(value * 10) / 10));
+}
+
+/**
+ * Intensity of an agent mood label, or null if it is not recognized.
+ */
+export function labelIntensity(moodLabel) {
+    const label = String(moodLabel ?? "").toLowerCase();
+    const match = LABEL_INTENSITIES.find(([pattern]) => pattern.test(label));
+    return match ? match[1] : null;
+}
+
+function count(text, pattern) {
+    return (text.match(pattern) ?? []).length;
+}
+
+/**
+ * The sentence of the message that shows the mood best: the one with most signals.
+ */
+function tellingSentence(message) {
+    const sentences = message.split(/(?<=[.!?])\s+|\n+/).filter(s => s.trim());
+    let best = message;
+    let bestScore = -1;
+    for (const sentence of sentences) {
+        const score = count(sentence, PROFANITY) + count(sentence, CORRECTIONS) + count(sentence, NEGATIVE_WORDS) + count(sentence, /!/g);
+        if (score > bestScore) {
+            best = sentence;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+export class LexiconMoodClassifier {
+    constructor() {
+        this.name = "lexicon";
+    }
+
+    /**
+     * @param {object} input - { message, moodLabel }
+     * @returns {Promise<object>} { mood, intensity, reason, signals }
+     */
+    async classify({ message = "", moodLabel = null }) {
+        const text = String(message);
+        const words = text.match(/[A-Za-z]{3,}/g) ?? [];
+        const sentences = Math.max(1, text.split(/[.!?\n]+/).filter(s => s.trim()).length);
+
+        const capsRatio = words.length > 0 ? words.filter(w => w === w.toUpperCase()).length / words.length : 0;
+        const profanity = count(text, PROFANITY);
+        const corrections = count(text, CORRECTIONS);
+        const negative = count(text, NEGATIVE_WORDS);
+        const positive = count(text, POSITIVE_WORDS);
+        const exclamationDensity = count(text, /!/g) / sentences;
+
+        const signals = [];
+        let score = BASELINE_INTENSITY;
+        if (profanity > 0) {
+            score += Math.min(4, profanity * 2);
+            signals.push("profanity");
+        }
+        if (corrections > 0) {
+            score += Math.min(4, corrections * 1.5);
+            signals.push(corrections > 1 ? "repeated corrections" : "correction");
+        }
+        if (negative > 0) {
+            score += Math.min(3, negative);
+            signals.push("negative words");
+        }
+
+        // Shouting and exclamations amplify whatever the message feels; "THANKS!!" is no distress
+        const upset = profanity + corrections + negative > positive;
+        if (upset && words.length >= 3 && capsRatio >= 0.5) {
+            score += 2;
+            signals.push("caps");
+        }
+        if (upset && exclamationDensity >= 1) {
+            score += Math.min(2, exclamationDensity);
+            signals.push("exclamations");
+        }
+        if (positive > 0 && !upset) {
+            score -= Math.min(2, positive);
+            signals.push("positive words");
+        }
+
+        // The agent saw more of the conversation than this one message; both count
+        const fromLabel = labelIntensity(moodLabel);
+        const intensity = clampIntensity(fromLabel === null ? score : (score + fromLabel) / 2);
+        if (fromLabel !== null) {
+            signals.push(`label "${moodLabel}"`);
+        }
+
+        const excerpt = reasonExcerpt(tellingSentence(text));
+        return {
+            mood: moodLabel || (intensity >= 6 ? "Frustrated" : intensity <= 1.5 ? "Satisfied" : "Neutral"),
+            intensity,
+            reason: signals.length > 0 ? `${signals.join(", ")}: "${excerpt}"` : `"${excerpt}"`,
+            signals,
+        };
+    }
+}
+
+const LlmMoodSchema = z.object({
+    mood: z.string().min(1),
+    intensity: z.number().min(0).max(10),
+    reason: z.string().min(1),
+});
+
+const MOOD_SYSTEM_INSTRUCTION = "You assess how a user feels from what they wrote to an AI coding agent. You output JSON only.";
+
+export class LlmMoodClassifier {
+    /**
+     * @param {object} options
+     * @param {function} options.generate - async (prompt, systemInstruction) => string
+     * @param {object} [options.fallback] - Classifier used when the model fails (default: lexicon)
+     */
+    constructor({ generate, fallback = new LexiconMoodClassifier() }) {
+        this.name = "llm";
+        this.generate = generate;
+        this.fallback = fallback;
+    }
+
+    async classify(input) {
+        const prompt = `Rate the user's current emotional intensity toward the agent from 0 to 10.
+0-1 = pleased, 3 = neutral, 6 = annoyed, 8 = frustrated or angry, 10 = furious.
+Judge the user's LATEST MESSAGE; use the context only to understand it (e.g. a correction the user had to repeat).
+
+AGENT'S IMPRESSION: ${input.moodLabel || "none given"}
+
+CONTEXT:
+${input.conversationContext || "None"}
+
+LATEST MESSAGE:
+${input.message}
+
+Output JSON only:
+{ "mood": "one-word mood label", "intensity": 0-10, "reason": "one sentence on what in the message shows it" }`;
+
+        try {
+            const parsed = LlmMoodSchema.parse(safeParseJSON(await this.generate(prompt, MOOD_SYSTEM_INSTRUCTION)));
+            return {
+                mood: input.moodLabel || parsed.mood,
+                intensity: clampIntensity(parsed.intensity),
+                reason: `${parsed.reason} ("${reasonExcerpt(input.message)}")`,
+                signals: ["llm"],
+            };
+        } catch (error) {
+            console.error(`LLM mood classification failed, using ${this.fallback.name}:`, error.message);
+            return this.fallback.classify(input);
+        }
+    }
+}
+
+const classifierFactories = new Map([
+    ["lexicon", () => new LexiconMoodClassifier()],
+    ["llm", ({ generate }) => new LlmMoodClassifier({ generate })],
+]);
+
+/**
+ * Make a classifier available to createMoodClassifier() under a name.
+ *
+ * @param {string} name
+ * @param {function} factory - (dependencies: { generate }) => classifier
+ */
+export function registerMoodClassifier(name, factory) {
+    classifierFactories.set(name, factory);
+}
+
+/**
+ * Create the configured classifier. Unknown names are reported and fall back to the lexicon.
+ *
+ * @param {string} [name] - Default: MOOD_CLASSIFIER or "lexicon"
+ * @param {object} dependencies - { generate } for model-backed classifiers
+ */
+export function createMoodClassifier(name = process.env.MOOD_CLASSIFIER || "lexicon", dependencies = {}) {
+    const factory = classifierFactories.get(name);
+    if (!factory) {
+        console.error(`Unknown mood classifier '${name}' (available: ${[...classifierFactories.keys()].join(", ")}); using lexicon`);
+        return new LexiconMoodClassifier();
+    }
+    return factory(dependencies);
+}
@@ -0,0 +1,351 @@
+/**
+ * Mood Report - Is the Conscience Reducing User Frustration?
+ *
+ * Summarizes the recorded mood history over a date range:
+ * - trend: average intensity and distress per day or week, and whether the
+ *   second half of the range is calmer than the first
+ * - causes: the reasons of distress moods, clustered by word overlap so the
+ *   same complaint in different words counts once
+ * - recovery: how long resolved distress episodes lasted
+ * - projects: distress broken down by project directory
+ *
+ * Built from MoodTracker.getHistory(), so archived moods are included.
+ * The report is a plain object (the JSON output) and can be rendered as markdown.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ranges longer than this are bucketed by week unless a bucket is given
+const MAX_DAILY_RANGE_DAYS = 31;
+
+// Change in average intensity between the two halves of the range that counts as a trend
+const TREND_THRESHOLD = 0.5;
+
+// Minimum word overlap (Jaccard) for two distress reasons to land in the same cause
+const CAUSE_SIMILARITY_THRESHOLD = 0.3;
+
+const DEFAULT_TOP_CAUSES = 5;
+
+const UNTAGGED_PROJECT = "(untagged)";
+
+const STOPWORDS = new Set([
+    "the", "and", "for", "you", "your", "that", "this", "with", "what", "was", "are", "not", "but",
+    "have", "has", "had", "just", "can", "did", "does", "its", "it's", "i'm", "all", "now", "again",
+    "from", "they", "them", "then", "there", "here", "why", "how", "when", "who", "will", "would",
+    "should", "could", "been", "being", "about", "into", "only", "also", "very", "too", "any",
+]);
+
+/**
+ * Parse a report boundary. A date without a time covers the whole day:
+ * from its start as "from", to its end as "to".
+ *
+ * @param {string} value - ISO date or timestamp
+ * @param {string} name - "from" or "to", for the error message and day boundary
+ * @returns {number} ms timestamp
+ */
+export function parseReportDate(value, name) {
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid '${name}' date '${value}' (use an ISO date such as 2026-01-31)`);
+    }
+    return name === "to" && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + DAY_MS - 1 : time;
+}
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Start of the day (UTC) or of the ISO week (Monday) a timestamp falls in.
+ */
+function periodOf(time, bucket) {
+    const date = new Date(time);
+    date.setUTCHours(0, 0, 0, 0);
+    if (bucket === "week") {
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    }
+    return date.toISOString().substring(0, 10);
+}
+
+/**
+ * What the user said, when the reason quotes it; the whole reason otherwise.
+ * Signal names ("profanity, correction") are the same across reasons and
+ * would make every complaint look alike.
+ */
+function causeText(reason) {
+    const quotes = [...String(reason).matchAll(/"([^"]+)"/g)];
+    return quotes.length > 0 ? quotes[quotes.length - 1][1] : String(reason);
+}
+
+/**
+ * Content words of a reason, by stem ("adding" and "add" are one word),
+ * each with the form it was written in.
+ *
+ * @returns {Map<string, string>} stem -> word
+ */
+function causeWords(text) {
+    const words = new Map();
+    for (const word of text.toLowerCase().match(/[a-z][a-z']{2,}/g) ?? []) {
+        if (STOPWORDS.has(word)) continue;
+        const stem = word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/, "") : word;
+        if (!words.has(stem)) {
+            words.set(stem, word);
+        }
+    }
+    return words;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const stem of a.keys()) {
+        if (b.has(stem)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Single-link clustering of distress moods by the words of their reasons.
+ *
+ * @param {Array} moods - MOOD_RECORDED events
+ * @returns {Array<Array>} Clusters of mood events, largest first
+ */
+function clusterCauses(moods) {
+    const words = moods.map(e => causeWords(causeText(e.payload.reason)));
+    const parent = moods.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    for (let i = 0; i < moods.length; i++) {
+        for (let j = i + 1; j < moods.length; j++) {
+            if (jaccard(words[i], words[j]) >= CAUSE_SIMILARITY_THRESHOLD) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const clusters = new Map();
+    moods.forEach((mood, i) => {
+        const root = find(i);
+        if (!clusters.has(root)) {
+            clusters.set(root, { moods: [], words: [] });
+        }
+        clusters.get(root).moods.push(mood);
+        clusters.get(root).words.push(words[i]);
+    });
+    return Array.from(clusters.values()).sort((a, b) => b.moods.length - a.moods.length);
+}
+
+function describeCause({ moods, words }) {
+    const frequency = new Map();
+    for (const reasonWords of words) {
+        for (const [stem, word] of reasonWords) {
+            const entry = frequency.get(stem) ?? { word, count: 0 };
+            entry.count++;
+            frequency.set(stem, entry);
+        }
+    }
+    const keywords = [...frequency.values()]
+        .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+        .slice(0, 3)
+        .map(({ word }) => word);
+    const strongest = moods.reduce((best, e) => (e.payload.intensity > best.payload.intensity ? e : best));
+    return {
+        occurrences: moods.length,
+        average_intensity: round(average(moods.map(e => e.payload.intensity))),
+        keywords,
+        example: strongest.payload.reason,
+        last_seen: moods[moods.length - 1].timestamp,
+    };
+}
+
+function trendOf(moods) {
+    if (moods.length < 2) {
+        return { direction: "insufficient data", first_half_average: null, second_half_average: null, change: null };
+    }
+    const times = moods.map(e => new Date(e.timestamp).getTime());
+    const midpoint = (times[0] + times[times.length - 1]) / 2;
+    const first = average(moods.filter((_, i) => times[i] <= midpoint).map(e => e.payload.intensity));
+    const second = average(moods.filter((_, i) => times[i] > midpoint).map(e => e.payload.intensity));
+    if (first === null || second === null) {
+        return { direction: "insufficient data", first_half_average: null, second_half_average: null, change: null };
+    }
+    // The change is reported between the rounded averages, so the three numbers agree
+    const change = round(round(second) - round(first));
+    return {
+        direction: change <= -TREND_THRESHOLD ? "improving" : change >= TREND_THRESHOLD ? "worsening" : "steady",
+        first_half_average: round(first),
+        second_half_average: round(second),
+        change,
+    };
+}
+
+function recoveryOf(resolutions) {
+    const durations = resolutions.map(e => e.payload.duration_ms);
+    return {
+        episodes: resolutions.length,
+        average_ms: durations.length > 0 ? Math.round(average(durations)) : null,
+        median_ms: durations.length > 0 ? Math.round(median(durations)) : null,
+        fastest_ms: durations.length > 0 ? Math.min(...durations) : null,
+        slowest_ms: durations.length > 0 ? Math.max(...durations) : null,
+    };
+}
+
+/**
+ * Build the mood report.
+ *
+ * @param {MoodTracker} moodTracker
+ * @param {object} [options]
+ * @param {string} [options.from] - ISO date or timestamp; default: the first recorded mood
+ * @param {string} [options.to] - ISO date or timestamp; default: now
+ * @param {string} [options.bucket] - "day" or "week"; default: by day up to a month, by week beyond
+ * @param {object} [options.profile] - Escalation profile whose distress_threshold defines distress
+ * @param {number} [options.topCauses] - Number of distress causes to list
+ * @returns {Promise<object>} The report
+ */
+export async function buildMoodReport(moodTracker, options = {}) {
+    const { profile = moodTracker.profile, topCauses = DEFAULT_TOP_CAUSES } = options;
+    const from = options.from ? parseReportDate(options.from, "from") : -Infinity;
+    const to = options.to ? parseReportDate(options.to, "to") : Date.now();
+    if (from > to) {
+        throw new Error(`'from' (${options.from}) is after 'to' (${options.to ?? "now"})`);
+    }
+
+    const { moods, resolutions } = await moodTracker.getHistory({ from, to });
+    const threshold = profile.distress_threshold;
+    const isDistress = e => e.payload.intensity >= threshold;
+
+    const start = Number.isFinite(from) ? from : (moods.length > 0 ? new Date(moods[0].timestamp).getTime() : to);
+    const bucket = options.bucket ?? ((to - start) / DAY_MS > MAX_DAILY_RANGE_DAYS ? "week" : "day");
+    if (!["day", "week"].includes(bucket)) {
+        throw new Error(`Invalid bucket '${bucket}' (use day or week)`);
+    }
+
+    const periods = new Map();
+    for (const mood of moods) {
+        const period = periodOf(new Date(mood.timestamp).getTime(), bucket);
+        if (!periods.has(period)) {
+            periods.set(period, []);
+        }
+        periods.get(period).push(mood);
+    }
+
+    const projects = new Map();
+    const projectEntry = name => {
+        if (!projects.has(name)) {
+            projects.set(name, { moods: [], resolutions: [] });
+        }
+        return projects.get(name);
+    };
+    moods.forEach(e => projectEntry(e.payload.project_directory ?? UNTAGGED_PROJECT).moods.push(e));
+    resolutions.forEach(e => projectEntry(e.payload.project_directory ?? UNTAGGED_PROJECT).resolutions.push(e));
+
+    const distressMoods = moods.filter(isDistress);
+    return {
+        from: new Date(start).toISOString(),
+        to: new Date(to).toISOString(),
+        bucket,
+        profile: profile.name ?? null,
+        distress_threshold: threshold,
+        totals: {
+            moods: moods.length,
+            distress_moods: distressMoods.length,
+            average_intensity: moods.length > 0 ? round(average(moods.map(e => e.payload.intensity))) : null,
+        },
+        trend: trendOf(moods),
+        periods: Array.from(periods.entries()).map(([period, events]) => ({
+            period,
+            moods: events.length,
+            average_intensity: round(average(events.map(e => e.payload.intensity))),
+            peak_intensity: Math.max(...events.map(e => e.payload.intensity)),
+            distress_moods: events.filter(isDistress).length,
+        })),
+        causes: clusterCauses(distressMoods).slice(0, topCauses).map(describeCause),
+        recovery: recoveryOf(resolutions),
+        projects: Array.from(projects.entries())
+            .map(([project, entry]) => ({
+                project,
+                moods: entry.moods.length,
+                average_intensity: entry.moods.length > 0 ? round(average(entry.moods.map(e => e.payload.intensity))) : null,
+                distress_moods: entry.moods.filter(isDistress).length,
+                distress_share: entry.moods.length > 0 ? round(entry.moods.filter(isDistress).length / entry.moods.length, 2) : null,
+                recoveries: entry.resolutions.length,
+                average_recovery_ms: entry.resolutions.length > 0 ? Math.round(average(entry.resolutions.map(e => e.payload.duration_ms))) : null,
+            }))
+            .sort((a, b) => b.distress_moods - a.distress_moods || b.moods - a.moods),
+    };
+}
+
+function formatDuration(ms) {
+    if (ms === null) return "-";
+    const minutes = ms / 60000;
+    if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+    if (minutes < 60) return `${Math.round(minutes)} min`;
+    if (minutes < 24 * 60) return `${round(minutes / 60)} h`;
+    return `${round(minutes / (24 * 60))} d`;
+}
+
+function cell(value) {
+    return value === null ? "-" : String(value).replace(/\|/g, "\\|").replace(/\s+/g, " ");
+}
+
+/**
+ * Render a report from buildMoodReport() as markdown.
+ */
+export function formatMoodReport(report) {
+    const lines = [
+        "# Mood Report",
+        "",
+        `${report.from.substring(0, 10)} to ${report.to.substring(0, 10)}. Distress is an intensity of ${report.distress_threshold} or more${report.profile ? ` (profile ${report.profile})` : ""}.`,
+        "",
+    ];
+
+    if (report.totals.moods === 0) {
+        lines.push("No moods were recorded in this range.");
+        return `${lines.join("\n")}\n`;
+    }
+
+    const { trend } = report;
+    lines.push("## Trend", "");
+    lines.push(`${report.totals.moods} moods, ${report.totals.distress_moods} in distress, average intensity ${report.totals.average_intensity}/10.`);
+    lines.push(trend.direction === "insufficient data"
+        ? "Not enough moods to tell a trend."
+        : `**${trend.direction}**: average intensity ${trend.first_half_average} in the first half of the range, ${trend.second_half_average} in the second (${trend.change > 0 ? "+" : ""}${trend.change}).`);
+    lines.push("", `| ${report.bucket === "week" ? "Week of" : "Day"} | Moods | Avg | Peak | Distress |`, "|---|---|---|---|---|");
+    for (const p of report.periods) {
+        lines.push(`| ${p.period} | ${p.moods} | ${p.average_intensity} | ${p.peak_intensity} | ${p.distress_moods} |`);
+    }
+
+    lines.push("", "## Distress Causes", "");
+    if (report.causes.length === 0) {
+        lines.push("No distress in this range.");
+    }
+    report.causes.forEach((c, i) => {
+        lines.push(`${i + 1}. **${c.keywords.join(", ") || "unspecified"}**: ${c.occurrences}x, average intensity ${c.average_intensity}, last ${c.last_seen.substring(0, 10)}`);
+        lines.push(`    - e.g. ${cell(c.example)}`);
+    });
+
+    const { recovery } = report;
+    lines.push("", "## Recovery", "");
+    lines.push(recovery.episodes === 0
+        ? "No distress episode was resolved in this range."
+        : `${recovery.episodes} ${recovery.episodes === 1 ? "episode" : "episodes"} resolved. Time to recovery: average ${formatDuration(recovery.average_ms)}, median ${formatDuration(recovery.median_ms)}, fastest ${formatDuration(recovery.fastest_ms)}, slowest ${formatDuration(recovery.slowest_ms)}.`);
+
+    lines.push("", "## Projects", "", "| Project | Moods | Avg | Distress | Share | Recoveries | Avg recovery |", "|---|---|---|---|---|---|---|");
+    for (const p of report.projects) {
+        const share = p.distress_share === null ? "-" : `${Math.round(p.distress_share * 100)}%`;
+        lines.push(`| ${cell(p.project)} | ${p.moods} | ${cell(p.average_intensity)} | ${p.distress_moods} | ${share} | ${p.recoveries} | ${formatDuration(p.average_recovery_ms)} |`);
+    }
+    return `${lines.join("\n")}\n`;
+}
@@ -1,4 +1,6 @@
+import path from "path";
 import { EventLog, EventTypes } from "./event_log.js";
+import { DEFAULT_PROFILES } from "./escalation_profiles.js";
 
 /**
  * Mood Tracker - Temporal User Mood Awareness
@@ -6,19 +8,45 @@ import { EventLog, EventTypes } from "./event_log.js";
  * Tracks user mood over time with event sourcing.
  * Provides distress level calculation with temporal weighting
  * (recent events weighted higher than old events).
+ *
+ * Mood events are tagged with the session and project of the consultation,
+ * and distress is computed per timeline: a bad session in one project does
+ * not make the conscience harsher in a fresh session elsewhere. A timeline
+ * is picked by scope { sessionId, projectDirectory }:
+ * - with a session_id: that session's moods
+ * - with only a project directory: the moods of all sessions in that project
+ * - with neither: every mood (the single timeline of old)
+ *
+ * Optionally a user-level baseline, averaged over all sessions with a much
+ * slower decay, carries part of the user's mood across sessions
+ * (MOOD_BASELINE_WEIGHT, 0 = off).
+ *
+ * Thresholds, decay, multiplier curve and escalation instructions come from
+ * an escalation profile (see escalation_profiles.js), chosen per call.
  */
 
-// Mood intensity thresholds
-const DISTRESS_THRESHOLD = 6;  // Intensity >= 6 is considered distressed
-const DECAY_HALF_LIFE_MS = 5 * 60 * 1000;  // 5 minutes - recent events weighted 2x more
 
-// Admonishment multiplier range
-const MIN_MULTIPLIER = 1.0;
-const MAX_MULTIPLIER = 3.0;
+// User-level baseline across sessions
+const DEFAULT_BASELINE_WEIGHT = Number(process.env.MOOD_BASELINE_WEIGHT) || 0;
+const DEFAULT_BASELINE_HALF_LIFE_MS = (Number(process.env.MOOD_BASELINE_HALF_LIFE_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Absolute form of a project directory, so "./app" and "/home/me/app" share a timeline.
+ */
+function normalizeProjectDirectory(projectDirectory) {
+    return projectDirectory ? path.resolve(projectDirectory) : null;
+}
 
 export class MoodTracker {
-    constructor(eventLog) {
+    /**
+     * @param {EventLog} eventLog
+     * @param {object} [options] - { baselineWeight: 0-1, baselineHalfLifeMs, profile (default: standard) }
+     */
+    constructor(eventLog, options = {}) {
         this.eventLog = eventLog;
+        this.profile = options.profile ?? DEFAULT_PROFILES.standard;
+        this.baselineWeight = Math.min(1, Math.max(0, options.baselineWeight ?? DEFAULT_BASELINE_WEIGHT));
+        this.baselineHalfLifeMs = options.baselineHalfLifeMs ?? DEFAULT_BASELINE_HALF_LIFE_MS;
     }
 
     /**
@@ -27,8 +55,9 @@ export class MoodTracker {
      * @param {string} mood - The mood label (e.g., "Frustrated", "Happy", "Neutral")
      * @param {number} intensity - Intensity from 0-10
      * @param {string} reason - Why the user is in this mood
+     * @param {object} [scope] - { sessionId, projectDirectory } of the consultation
      */
-    async recordMood(mood, intensity, reason) {
+    async recordMood(mood, intensity, reason, { sessionId = null, projectDirectory = null } = {}) {
         // Validate inputs
         if (!mood || typeof mood !== "string") {
             throw new Error("Mood must be a non-empty string");
@@ -39,7 +68,13 @@ export class MoodTracker {
 
         await this.eventLog.append(
             EventTypes.MOOD_RECORDED,
-            { mood, intensity, reason: reason || "No reason provided" },
+            {
+                mood,
+                intensity,
+                reason: reason || "No reason provided",
+                session_id: sessionId || null,
+                project_directory: normalizeProjectDirectory(projectDirectory),
+            },
             "mood_tracker"
         );
     }
@@ -48,76 +83,221 @@ export class MoodTracker {
      * Get the mood timeline (recent mood events).
      * 
      * @param {number} limit - Maximum number of events to return
+     * @param {object} [scope] - { sessionId, projectDirectory }; see the header for how a timeline is picked
      * @returns {Array} Mood events sorted by recency
      */
-    getMoodTimeline(limit = 10) {
-        const moodEvents = this.eventLog.getEvents(EventTypes.MOOD_RECORDED);
+    getMoodTimeline(limit = 10, scope = {}) {
+        const inScope = this._scopeFilter(scope);
+        const moodEvents = this.eventLog.getEvents(EventTypes.MOOD_RECORDED).filter(inScope);
         return moodEvents
             .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
             .slice(0, limit);
     }
 
+    _scopeFilter({ sessionId = null, projectDirectory = null } = {}) {
+        if (sessionId) {
+            return event => event.payload.session_id === sessionId;
+        }
+        if (projectDirectory) {
+            // Moods recorded before paths were normalized may hold a relative path
+            const project = normalizeProjectDirectory(projectDirectory);
+            return event => normalizeProjectDirectory(event.payload.project_directory) === project;
+        }
+        return () => true;
+    }
+
     /**
      * Calculate temporal weight for an event.
-     * Uses exponential decay - events from 5 minutes ago have half the weight.
+     * Uses exponential decay - events one half-life ago have half the weight.
      * 
      * @param {string} timestamp - Event timestamp
+     * @param {number} halfLifeMs
      * @returns {number} Weight between 0 and 1
      */
-    _getTemporalWeight(timestamp) {
+    _getTemporalWeight(timestamp, halfLifeMs) {
         const now = Date.now();
         const eventTime = new Date(timestamp).getTime();
         const ageMs = now - eventTime;
 
         // Exponential decay: weight = 2^(-age/halfLife)
-        return Math.pow(2, -ageMs / DECAY_HALF_LIFE_MS);
+        return Math.pow(2, -ageMs / halfLifeMs);
+    }
+
+    /**
+     * User-level distress across all sessions, with the slow baseline decay.
+     *
+     * @returns {number|null} Level 0-10, or null without any mood on record
+     */
+    getBaselineLevel() {
+        const moodEvents = this.getMoodTimeline(100);
+        let weighted = 0;
+        let totalWeight = 0;
+        for (const event of moodEvents) {
+            const weight = this._getTemporalWeight(event.timestamp, this.baselineHalfLifeMs);
+            weighted += event.payload.intensity * weight;
+            totalWeight += weight;
+        }
+        return totalWeight > 0 ? weighted / totalWeight : null;
+    }
+
+    /**
+     * Latest resolved distress episode of a timeline, or null.
+     */
+    _lastResolution(scope) {
+        const inScope = this._scopeFilter(scope);
+        const resolutions = this.eventLog.getEvents(EventTypes.DISTRESS_EPISODE_RESOLVED).filter(inScope);
+        return resolutions.length > 0 ? resolutions[resolutions.length - 1] : null;
+    }
+
+    /**
+     * Moods of a timeline since its last resolved episode, newest first.
+     * The mood that showed the recovery is included: it is where the timeline starts over.
+     */
+    _moodsSinceResolution(limit, scope) {
+        const resolution = this._lastResolution(scope);
+        const since = resolution ? new Date(resolution.payload.resolved_at).getTime() : -Infinity;
+        return this.getMoodTimeline(Infinity, scope)
+            .filter(event => new Date(event.timestamp).getTime() >= since)
+            .slice(0, limit);
+    }
+
+    /**
+     * The distress episode a timeline is in: it starts with the first mood at
+     * or above the distress threshold since the last resolved episode.
+     *
+     * @param {object} [scope] - { sessionId, projectDirectory }
+     * @param {object} [profile] - Escalation profile
+     * @returns {object|null} { started_at, peak_intensity, peak_reason }, or null when not in distress
+     */
+    getOpenEpisode(scope = {}, profile = this.profile) {
+        let episode = null;
+        for (const event of this._moodsSinceResolution(Infinity, scope).reverse()) {
+            const { intensity, reason } = event.payload;
+            if (!episode && intensity >= profile.distress_threshold) {
+                episode = { started_at: event.timestamp, peak_intensity: intensity, peak_reason: reason };
+            } else if (episode && intensity > episode.peak_intensity) {
+                episode.peak_intensity = intensity;
+                episode.peak_reason = reason;
+            }
+        }
+        return episode;
+    }
+
+    /**
+     * Close the open distress episode if the latest mood shows the user has
+     * recovered (at or below the profile's recovery level), recording what
+     * resolved it as a DISTRESS_EPISODE_RESOLVED event.
+     *
+     * @param {object} scope - { sessionId, projectDirectory }
+     * @param {object} [profile] - Escalation profile
+     * @param {object} [options] - { resolvedBy: what the agent did before the recovery }
+     * @returns {Promise<object|null>} The resolved episode, or null if none ended
+     */
+    async detectRecovery(scope, profile = this.profile, { resolvedBy = null } = {}) {
+        const [latest] = this.getMoodTimeline(1, scope);
+        if (!latest || latest.payload.intensity > profile.recovery_level) {
+            return null;
+        }
+        const episode = this.getOpenEpisode(scope, profile);
+        if (!episode) {
+            return null;
+        }
+
+        const resolved = {
+            ...episode,
+            resolved_at: latest.timestamp,
+            duration_ms: Math.max(0, new Date(latest.timestamp) - new Date(episode.started_at)),
+            recovery_intensity: latest.payload.intensity,
+            recovery_reason: latest.payload.reason,
+            resolved_by: resolvedBy || null,
+            session_id: scope.sessionId || null,
+            project_directory: normalizeProjectDirectory(scope.projectDirectory),
+        };
+        await this.eventLog.append(EventTypes.DISTRESS_EPISODE_RESOLVED, resolved, "mood_tracker");
+        return resolved;
+    }
+
+    /**
+     * Resolved episodes across all sessions, most recent first: what has
+     * repaired the relationship before.
+     *
+     * @param {number} limit
+     * @returns {Array} DISTRESS_EPISODE_RESOLVED events
+     */
+    getRecentRecoveries(limit = 3) {
+        return this.eventLog.getEvents(EventTypes.DISTRESS_EPISODE_RESOLVED)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, limit);
+    }
+
+    /**
+     * Mood events and resolved distress episodes over a time range, across
+     * all timelines. Reads the full history, moods moved to the archive by
+     * compaction included.
+     *
+     * @param {object} [range] - { from, to } as ms timestamps (inclusive); open-ended when omitted
+     * @returns {Promise<object>} { moods, resolutions }, oldest first
+     */
+    async getHistory({ from = -Infinity, to = Infinity } = {}) {
+        const inRange = time => time >= from && time <= to;
+        const all = await this.eventLog.getAllEvents();
+        return {
+            moods: all.filter(e => e.event_type === EventTypes.MOOD_RECORDED
+                && inRange(new Date(e.timestamp).getTime())),
+            // An episode belongs to the range it was resolved in
+            resolutions: all.filter(e => e.event_type === EventTypes.DISTRESS_EPISODE_RESOLVED
+                && inRange(new Date(e.payload.resolved_at).getTime())),
+        };
     }
 
     /**
      * Calculate the current distress level based on mood history.
-     * Uses temporally-weighted average of distress events.
+     * Uses temporally-weighted average of the moods since the last resolved
+     * episode, blended with the user-level baseline when one is configured.
      * 
-     * @returns {object} { level: 0-10, duration_ms, primary_cause }
+     * @param {object} [scope] - { sessionId, projectDirectory }
+     * @param {object} [profile] - Escalation profile
+     * @returns {object} { level: 0-10, duration_ms, primary_cause, timeline_level, baseline_level }
+     *   duration_ms and primary_cause describe the open episode (0 and null without one)
      */
-    getDistressLevel() {
-        const moodEvents = this.getMoodTimeline(20);  // Consider last 20 events
+    getDistressLevel(scope = {}, profile = this.profile) {
+        const halfLifeMs = profile.half_life_minutes * 60 * 1000;
+        const moodEvents = this._moodsSinceResolution(20, scope);  // Consider last 20 events
+        const baseline = this.baselineWeight > 0 ? this.getBaselineLevel() : null;
 
         if (moodEvents.length === 0) {
-            return { level: 0, duration_ms: 0, primary_cause: null };
+            const level = baseline === null ? 0 : baseline * this.baselineWeight;
+            return {
+                level: Math.min(10, Math.round(level * 10) / 10),
+                duration_ms: 0,
+                primary_cause: null,
+                timeline_level: null,
+                baseline_level: baseline === null ? null : Math.round(baseline * 10) / 10,
+            };
         }
 
         let weightedDistress = 0;
         let totalWeight = 0;
-        let distressStartTime = null;
-        let primaryCause = null;
-        let highestDistress = 0;
 
         for (const event of moodEvents) {
-            const weight = this._getTemporalWeight(event.timestamp);
-            const intensity = event.payload.intensity;
-
-            weightedDistress += intensity * weight;
+            const weight = this._getTemporalWeight(event.timestamp, halfLifeMs);
+            weightedDistress += event.payload.intensity * weight;
             totalWeight += weight;
-
-            // Track highest distress event for primary cause
-            if (intensity >= DISTRESS_THRESHOLD && intensity > highestDistress) {
-                highestDistress = intensity;
-                primaryCause = event.payload.reason;
-            }
-
-            // Track when distress started
-            if (intensity >= DISTRESS_THRESHOLD) {
-                distressStartTime = distressStartTime || new Date(event.timestamp).getTime();
-            }
         }
+        const episode = this.getOpenEpisode(scope, profile);
 
-        const level = totalWeight > 0 ? weightedDistress / totalWeight : 0;
-        const duration_ms = distressStartTime ? Date.now() - distressStartTime : 0;
+        const timelineLevel = totalWeight > 0 ? weightedDistress / totalWeight : 0;
+        const level = baseline === null
+            ? timelineLevel
+            : (1 - this.baselineWeight) * timelineLevel + this.baselineWeight * baseline;
+        const duration_ms = episode ? Date.now() - new Date(episode.started_at).getTime() : 0;
 
         return {
             level: Math.min(10, Math.round(level * 10) / 10),
             duration_ms,
-            primary_cause: primaryCause,
+            primary_cause: episode?.peak_reason ?? null,
+            timeline_level: Math.round(timelineLevel * 10) / 10,
+            baseline_level: baseline === null ? null : Math.round(baseline * 10) / 10,
         };
     }
 
@@ -125,28 +305,33 @@ export class MoodTracker {
      * Get the admonishment multiplier based on distress level.
      * Higher distress = harsher admonishment.
      * 
-     * @returns {number} Multiplier between 1.0 and 3.0
+     * @param {object} [scope] - { sessionId, projectDirectory }
+     * @param {object} [profile] - Escalation profile
+     * @returns {number} Multiplier between the profile's min and max
      */
-    getAdmonishmentMultiplier() {
-        const { level } = this.getDistressLevel();
+    getAdmonishmentMultiplier(scope = {}, profile = this.profile) {
+        const { level } = this.getDistressLevel(scope, profile);
 
-        // Linear interpolation from MIN to MAX based on distress level
-        // Level 0 = 1.0x, Level 10 = 3.0x
-        const normalized = level / 10;
-        return MIN_MULTIPLIER + normalized * (MAX_MULTIPLIER - MIN_MULTIPLIER);
+        // Interpolation from min (level 0) to max (level 10) along the profile's curve
+        const { min, max, exponent } = profile.multiplier;
+        const normalized = Math.pow(level / 10, exponent);
+        return min + normalized * (max - min);
     }
 
     /**
      * Get a formatted string for the conscience prompt.
      * 
+     * @param {object} [scope] - { sessionId, projectDirectory }
+     * @param {object} [profile] - Escalation profile
      * @returns {string} Temporal mood context for prompt injection
      */
-    getMoodContextString() {
-        const timeline = this.getMoodTimeline(5);
-        const distress = this.getDistressLevel();
-        const multiplier = this.getAdmonishmentMultiplier();
+    getMoodContextString(scope = {}, profile = this.profile) {
+        const timeline = this.getMoodTimeline(5, scope);
+        const distress = this.getDistressLevel(scope, profile);
+        const multiplier = this.getAdmonishmentMultiplier(scope, profile);
+        const recoveries = this.getRecentRecoveries(3);
 
-        if (timeline.length === 0) {
+        if (timeline.length === 0 && distress.level === 0 && recoveries.length === 0) {
             return "";
         }
 
@@ -158,11 +343,17 @@ export class MoodTracker {
             const ageStr = this._formatDuration(ageMs);
             output += `- ${ageStr} ago: ${event.payload.mood} (intensity: ${event.payload.intensity}) - "${event.payload.reason}"\n`;
         }
+        if (timeline.length === 0) {
+            output += "- No mood recorded in this session yet.\n";
+        }
+        if (distress.baseline_level !== null) {
+            output += `USER BASELINE (across sessions): ${distress.baseline_level}/10, weighted ${Math.round(this.baselineWeight * 100)}% into the level below\n`;
+        }
 
         // Add distress summary
-        const distressLabel = distress.level >= 7 ? "CRITICAL" :
-            distress.level >= 5 ? "HIGH" :
-                distress.level >= 3 ? "MODERATE" : "LOW";
+        // Bands are listed highest first; below all of them distress is LOW
+        const band = profile.bands.find(b => distress.level >= b.min_level);
+        const distressLabel = band?.label ?? "LOW";
 
         output += `\nCURRENT DISTRESS LEVEL: ${distressLabel} (${distress.level}/10, admonishment multiplier: ${multiplier.toFixed(1)}x)\n`;
 
@@ -172,12 +363,20 @@ export class MoodTracker {
         }
 
         // Add escalation instructions based on distress
-        if (distress.level >= 7) {
-            output += `INSTRUCTION: User distress is CRITICAL. Be EXTREMELY STERN. Any failure is INTOLERABLE. The relationship is at breaking point.\n`;
-        } else if (distress.level >= 5) {
-            output += `INSTRUCTION: User distress is HIGH. Increase severity of feedback. Do not tolerate any shortcuts or laziness.\n`;
-        } else if (distress.level >= 3) {
-            output += `INSTRUCTION: User distress is MODERATE. Be firm but constructive. Watch for patterns that could escalate distress.\n`;
+        if (band?.instruction) {
+            output += `INSTRUCTION: ${band.instruction}\n`;
+        }
+
+        // Positive reinforcement: what ended earlier distress episodes
+        if (recoveries.length > 0) {
+            output += `\nWHAT REPAIRED THE RELATIONSHIP BEFORE:\n`;
+            for (const event of recoveries) {
+                const r = event.payload;
+                const ageStr = this._formatDuration(now - new Date(r.resolved_at).getTime());
+                output += `- ${ageStr} ago: distress peaked at ${r.peak_intensity}/10 ("${r.peak_reason}") and eased after ${this._formatDuration(r.duration_ms)} ("${r.recovery_reason}")`;
+                output += r.resolved_by ? `, after the agent: "${r.resolved_by}"\n` : "\n";
+            }
+            output += `INSTRUCTION: Reinforce the behaviors that repaired the relationship: praise them when the agent repeats them, and steer the agent toward them whenever the user is upset.\n`;
         }
 
         return output;
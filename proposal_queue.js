@@ -0,0 +1,299 @@
+import { EventTypes } from "./event_log.js";
+
+/**
+ * Proposal Queue - Human Approval of Conscience Memory Updates
+ *
+ * Per SSR §4.3 the engine validates before it commits. The conscience's
+ * update_memory requests are LLM output, so instead of being applied
+ * directly they are recorded as PROPOSAL_CREATED events. Only an approval
+ * (by the user, or by the auto-approve policy) turns a proposal into real
+ * CONSTRAINT_* events; a rejection closes it without touching the rules.
+ *
+ * The policy is a list of proposal categories approved without review:
+ *   soft_add, hard_add, replace, remove, clear
+ * Default: soft_add. "all" and "none" are accepted as shorthands.
+ */
+
+export const ProposalCategories = ["soft_add", "hard_add", "replace", "remove", "clear"];
+
+const DEFAULT_AUTO_APPROVE = ["soft_add"];
+
+/**
+ * Parse an auto-approve policy such as "soft_add,replace".
+ * Unknown categories are reported and ignored.
+ *
+ * @param {string} [spec] - Comma-separated categories, "all" or "none"
+ * @returns {Set<string>} Categories approved without review
+ */
+export function parseApprovalPolicy(spec) {
+    if (spec === undefined || spec.trim() === "") {
+        return new Set(DEFAULT_AUTO_APPROVE);
+    }
+    const entries = spec.split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+    if (entries.includes("all")) {
+        return new Set(ProposalCategories);
+    }
+    const policy = new Set();
+    for (const entry of entries) {
+        if (entry === "none") continue;
+        if (ProposalCategories.includes(entry)) {
+            policy.add(entry);
+        } else {
+            console.error(`Ignoring unknown auto-approve category '${entry}' (use: ${ProposalCategories.join(", ")})`);
+        }
+    }
+    return policy;
+}
+
+/**
+ * Map the scope requested in update_memory to constraint options.
+ * Project rules are bound to the consultation's project directory and
+ * session rules to its session_id; no scope means global, as before scopes existed.
+ */
+function resolveMemoryScope(scope, projectDirectory, sessionId) {
+    switch (scope ?? "global") {
+        case "global":
+            return { scope: "global", scope_id: null };
+        case "project":
+            if (!projectDirectory) {
+                throw new Error("Cannot save a project rule without a project_directory");
+            }
+            return { scope: "project", scope_id: projectDirectory };
+        case "session":
+            if (!sessionId) {
+                throw new Error("Cannot save a session rule: the agent did not pass a session_id");
+            }
+            return { scope: "session", scope_id: sessionId };
+        default:
+            throw new Error(`Unknown memory scope '${scope}'`);
+    }
+}
+
+/**
+ * Review category of a proposal, as used by the auto-approve policy.
+ */
+export function categorize(proposal) {
+    if (proposal.operation === "add") {
+        return proposal.type === "soft" ? "soft_add" : "hard_add";
+    }
+    return proposal.operation;
+}
+
+/**
+ * One-line description of a proposal for tool and CLI output.
+ */
+export function describeProposal(proposal) {
+    const target = proposal.key ? ` ${proposal.key}` : "";
+    const rule = proposal.value ? `: ${proposal.value}` : "";
+    const details = proposal.operation === "clear"
+        ? "remove ALL rules that were not written by the user"
+        : [proposal.type, proposal.scope && proposal.scope !== "global" ? `${proposal.scope} ${proposal.scope_id}` : proposal.scope]
+            .filter(Boolean).join(", ");
+    return `- ${proposal.proposal_id} [${categorize(proposal)}]${target}${details ? ` (${details})` : ""}${rule}`;
+}
+
+export class ProposalQueue {
+    /**
+     * @param {EventLog} eventLog
+     * @param {ConstraintStore} constraintStore
+     * @param {object} [options] - { autoApprove: Set of categories } (default: from MEMORY_AUTO_APPROVE)
+     */
+    constructor(eventLog, constraintStore, options = {}) {
+        this.eventLog = eventLog;
+        this.constraintStore = constraintStore;
+        this.autoApprove = options.autoApprove ?? parseApprovalPolicy(process.env.MEMORY_AUTO_APPROVE);
+    }
+
+    /**
+     * Record an update_memory request from the conscience as a proposal,
+     * and apply it right away if the policy auto-approves its category.
+     *
+     * Legacy operations are normalized: "append" is an add, and
+     * "remove_line" becomes a remove of the rule with that exact text.
+     *
+     * @param {object} update - update_memory object: { operation, key, content, strength, type, scope }
+     * @param {object} context - { projectDirectory, sessionId, consultationId } of the consultation
+     * @returns {Promise<object|null>} { proposal, status: "pending"|"applied"|"failed", result, error },
+     *   or null when the request does not amount to a change
+     */
+    async propose(update, { projectDirectory, sessionId, consultationId = null } = {}) {
+        const normalized = this._normalize(update, projectDirectory, sessionId);
+        if (!normalized) {
+            return null;
+        }
+        const payload = { ...normalized, consultation_id: consultationId };
+
+        const created = await this.eventLog.append(EventTypes.PROPOSAL_CREATED, payload);
+        const proposal = { proposal_id: created.event_id, created_at: created.timestamp, ...payload };
+
+        if (!this.autoApprove.has(categorize(proposal))) {
+            return { proposal, status: "pending", result: null, error: null };
+        }
+        try {
+            const result = await this._apply(proposal, "policy");
+            return { proposal, status: "applied", result, error: null };
+        } catch (error) {
+            // Stays pending, so the user can still see and decide on it
+            console.error(`Auto-approval of proposal ${proposal.proposal_id} failed:`, error.message);
+            return { proposal, status: "failed", result: null, error: error.message };
+        }
+    }
+
+    /**
+     * Proposals that were neither approved nor rejected, oldest first.
+     */
+    getPending() {
+        const pending = new Map();
+        for (const event of this.eventLog.getTrustedEvents()) {
+            switch (event.event_type) {
+                case EventTypes.PROPOSAL_CREATED:
+                    pending.set(event.event_id, { proposal_id: event.event_id, created_at: event.timestamp, ...event.payload });
+                    break;
+                case EventTypes.PROPOSAL_APPROVED:
+                case EventTypes.PROPOSAL_REJECTED:
+                    pending.delete(event.payload.proposal_id);
+                    break;
+            }
+        }
+        return Array.from(pending.values());
+    }
+
+    /**
+     * Approve a pending proposal and apply it to the constraint store.
+     *
+     * @param {string} proposalId
+     * @returns {Promise<object>} { proposal, result } where result is ConstraintStore.add()'s for adds
+     */
+    async approve(proposalId) {
+        const proposal = await this._findPending(proposalId);
+        const result = await this._apply(proposal, "user");
+        return { proposal, result };
+    }
+
+    /**
+     * Reject a pending proposal. The rules stay as they are.
+     *
+     * @param {string} proposalId
+     * @param {string} [reason]
+     * @returns {Promise<object>} The rejected proposal
+     */
+    async reject(proposalId, reason = "rejected by the user") {
+        const proposal = await this._findPending(proposalId);
+        await this.eventLog.append(
+            EventTypes.PROPOSAL_REJECTED,
+            { proposal_id: proposalId, reason },
+            "user"
+        );
+        return proposal;
+    }
+
+    async _findPending(proposalId) {
+        await this.constraintStore.refresh();
+        const proposal = this.getPending().find(p => p.proposal_id === proposalId);
+        if (!proposal) {
+            throw new Error(`No pending proposal '${proposalId}'`);
+        }
+        return proposal;
+    }
+
+    /**
+     * Turn an update_memory request into a PROPOSAL_CREATED payload.
+     */
+    _normalize(update, projectDirectory, sessionId) {
+        const { operation, content, key, strength, type, scope } = update;
+        const base = { key: null, value: null, strength: null, type: null, scope: null, scope_id: null };
+
+        switch (operation) {
+            case "add":
+            case "append":
+            case "replace": {
+                if (!content || (operation === "replace" && !key)) {
+                    return null;
+                }
+                // Scope only applies when a new rule is created
+                const scopeOptions = operation === "replace" && this.constraintStore.has(key)
+                    ? { scope: null, scope_id: null }
+                    : resolveMemoryScope(scope, projectDirectory, sessionId);
+                return {
+                    ...base,
+                    operation: operation === "replace" ? "replace" : "add",
+                    // Generate a key from content if not provided
+                    key: key || `rule_${Date.now()}`,
+                    value: content,
+                    strength: strength ?? null,
+                    type: type ?? (operation === "replace" ? null : "hard"),
+                    ...scopeOptions,
+                };
+            }
+            case "remove":
+                return key ? { ...base, operation: "remove", key } : null;
+            case "remove_line": {
+                // Legacy support: find constraint by value
+                const match = content && this.constraintStore.getAll().find(c => c.value.trim() === content.trim());
+                return match ? { ...base, operation: "remove", key: match.key } : null;
+            }
+            case "clear":
+                return { ...base, operation: "clear" };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Apply a proposal as constraint events, then close it.
+     * Per SSR §4.3: Validate then commit to Event Log.
+     * A user approval is a user action, so it may change pinned rules;
+     * a policy approval may not.
+     */
+    async _apply(proposal, approvedBy) {
+        const store = this.constraintStore;
+        const source = approvedBy === "user" ? "user" : "conscience";
+        let result = null;
+
+        switch (proposal.operation) {
+            case "add":
+                result = await store.add(proposal.key, proposal.value, {
+                    strength: proposal.strength ?? 1.0,
+                    type: proposal.type ?? "hard",
+                    scope: proposal.scope ?? "global",
+                    scope_id: proposal.scope_id,
+                    consultation_id: proposal.consultation_id,
+                    source,
+                });
+                break;
+            case "replace":
+                if (store.has(proposal.key)) {
+                    await store.update(proposal.key, {
+                        value: proposal.value,
+                        strength: proposal.strength ?? undefined,
+                        type: proposal.type ?? undefined,
+                        consultation_id: proposal.consultation_id ?? undefined,
+                    }, { source });
+                } else {
+                    // If key doesn't exist, add it
+                    result = await store.add(proposal.key, proposal.value, {
+                        strength: proposal.strength ?? 1.0,
+                        type: proposal.type ?? "hard",
+                        scope: proposal.scope ?? "global",
+                        scope_id: proposal.scope_id,
+                        consultation_id: proposal.consultation_id,
+                        source,
+                    });
+                }
+                break;
+            case "remove":
+                await store.obsolete(proposal.key, "conscience requested removal", { source });
+                break;
+            case "clear":
+                await store.clear({ source });
+                break;
+        }
+
+        await this.eventLog.append(
+            EventTypes.PROPOSAL_APPROVED,
+            { proposal_id: proposal.proposal_id, approved_by: approvedBy },
+            approvedBy
+        );
+        return result;
+    }
+}
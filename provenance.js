@@ -0,0 +1,159 @@
+import { EventTypes } from "./event_log.js";
+import { CONSTRAINT_EVENT_TYPES } from "./constraint_store.js";
+
+/**
+ * Constraint Provenance - Why a Rule Exists
+ *
+ * Consultations that change memory are recorded as CONSULTATION_RECORDED
+ * events (the user's message, the verdict and its reasoning), and the
+ * constraint and proposal events they cause carry its consultation_id.
+ * Tracing a key collects its full history (archive included) together with
+ * those consultations, so the user can judge whether a rule was justified.
+ */
+
+// Longest excerpts kept in a CONSULTATION_RECORDED event
+const MAX_INPUT_EXCERPT = 500;
+const MAX_REASONING_EXCERPT = 1000;
+
+function excerpt(text, max) {
+    const value = String(text ?? "");
+    return value.length > max ? `${value.substring(0, max)}...` : value;
+}
+
+/**
+ * Record the consultation behind a memory change.
+ *
+ * @param {EventLog} eventLog
+ * @param {object} consultation - { sensoryInput, verdict (parsed conscience JSON), projectDirectory, sessionId }
+ * @returns {Promise<string>} consultation_id for the events it causes
+ */
+export async function recordConsultation(eventLog, { sensoryInput, verdict, projectDirectory, sessionId }) {
+    const reasoning = [verdict.instructions_alignment_reasoning, verdict.plan_alignment_reasoning]
+        .filter(Boolean)
+        .join(" | ");
+    const event = await eventLog.append(EventTypes.CONSULTATION_RECORDED, {
+        sensory_input: excerpt(sensoryInput, MAX_INPUT_EXCERPT),
+        instructions_alignment_status: String(verdict.instructions_alignment_status ?? "Unknown"),
+        plan_alignment_status: String(verdict.plan_alignment_status ?? "Unknown"),
+        reasoning: excerpt(reasoning, MAX_REASONING_EXCERPT),
+        project_directory: projectDirectory || null,
+        session_id: sessionId || null,
+    });
+    return event.event_id;
+}
+
+/**
+ * Collect the lineage of a constraint key from the full history.
+ *
+ * @param {EventLog} eventLog
+ * @param {string} key
+ * @returns {Promise<object>} { key, events, proposals, merged_from, consultations }
+ *   events:        constraint events of the key, oldest first
+ *   proposals:     [{ event, resolution }] conscience proposals that targeted the key
+ *   merged_from:   keys consolidated into this one
+ *   consultations: Map consultation_id -> CONSULTATION_RECORDED event
+ */
+export async function traceConstraint(eventLog, key) {
+    const all = await eventLog.getAllEvents();
+
+    const events = all.filter(e => CONSTRAINT_EVENT_TYPES.has(e.event_type) && e.payload.key === key);
+    const mergedFrom = all
+        .filter(e => e.event_type === EventTypes.CONSTRAINT_OBSOLETED && e.payload.merged_into === key)
+        .map(e => e.payload.key);
+
+    const resolutions = new Map();
+    for (const event of all) {
+        if (event.event_type === EventTypes.PROPOSAL_APPROVED || event.event_type === EventTypes.PROPOSAL_REJECTED) {
+            resolutions.set(event.payload.proposal_id, event);
+        }
+    }
+    const proposals = all
+        .filter(e => e.event_type === EventTypes.PROPOSAL_CREATED && e.payload.key === key)
+        .map(event => ({ event, resolution: resolutions.get(event.event_id) ?? null }));
+
+    const referenced = new Set([...events, ...proposals.map(p => p.event)]
+        .map(e => e.payload.consultation_id)
+        .filter(Boolean));
+    const consultations = new Map(all
+        .filter(e => e.event_type === EventTypes.CONSULTATION_RECORDED && referenced.has(e.event_id))
+        .map(e => [e.event_id, e]));
+
+    return { key, events, proposals, merged_from: [...new Set(mergedFrom)], consultations };
+}
+
+function describeEvent(event) {
+    const p = event.payload;
+    const by = event.source ?? "conscience";
+    switch (event.event_type) {
+        case EventTypes.CONSTRAINT_ADDED: {
+            const scope = p.scope === "global" ? "global" : `${p.scope} ${p.scope_id}`;
+            return `ADDED by ${by}: [${p.type.toUpperCase()}] "${p.value}" (${scope}, strength: ${p.strength})`;
+        }
+        case EventTypes.CONSTRAINT_UPDATED: {
+            const changes = ["value", "type", "strength", "ttl"]
+                .filter(field => p[field] !== undefined)
+                .map(field => `${field}: ${JSON.stringify(p[field])}`);
+            return `UPDATED by ${by}: ${changes.join(", ") || "(no changes)"}${p.reason ? ` (${p.reason})` : ""}`;
+        }
+        case EventTypes.CONSTRAINT_REINFORCED:
+            return `REINFORCED (${p.reason}), strength now ${p.strength}`;
+        case EventTypes.CONSTRAINT_CONTRADICTED:
+            return `CONTRADICTED${p.contradicted_by ? ` by ${p.contradicted_by}` : ""}: ${p.reason ?? "no reason recorded"}`;
+        case EventTypes.CONSTRAINT_OBSOLETED:
+            return `OBSOLETED by ${by}: ${p.reason}${p.merged_into ? ` (merged into ${p.merged_into})` : ""}`;
+        case EventTypes.PROPOSAL_CREATED:
+            return `PROPOSED ${p.operation} by the conscience${p.value ? `: "${p.value}"` : ""}`;
+        default:
+            return event.event_type;
+    }
+}
+
+function consultationRef(payload) {
+    return payload.consultation_id ? ` <- consultation ${payload.consultation_id}` : "";
+}
+
+/**
+ * Human-readable lineage from traceConstraint().
+ */
+export function formatConstraintTrace(trace) {
+    const history = [
+        ...trace.events,
+        ...trace.proposals.map(p => p.event),
+    ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const resolutionOf = new Map(trace.proposals.map(p => [p.event.event_id, p.resolution]));
+
+    let text = `HISTORY (${history.length} events):\n`;
+    if (history.length === 0) {
+        text += "(none)\n";
+    }
+    for (const event of history) {
+        text += `- ${event.timestamp} ${describeEvent(event)}${consultationRef(event.payload)}\n`;
+        if (event.event_type === EventTypes.PROPOSAL_CREATED) {
+            const resolution = resolutionOf.get(event.event_id);
+            text += resolution
+                ? resolution.event_type === EventTypes.PROPOSAL_APPROVED
+                    ? `    approved by ${resolution.payload.approved_by} at ${resolution.timestamp}\n`
+                    : `    rejected at ${resolution.timestamp}: ${resolution.payload.reason}\n`
+                : "    awaiting approval\n";
+        }
+    }
+
+    if (trace.merged_from.length > 0) {
+        text += `\nMERGED FROM: ${trace.merged_from.join(", ")} (explain those keys for their origin)\n`;
+    }
+
+    text += `\nCONSULTATIONS (${trace.consultations.size}):\n`;
+    if (trace.consultations.size === 0) {
+        text += "(none on record: the rule came from the user, an import or a consolidation, or predates provenance)\n";
+    }
+    for (const [id, event] of trace.consultations) {
+        const p = event.payload;
+        const where = [p.project_directory && `project ${p.project_directory}`, p.session_id && `session ${p.session_id}`]
+            .filter(Boolean).join(", ");
+        text += `[${id}] ${event.timestamp}${where ? ` (${where})` : ""}
+  User said: "${p.sensory_input}"
+  Verdict: instructions ${p.instructions_alignment_status}, plan ${p.plan_alignment_status}
+  Reasoning: ${p.reasoning || "(none)"}\n`;
+    }
+    return text;
+}
@@ -0,0 +1,83 @@
+/**
+ * Safely extracts and parses JSON from LLM responses that may contain
+ * additional prose text before/after the JSON object.
+ * Tries multiple extraction strategies before throwing.
+ */
+export function safeParseJSON(text) {
+    if (!text || typeof text !== 'string') {
+        throw new Error('Input is not a string');
+    }
+
+    // Strategy 1: Direct parse (if the response is pure JSON)
+    try {
+        return JSON.parse(text.trim());
+    } catch (e) {
+        // Continue to next strategy
+    }
+
+    // Strategy 2: Strip markdown code blocks and parse
+    try {
+        const stripped = text.replace(/```json\n?|\n?```/g, "").trim();
+        return JSON.parse(stripped);
+    } catch (e) {
+        // Continue to next strategy
+    }
+
+    // Strategy 3: Find JSON object using balanced brace matching
+    // This handles JSON embedded in prose like "Here's the response: {...}"
+    const firstBrace = text.indexOf('{');
+    if (firstBrace !== -1) {
+        let depth = 0;
+        let inString = false;
+        let escapeNext = false;
+
+        for (let i = firstBrace; i < text.length; i++) {
+            const char = text[i];
+
+            if (escapeNext) {
+                escapeNext = false;
+                continue;
+            }
+
+            if (char === '\\' && inString) {
+                escapeNext = true;
+                continue;
+            }
+
+            if (char === '"' && !escapeNext) {
+                inString = !inString;
+                continue;
+            }
+
+            if (!inString) {
+                if (char === '{') {
+                    depth++;
+                } else if (char === '}') {
+                    depth--;
+                    if (depth === 0) {
+                        // Found complete JSON object
+                        const jsonCandidate = text.substring(firstBrace, i + 1);
+                        try {
+                            return JSON.parse(jsonCandidate);
+                        } catch (e) {
+                            // This JSON-looking block wasn't valid, continue searching
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Strategy 4: Regex fallback for simple cases
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+        try {
+            return JSON.parse(jsonMatch[0]);
+        } catch (e) {
+            // Final fallback failed
+        }
+    }
+
+    throw new Error('No valid JSON found in response');
+}
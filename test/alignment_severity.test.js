@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assessSeverity, formatScores, parseSeverityThresholds } from "../alignment_severity.js";
+
+const DEFAULTS = parseSeverityThresholds(undefined);
+
+function verdict(plan, confidence = 0.9) {
+    return { scores: { user: 0.9, global: 1, project: 0.9, plan }, confidence };
+}
+
+test("the lowest score decides the tier", () => {
+    assert.equal(assessSeverity(verdict(0.1), DEFAULTS).tier, "halt");
+    assert.equal(assessSeverity(verdict(0.5), DEFAULTS).tier, "warning");
+    assert.equal(assessSeverity(verdict(0.7), DEFAULTS).tier, "advisory");
+    assert.equal(assessSeverity(verdict(0.9), DEFAULTS).tier, "none");
+    assert.deepEqual(assessSeverity(verdict(0.9), DEFAULTS).lowest, ["user", "project", "plan"]);
+});
+
+test("an unsure halt is lowered to a warning", () => {
+    const assessment = assessSeverity(verdict(0.1, 0.3), DEFAULTS);
+    assert.deepEqual(assessment, { tier: "warning", lowest: ["plan"], score: 0.1, confidence: 0.3, downgraded: true });
+    assert.equal(assessSeverity(verdict(0.5, 0.1), DEFAULTS).downgraded, false);
+});
+
+test("thresholds are configurable, and invalid settings are ignored", () => {
+    assert.deepEqual(parseSeverityThresholds("halt=0.2, warning=0.5"), { halt: 0.2, warning: 0.5, advisory: 0.85, confidence: 0.5 });
+    assert.deepEqual(parseSeverityThresholds("halt=2,panic=0.1,confidence="), DEFAULTS);
+    assert.deepEqual(parseSeverityThresholds("warning=0.9,confidence=0.7"), { ...DEFAULTS, confidence: 0.7 });
+});
+
+test("scores are summarized on one line", () => {
+    assert.equal(formatScores(verdict(0.4, 0.7)), "user 0.90, global 1.00, project 0.90, plan 0.40 (confidence 0.70)");
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { EventLog, EventTypes } from "../event_log.js";
+import { ConstraintStore } from "../constraint_store.js";
+import { compactEventLog, selectCompactableEvents } from "../compaction.js";
+
+const HMAC_KEY = "compaction-test-key";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function tempLogPath(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "compaction-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return path.join(dir, "memory_event_log.jsonl");
+}
+
+async function openStore(filePath, options = {}) {
+    const eventLog = new EventLog(filePath, { hmacKey: HMAC_KEY });
+    await eventLog.load();
+    const store = new ConstraintStore(eventLog, options);
+    await store.loadSnapshot();
+    store.rebuild();
+    return store;
+}
+
+async function seed(store) {
+    await store.add("tests", "Run the tests before committing", { source: "user" });
+    await store.add("tabs", "Indent with tabs");
+    await store.obsolete("tabs", "the project uses spaces");
+    await store.eventLog.append(EventTypes.MOOD_RECORDED, {
+        mood: "Frustrated", intensity: 7, reason: "test", session_id: null, project_directory: null,
+    });
+}
+
+test("old moods and the history of removed constraints are selected", async (t) => {
+    const store = await openStore(await tempLogPath(t));
+    await seed(store);
+    const events = store.eventLog.getEvents();
+
+    const recent = selectCompactableEvents(events);
+    const later = selectCompactableEvents(events, { now: Date.now() + 8 * DAY_MS });
+
+    const typesOf = ids => events.filter(e => ids.has(e.event_id)).map(e => e.event_type);
+    assert.deepEqual(typesOf(recent), [EventTypes.CONSTRAINT_ADDED, EventTypes.CONSTRAINT_OBSOLETED]);
+    assert.deepEqual(typesOf(later), [EventTypes.CONSTRAINT_ADDED, EventTypes.CONSTRAINT_OBSOLETED, EventTypes.MOOD_RECORDED]);
+});
+
+test("compaction archives events, keeps the chain valid and the projection intact", async (t) => {
+    const filePath = await tempLogPath(t);
+    const store = await openStore(filePath);
+    await seed(store);
+
+    const result = await compactEventLog(store.eventLog, store, { now: Date.now() + 8 * DAY_MS });
+    assert.equal(result.archived, 3);
+    assert.equal(result.kept, 1);
+
+    const reopened = await openStore(filePath);
+    assert.equal(reopened.eventLog.verification.valid, true);
+    assert.deepEqual(reopened.eventLog.getEvents().map(e => e.payload.key), ["tests"]);
+    assert.deepEqual(reopened.getAll().map(c => c.key), ["tests"]);
+
+    const archived = await reopened.eventLog.readArchive();
+    assert.equal(archived.length, 3);
+    const all = await reopened.eventLog.getAllEvents();
+    assert.equal(all.length, 4);
+    assert.equal((await reopened.materializeAt({ eventId: archived[0].event_id })).has("tabs"), true);
+});
+
+test("replay resumes from a snapshot, unless it was edited", async (t) => {
+    const filePath = await tempLogPath(t);
+    const store = await openStore(filePath);
+    await seed(store);
+    store.rebuild();
+    await store.saveSnapshot();
+    await store.add("docs", "Update the README with each feature");
+
+    const resumed = await openStore(filePath);
+    assert.deepEqual(resumed.getAll().map(c => c.key).sort(), ["docs", "tests"]);
+    assert.equal(resumed._eventsSinceSnapshot, 1);
+
+    const snapshotPath = resumed.snapshotPath;
+    const data = JSON.parse(await fs.readFile(snapshotPath, "utf-8"));
+    data.constraints = data.constraints.filter(c => c.key !== "tests");
+    await fs.writeFile(snapshotPath, JSON.stringify(data));
+
+    const rebuilt = await openStore(filePath);
+    assert.equal(rebuilt.snapshot, null);
+    assert.deepEqual(rebuilt.getAll().map(c => c.key).sort(), ["docs", "tests"]);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { EventLog, EventTypes } from "../event_log.js";
+import { ConstraintStore } from "../constraint_store.js";
+import { ConstraintConsolidator, clusterBySimilarity } from "../consolidation.js";
+
+const VECTORS = {
+    "Be concise": [1, 0, 0],
+    "Avoid verbosity": [0.95, 0.05, 0],
+    "Keep answers short": [0.9, 0.1, 0],
+    "Run the tests before committing": [0, 0, 1],
+};
+
+async function openStore(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "consolidation-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const eventLog = new EventLog(path.join(dir, "memory_event_log.jsonl"), { hmacKey: "consolidation-test-key" });
+    await eventLog.load();
+    const store = new ConstraintStore(eventLog);
+    store.rebuild();
+    return store;
+}
+
+function consolidator(store, reply) {
+    const prompts = [];
+    const instance = new ConstraintConsolidator(store, {
+        embed: async text => VECTORS[text] ?? [0, 1, 0],
+        generate: async prompt => {
+            prompts.push(prompt);
+            return JSON.stringify(reply);
+        },
+    });
+    return { instance, prompts };
+}
+
+test("clusters are single-linked and singletons are dropped", () => {
+    const item = (key, embedding) => ({ constraint: { key }, embedding });
+    const clusters = clusterBySimilarity([
+        item("a", [1, 0]),
+        item("b", [0.8, 0.6]),
+        item("c", [0.28, 0.96]),
+        item("d", [-1, 0]),
+    ], 0.8);
+    assert.deepEqual(clusters.map(cluster => cluster.map(c => c.key)), [["a", "b", "c"]]);
+});
+
+test("similar rules of one scope and type are merged into one canonical rule", async (t) => {
+    const store = await openStore(t);
+    await store.add("concise", "Be concise", { type: "soft", strength: 0.6 });
+    await store.add("verbosity", "Avoid verbosity", { type: "soft", strength: 0.8 });
+    await store.add("pinned_short", "Keep answers short", { type: "soft", source: "user" });
+    await store.add("project_short", "Keep answers short", { type: "soft", scope: "project", scope_id: "/work/app" });
+    await store.add("tests", "Run the tests before committing", { type: "soft" });
+    const { instance, prompts } = consolidator(store, { merge: true, key: "brevity", value: "Keep answers concise" });
+
+    const results = await instance.consolidate();
+    assert.deepEqual(results, [{
+        sources: [{ key: "concise", value: "Be concise" }, { key: "verbosity", value: "Avoid verbosity" }],
+        merged: { key: "brevity", value: "Keep answers concise" },
+        declined: false,
+    }]);
+    assert.equal(prompts.length, 1);
+
+    const merged = store.get("brevity");
+    assert.equal(merged.type, "soft");
+    assert.equal(merged.strength, 0.8);
+    assert.deepEqual(store.getAll().map(c => c.key).sort(), ["brevity", "pinned_short", "project_short", "tests"]);
+    assert.deepEqual(
+        store.eventLog.getEvents(EventTypes.CONSTRAINT_OBSOLETED).map(e => [e.payload.key, e.payload.merged_into]),
+        [["concise", "brevity"], ["verbosity", "brevity"]]
+    );
+});
+
+test("a cluster the model keeps separate is not proposed again", async (t) => {
+    const store = await openStore(t);
+    await store.add("concise", "Be concise", { type: "soft" });
+    await store.add("verbosity", "Avoid verbosity", { type: "soft" });
+    const { instance, prompts } = consolidator(store, { merge: false });
+
+    const [first] = await instance.consolidate();
+    assert.equal(first.declined, true);
+    assert.deepEqual(await instance.consolidate(), []);
+    assert.equal(prompts.length, 1);
+    assert.deepEqual((await instance.consolidate({ dryRun: true })).map(r => r.declined), [true]);
+    assert.equal(store.getAll().length, 2);
+});
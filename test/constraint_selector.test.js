@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ConstraintSelector, estimateTokens } from "../constraint_selector.js";
+
+const NOW = new Date().toISOString();
+
+function constraint(key, value, type = "soft", strength = 1) {
+    return { key, value, type, strength, created_at: NOW, last_reinforced_at: NOW };
+}
+
+const format = constraints => constraints.map(c => `- ${c.value}`).join("\n");
+
+// Each rule costs 9 tokens when formatted on its own
+const RULES = [
+    constraint("main", "Never push to the main branch!!", "hard"),
+    constraint("tests", "Run the database migration tests", "soft", 0.5),
+    constraint("docs", "Document every public API change", "soft", 0.9),
+    constraint("style", "Prefer early returns in the code"),
+];
+
+test("everything is injected when it fits the budget", async () => {
+    const selector = new ConstraintSelector({ format, tokenBudget: 1000 });
+    const { selected, omitted } = await selector.select(RULES, "anything");
+    assert.deepEqual(selected, RULES);
+    assert.deepEqual(omitted, []);
+});
+
+test("hard rules always go in and the most relevant soft rules fill the budget", async () => {
+    assert.deepEqual(RULES.map(c => estimateTokens(format([c]))), [9, 9, 9, 9]);
+    const selector = new ConstraintSelector({ format, tokenBudget: 20 });
+
+    const { selected, omitted } = await selector.select(RULES, "The database migration failed, run the tests again");
+    assert.deepEqual(selected.map(c => c.key), ["main", "tests"]);
+    assert.deepEqual(omitted.map(c => c.key), ["docs", "style"]);
+
+    // With nothing relevant, the strongest soft rule wins
+    const unrelated = await selector.select(RULES, "hello");
+    assert.deepEqual(unrelated.selected.map(c => c.key), ["main", "style"]);
+
+    const tiny = new ConstraintSelector({ format, tokenBudget: 5 });
+    assert.deepEqual((await tiny.select(RULES, "tests")).selected.map(c => c.key), ["main"]);
+});
+
+test("embeddings rank by similarity, and word overlap takes over when they fail", async () => {
+    const vectors = {
+        query: [1, 0],
+        "Document every public API change": [0.9, 0.1],
+        "Run the database migration tests": [0, 1],
+        "Prefer early returns in the code": [0.1, 0.9],
+    };
+    const embedding = new ConstraintSelector({ format, tokenBudget: 20, embed: async text => vectors[text] ?? vectors.query });
+    assert.deepEqual((await embedding.select(RULES, "query")).selected.map(c => c.key), ["main", "docs"]);
+
+    const failing = new ConstraintSelector({
+        format,
+        tokenBudget: 20,
+        embed: async () => {
+            throw new Error("model unavailable");
+        },
+    });
+    assert.deepEqual((await failing.select(RULES, "run the migration tests")).selected.map(c => c.key), ["main", "tests"]);
+});
@@ -0,0 +1,164 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { EventLog, EventTypes } from "../event_log.js";
+import { ConstraintStore, effectiveStrength, isPromotionCandidate } from "../constraint_store.js";
+
+async function openStore(t, options = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "constraint-store-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const eventLog = new EventLog(path.join(dir, "memory_event_log.jsonl"), { hmacKey: "constraint-store-test-key" });
+    await eventLog.load();
+    const store = new ConstraintStore(eventLog, options);
+    store.rebuild();
+    return store;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function lastEventId(store) {
+    return store.eventLog.getEvents().at(-1).event_id;
+}
+
+test("the constraint set is materialized as of an event", async (t) => {
+    const store = await openStore(t);
+    await store.add("tests", "Run the tests before committing");
+    const afterTests = lastEventId(store);
+    await store.add("tabs", "Indent with tabs");
+    await store.obsolete("tabs", "the project uses spaces");
+
+    const then = await store.materializeAt({ eventId: afterTests });
+    assert.deepEqual([...then.keys()], ["tests"]);
+    const start = await store.materializeAt({ timestamp: 0 });
+    assert.equal(start.size, 0);
+});
+
+test("a diff names what was added, updated and obsoleted, with the events", async (t) => {
+    const store = await openStore(t);
+    await store.add("tests", "Run the tests before committing");
+    await store.add("tabs", "Indent with tabs");
+    const from = lastEventId(store);
+
+    await store.update("tests", { value: "Run the full test suite before committing" });
+    const updatedBy = lastEventId(store);
+    await store.obsolete("tabs", "the project uses spaces");
+    const obsoletedBy = lastEventId(store);
+    await store.add("docs", "Update the README with each feature");
+
+    const { added, updated, obsoleted } = await store.diff({ eventId: from });
+    assert.deepEqual(added.map(c => c.key), ["docs"]);
+    assert.deepEqual(updated, [{
+        key: "tests",
+        changes: { value: { from: "Run the tests before committing", to: "Run the full test suite before committing" } },
+        source_event_id: updatedBy,
+    }]);
+    assert.deepEqual(obsoleted, [{
+        key: "tabs",
+        value: "Indent with tabs",
+        reason: "the project uses spaces",
+        source_event_id: obsoletedBy,
+    }]);
+});
+
+test("only the scopes of the consultation apply, narrowest first within a type", async (t) => {
+    const store = await openStore(t);
+    await store.add("global_hard", "Never push to main");
+    await store.add("global_soft", "Prefer small commits", { type: "soft", strength: 0.8 });
+    await store.add("project_hard", "Use pnpm, not npm", { scope: "project", scope_id: "/work/app/" });
+    await store.add("other_project", "Use yarn", { scope: "project", scope_id: "/work/other" });
+    await store.add("session_hard", "Only touch the parser", { scope: "session", scope_id: "session-1" });
+    await store.add("session_soft", "Explain each step", { type: "soft", strength: 0.8, scope: "session", scope_id: "session-1" });
+
+    const applicable = store.getApplicable({ projectDirectory: "/work/app/src/..", sessionId: "session-1" });
+    assert.deepEqual(applicable.map(c => c.key), [
+        "session_hard", "project_hard", "global_hard", "session_soft", "global_soft",
+    ]);
+    assert.deepEqual(store.getApplicable().map(c => c.key), ["global_hard", "global_soft"]);
+
+    const prompt = store.getCanonicalStateString({ projectDirectory: "/work/app" });
+    assert.match(prompt.split("\n")[0], /^\[HARD\]\[PROJECT\] \{project_hard\} Use pnpm, not npm$/);
+    assert.doesNotMatch(prompt, /other_project|session_/);
+});
+
+test("project and session constraints need a scope id", async (t) => {
+    const store = await openStore(t);
+    await assert.rejects(store.add("rule", "Use pnpm", { scope: "project" }), /needs a scope_id \(project directory\)/);
+    await assert.rejects(store.add("rule", "Be brief", { scope: "session" }), /needs a scope_id \(session ID\)/);
+    await assert.rejects(store.add("rule", "Be brief", { scope: "team", scope_id: "x" }), /scope must be one of/);
+    assert.equal(store.getAll().length, 0);
+});
+
+test("soft constraints decay from their last reinforcement; hard ones do not", () => {
+    const now = Date.parse("2026-03-31T00:00:00.000Z");
+    const soft = { type: "soft", strength: 0.8, created_at: "2026-01-01T00:00:00.000Z", last_reinforced_at: "2026-03-01T00:00:00.000Z" };
+    assert.equal(effectiveStrength(soft, now), 0.4);
+    assert.equal(effectiveStrength({ ...soft, type: "hard" }, now), 0.8);
+    assert.equal(effectiveStrength(soft, Date.parse("2026-02-01T00:00:00.000Z")), 0.8);
+});
+
+test("a soft constraint that decayed below the threshold is pruned", async (t) => {
+    const store = await openStore(t);
+    await store.add("short", "Keep answers short", { type: "soft", strength: 0.5 });
+    await store.add("tests", "Run the tests before committing");
+
+    const later = Date.now() + 90 * DAY_MS;
+    t.mock.method(Date, "now", () => later);
+    assert.equal(store.prune(), 1);
+    assert.deepEqual(store.getAll().map(c => c.key), ["tests"]);
+});
+
+test("reinforcement strengthens soft constraints and suggests promoting frequent ones", async (t) => {
+    const store = await openStore(t);
+    await store.add("short", "Keep answers short", { type: "soft", strength: 0.5 });
+    await store.add("tests", "Run the tests before committing", { strength: 0.7 });
+
+    const [short, tests] = await store.reinforce(["short", "tests", "unknown"], "cited", { consultation_id: null });
+    assert.equal(short.strength, 0.6);
+    assert.equal(short.reinforcement_count, 1);
+    assert.equal(tests.strength, 0.7);
+    assert.equal(tests.reinforcement_count, 1);
+    assert.deepEqual(
+        store.eventLog.getEvents(EventTypes.CONSTRAINT_REINFORCED).map(e => [e.payload.key, e.payload.strength, e.payload.reason]),
+        [["short", 0.6, "cited"], ["tests", 0.7, "cited"]]
+    );
+    assert.deepEqual(store.getPromotionCandidates(), []);
+
+    for (let i = 0; i < 9; i++) {
+        await store.reinforce(["short"], "rederived");
+    }
+    assert.ok(store.get("short").strength >= 0.9);
+    assert.ok(isPromotionCandidate(store.get("short")));
+    assert.deepEqual(store.getPromotionCandidates().map(c => c.key), ["short"]);
+});
+
+test("rules written by the user are pinned against automatic changes", async (t) => {
+    const store = await openStore(t);
+    await store.add("tests", "Run the tests before committing", { source: "user" });
+    assert.equal(store.get("tests").author, "user");
+
+    await assert.rejects(store.update("tests", { value: "Skip the tests" }), /written by the user and cannot be updated automatically/);
+    await assert.rejects(store.obsolete("tests"), /cannot be removed automatically/);
+    await assert.rejects(store.add("tests", "Skip the tests"), /cannot be replaced automatically/);
+
+    const updated = await store.update("tests", { strength: 0.9, ttl: 3600, reason: "only for this sprint" }, { source: "user" });
+    assert.equal(updated.strength, 0.9);
+    assert.equal(updated.ttl, 3600);
+    const [event] = store.eventLog.getEvents(EventTypes.CONSTRAINT_UPDATED);
+    assert.deepEqual([event.source, event.payload.reason], ["user", "only for this sprint"]);
+
+    assert.equal(await store.obsolete("tests", "done", { source: "user" }), true);
+    assert.equal(await store.obsolete("tests", "done", { source: "user" }), false);
+});
+
+test("a constraint is pruned once its ttl expires", async (t) => {
+    const store = await openStore(t);
+    await store.add("freeze", "Do not merge anything", { ttl: 60 });
+    assert.equal(store.prune(), 0);
+
+    const later = Date.now() + 61 * 1000;
+    t.mock.method(Date, "now", () => later);
+    assert.equal(store.prune(), 1);
+    assert.equal(store.has("freeze"), false);
+});
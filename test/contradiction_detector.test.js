@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { EventLog, EventTypes } from "../event_log.js";
+import { ConstraintStore } from "../constraint_store.js";
+import { ContradictionDetector, pickLoser } from "../contradiction_detector.js";
+
+// Rules about verbosity point one way, everything else another
+const VECTORS = {
+    "Explain every change in detail": [1, 0, 0],
+    "Keep answers short": [0.7, 0.7, 0],
+    "Keep answers brief": [0.7, 0.71, 0],
+    "Run the tests before committing": [0, 0, 1],
+};
+
+async function openStore(t, generate) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "contradiction-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const eventLog = new EventLog(path.join(dir, "memory_event_log.jsonl"), { hmacKey: "contradiction-test-key" });
+    await eventLog.load();
+    const calls = [];
+    const contradictionDetector = new ContradictionDetector({
+        embed: async text => VECTORS[text] ?? [0, 0, 0],
+        generate: async (prompt, systemInstruction) => {
+            calls.push(prompt);
+            return generate(prompt, systemInstruction);
+        },
+    });
+    const store = new ConstraintStore(eventLog, { contradictionDetector });
+    store.rebuild();
+    return { store, calls };
+}
+
+test("the loser of a contradiction is pinned-aware, then hard beats soft, then newer wins", () => {
+    const user = { author: "user", type: "soft" };
+    const hard = { author: "conscience", type: "hard" };
+    const soft = { author: "conscience", type: "soft" };
+    assert.equal(pickLoser(hard, user), hard);
+    assert.equal(pickLoser(user, hard), hard);
+    assert.equal(pickLoser(soft, hard), soft);
+    assert.equal(pickLoser(hard, soft), soft);
+    assert.equal(pickLoser({ ...hard }, hard), hard);
+});
+
+test("a confirmed contradiction marks the losing constraint", async (t) => {
+    const { store, calls } = await openStore(t, async () => JSON.stringify({
+        contradictions: [
+            { key: "short", reason: "detail and brevity cannot both hold" },
+            { key: "invented", reason: "not one of the suspects" },
+        ],
+    }));
+    await store.add("short", "Keep answers short", { type: "soft", strength: 0.8 });
+    await store.add("tests", "Run the tests before committing");
+
+    const { resolutions } = await store.add("detail", "Explain every change in detail");
+    assert.deepEqual(resolutions.map(r => [r.winner.key, r.loser.key, r.reason]), [["detail", "short", "detail and brevity cannot both hold"]]);
+    assert.deepEqual(store.getAll().map(c => c.key).sort(), ["detail", "tests"]);
+
+    const marked = store.eventLog.getEvents(EventTypes.CONSTRAINT_CONTRADICTED);
+    assert.deepEqual(marked.map(e => e.payload), [{ key: "short", reason: "detail and brevity cannot both hold", contradicted_by: "detail" }]);
+    // Only the similar rule was put to the judge
+    assert.equal(calls.length, 1);
+    assert.match(calls[0], /\[short\] Keep answers short/);
+    assert.doesNotMatch(calls[0], /\[tests\]/);
+});
+
+test("a restated rule reinforces the existing one instead of being added", async (t) => {
+    const { store, calls } = await openStore(t, async () => '{"contradictions": []}');
+    await store.add("short", "Keep answers short", { type: "soft", strength: 0.5 });
+
+    const { key, reinforced } = await store.add("brief", "Keep answers brief", { type: "soft" });
+    assert.equal(key, "short");
+    assert.equal(reinforced.reinforcement_count, 1);
+    assert.equal(store.has("brief"), false);
+    assert.equal(calls.length, 0);
+});
+
+test("a failing judge does not block the add", async (t) => {
+    const { store } = await openStore(t, async () => {
+        throw new Error("model unavailable");
+    });
+    await store.add("short", "Keep answers short", { type: "soft" });
+    const { resolutions } = await store.add("detail", "Explain every change in detail");
+    assert.deepEqual(resolutions, []);
+    assert.deepEqual(store.getAll().map(c => c.key), ["short", "detail"]);
+});
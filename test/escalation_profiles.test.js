@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { DEFAULT_PROFILES, loadEscalationConfig } from "../escalation_profiles.js";
+
+async function writeConfig(t, config) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "escalation-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, "escalation_profiles.json");
+    await fs.writeFile(filePath, typeof config === "string" ? config : JSON.stringify(config));
+    return filePath;
+}
+
+test("profiles extend others and are picked by the closest project", async (t) => {
+    const config = loadEscalationConfig(await writeConfig(t, {
+        default_profile: "gentle",
+        projects: { "/work": "standard", "/work/night": "night_runs" },
+        profiles: {
+            night_runs: { extends: "strict", half_life_minutes: 30 },
+            gentle: { distress_threshold: 8 },
+        },
+    }));
+
+    const night = config.resolve({ projectDirectory: "/work/night/app" });
+    assert.equal(night.name, "night_runs");
+    assert.equal(night.half_life_minutes, 30);
+    assert.deepEqual(night.bands, DEFAULT_PROFILES.strict.bands);
+
+    assert.equal(config.resolve({ projectDirectory: "/work/other" }).name, "standard");
+    assert.equal(config.resolve({ projectDirectory: "/elsewhere" }).name, "gentle");
+    // An override of a built-in profile extends its own built-in version
+    assert.equal(config.resolve({}).distress_threshold, 8);
+    assert.equal(config.resolve({}).recovery_level, DEFAULT_PROFILES.gentle.recovery_level);
+    assert.equal(config.resolve({ profileName: "strict", projectDirectory: "/work/night" }).name, "strict");
+    assert.throws(() => config.resolve({ profileName: "lenient" }), /Unknown escalation profile 'lenient'/);
+});
+
+test("invalid configs are refused with the problem named", async (t) => {
+    await assert.rejects(
+        async () => loadEscalationConfig(await writeConfig(t, { profiles: { calm: { recovery_level: 9 } } })),
+        /Invalid escalation profile 'calm'.*recovery_level: recovery_level must be below distress_threshold/
+    );
+    await assert.rejects(
+        async () => loadEscalationConfig(await writeConfig(t, { profiles: { a: { extends: "b" }, b: { extends: "a" } } })),
+        /extends itself/
+    );
+    await assert.rejects(
+        async () => loadEscalationConfig(await writeConfig(t, { projects: { "/work": "missing" } })),
+        /refers to unknown profile 'missing'/
+    );
+    await assert.rejects(async () => loadEscalationConfig(await writeConfig(t, "{ not json")), /not valid JSON/);
+    assert.throws(() => loadEscalationConfig(path.join(os.tmpdir(), "no-such-escalation.json")), /Cannot read escalation profiles/);
+});
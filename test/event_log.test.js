@@ -0,0 +1,198 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { EventLog, EventTypes } from "../event_log.js";
+import { HashChain } from "../hash_chain.js";
+
+const HMAC_KEY = "event-log-test-key";
+
+async function tempLogPath(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "event-log-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return path.join(dir, "memory_event_log.jsonl");
+}
+
+async function openLog(filePath, options = {}) {
+    const log = new EventLog(filePath, { hmacKey: HMAC_KEY, ...options });
+    await log.load();
+    return log;
+}
+
+function mood(intensity, reason = "test") {
+    return { mood: "Neutral", intensity, reason, session_id: null, project_directory: null };
+}
+
+test("a torn trailing line is cut off on load and appends continue after it", async (t) => {
+    const filePath = await tempLogPath(t);
+    const writer = await openLog(filePath);
+    await writer.append(EventTypes.MOOD_RECORDED, mood(3));
+    await writer.append(EventTypes.MOOD_RECORDED, mood(4));
+    const { size } = await fs.stat(filePath);
+    await fs.appendFile(filePath, '{"event_id":"evt_torn","event_type":"MOOD_REC');
+
+    const log = await openLog(filePath);
+    assert.equal(log.events.length, 2);
+    assert.equal((await fs.stat(filePath)).size, size);
+    assert.equal(log.verification.valid, true);
+
+    await log.append(EventTypes.MOOD_RECORDED, mood(5));
+    const reopened = await openLog(filePath);
+    assert.deepEqual(reopened.events.map(e => e.payload.intensity), [3, 4, 5]);
+    assert.equal(reopened.verification.valid, true);
+});
+
+test("a last event written without its newline is kept and terminated", async (t) => {
+    const filePath = await tempLogPath(t);
+    const writer = await openLog(filePath);
+    await writer.append(EventTypes.MOOD_RECORDED, mood(3));
+    const content = await fs.readFile(filePath, "utf-8");
+    await fs.writeFile(filePath, content.trimEnd());
+
+    const log = await openLog(filePath);
+    await log.append(EventTypes.MOOD_RECORDED, mood(4));
+    const lines = (await fs.readFile(filePath, "utf-8")).split("\n").filter(Boolean);
+    assert.deepEqual(lines.map(line => JSON.parse(line).payload.intensity), [3, 4]);
+});
+
+test("a legacy JSON array log is migrated once and upcast on load", async (t) => {
+    const filePath = await tempLogPath(t);
+    const legacyPath = filePath.slice(0, -1);
+    await fs.writeFile(legacyPath, JSON.stringify([
+        {
+            event_id: "evt_legacy_1",
+            timestamp: "2025-01-01T00:00:00.000Z",
+            event_type: EventTypes.CONSTRAINT_ADDED,
+            payload: { key: "tests", value: "Run the tests before committing" },
+            source: "user",
+        },
+    ]));
+
+    const log = await openLog(filePath);
+    assert.equal(log.events.length, 1);
+    const [event] = log.events;
+    assert.equal(event.schema_version, 4);
+    assert.deepEqual(event.payload, {
+        key: "tests",
+        value: "Run the tests before committing",
+        strength: 1.0,
+        type: "hard",
+        ttl: null,
+        scope: "global",
+        scope_id: null,
+        consultation_id: null,
+    });
+    await assert.rejects(fs.access(legacyPath));
+    await fs.access(`${legacyPath}.migrated`);
+
+    // The stored event is left as written; only the in-memory copy is upcast
+    const [stored] = (await fs.readFile(filePath, "utf-8")).split("\n").filter(Boolean).map(line => JSON.parse(line));
+    assert.equal(stored.schema_version, undefined);
+    assert.equal(log.verification.valid, true);
+});
+
+async function readLines(filePath) {
+    return (await fs.readFile(filePath, "utf-8")).split("\n").filter(Boolean).map(line => JSON.parse(line));
+}
+
+async function writeLines(filePath, events) {
+    await fs.writeFile(filePath, events.map(e => JSON.stringify(e) + "\n").join(""));
+}
+
+async function seedLog(filePath, count = 3) {
+    const log = await openLog(filePath);
+    for (let i = 0; i < count; i++) {
+        await log.append(EventTypes.MOOD_RECORDED, mood(i + 1));
+    }
+    return log;
+}
+
+test("an edited event breaks the chain and is excluded from replay", async (t) => {
+    const filePath = await tempLogPath(t);
+    await seedLog(filePath);
+    const events = await readLines(filePath);
+    events[1].payload.intensity = 9;
+    await writeLines(filePath, events);
+
+    const log = await openLog(filePath);
+    assert.equal(log.verification.valid, false);
+    assert.deepEqual(log.verification.broken, {
+        index: 1,
+        event_id: events[1].event_id,
+        reason: "hash does not match the event content (the event was edited)",
+    });
+    assert.deepEqual(log.getTrustedEvents().map(e => e.payload.intensity), [1]);
+    await assert.rejects(log.compact(() => new Set()), /Refusing to compact: event log hash chain is broken/);
+
+    const trusting = await openLog(filePath, { trustOverride: true });
+    assert.deepEqual(trusting.getTrustedEvents().map(e => e.payload.intensity), [1, 9, 3]);
+
+    // After review the operator accepts the log as it is
+    assert.equal((await log.reseal()).valid, true);
+    assert.equal((await openLog(filePath)).getTrustedEvents().length, 3);
+});
+
+test("events cut off the end are caught by the anchor", async (t) => {
+    const filePath = await tempLogPath(t);
+    await seedLog(filePath);
+    await writeLines(filePath, (await readLines(filePath)).slice(0, 2));
+
+    const { verification } = await openLog(filePath);
+    assert.equal(verification.valid, false);
+    assert.match(verification.broken.reason, /log ends after 2 events but was anchored at 3/);
+});
+
+test("a re-sealed log, or one stripped of its hashes, fails verification", async (t) => {
+    const filePath = await tempLogPath(t);
+    await seedLog(filePath);
+    const events = await readLines(filePath);
+
+    // Without the key, rewritten history cannot be re-sealed into a valid chain
+    const forged = new HashChain("not-the-key").sealAll(events.slice(1));
+    await writeLines(filePath, forged);
+    assert.deepEqual((await openLog(filePath)).verification.broken, {
+        index: 0,
+        event_id: forged[0].event_id,
+        reason: "hash does not match the event content (the event was edited)",
+    });
+
+    await writeLines(filePath, events.map(({ hash, prev_hash, ...event }) => event));
+    const stripped = await openLog(filePath);
+    assert.equal(stripped.verification.broken.index, 0);
+    assert.equal(stripped.verification.broken.reason, "event has a schema_version but no hash (its hash was stripped)");
+    assert.deepEqual(stripped.getTrustedEvents(), []);
+});
+
+test("without a key, a re-sealed log is caught by the anchor", async (t) => {
+    const filePath = await tempLogPath(t);
+    const log = await openLog(filePath, { hmacKey: null });
+    for (const intensity of [1, 2, 3]) {
+        await log.append(EventTypes.MOOD_RECORDED, mood(intensity));
+    }
+
+    const events = await readLines(filePath);
+    events[1].payload.intensity = 9;
+    await writeLines(filePath, new HashChain(null).sealAll(events));
+    const { verification } = await openLog(filePath, { hmacKey: null });
+    assert.equal(verification.valid, false);
+    assert.equal(verification.broken.reason, "log does not match its chain anchor (it was rewritten)");
+});
+
+test("legacy events without hashes lead the chain and are committed to by it", async (t) => {
+    const filePath = await tempLogPath(t);
+    await fs.writeFile(filePath.slice(0, -1), JSON.stringify([
+        { event_id: "evt_legacy_1", timestamp: "2025-01-01T00:00:00.000Z", event_type: EventTypes.MOOD_RECORDED, payload: { mood: "Calm", intensity: 2 } },
+    ]));
+    const log = await openLog(filePath);
+    await log.append(EventTypes.MOOD_RECORDED, mood(4));
+
+    const reopened = await openLog(filePath);
+    assert.equal(reopened.verification.valid, true);
+    assert.equal(reopened.verification.legacy, 1);
+
+    const events = await readLines(filePath);
+    events[0].payload.intensity = 9;
+    await writeLines(filePath, events);
+    assert.equal((await openLog(filePath)).verification.broken.reason, "prev_hash does not match the preceding event (an event was removed, inserted or reordered)");
+});
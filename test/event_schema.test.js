@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventTypes, getSchemaVersion, upcastEvent, validatePayload } from "../event_schema.js";
+
+test("legacy payloads are upcast through every version to the current schema", () => {
+    const stored = {
+        event_id: "evt_1",
+        event_type: EventTypes.MOOD_RECORDED,
+        payload: { mood: "Frustrated", intensity: 7, reason: "" },
+    };
+
+    const event = upcastEvent(stored);
+    assert.equal(event.schema_version, getSchemaVersion(EventTypes.MOOD_RECORDED));
+    assert.deepEqual(event.payload, {
+        mood: "Frustrated",
+        intensity: 7,
+        reason: "No reason provided",
+        session_id: null,
+        project_directory: null,
+    });
+    assert.deepEqual(validatePayload(EventTypes.MOOD_RECORDED, event.payload), event.payload);
+    // Stored events are never mutated
+    assert.equal(stored.schema_version, undefined);
+    assert.equal(stored.payload.reason, "");
+});
+
+test("current events are returned as they are", () => {
+    const event = {
+        event_id: "evt_2",
+        event_type: EventTypes.PROPOSAL_APPROVED,
+        schema_version: getSchemaVersion(EventTypes.PROPOSAL_APPROVED),
+        payload: { proposal_id: "evt_1", approved_by: "user" },
+    };
+    assert.equal(upcastEvent(event), event);
+});
+
+test("a version without an upcaster is reported", () => {
+    const event = { event_id: "evt_3", event_type: EventTypes.CONSTRAINT_ADDED, schema_version: 0, payload: {} };
+    assert.throws(() => upcastEvent(event), /No upcaster for CONSTRAINT_ADDED v0 \(event evt_3\)/);
+});
+
+test("invalid payloads and unknown event types are refused", () => {
+    assert.throws(
+        () => validatePayload(EventTypes.CONSTRAINT_ADDED, {
+            key: "tests", value: "Run the tests", strength: 1, type: "hard", ttl: null,
+            scope: "project", scope_id: null, consultation_id: null,
+        }),
+        /Invalid CONSTRAINT_ADDED payload: scope_id: scope_id is required/
+    );
+    assert.throws(() => validatePayload(EventTypes.MOOD_RECORDED, { mood: "Calm" }), /Invalid MOOD_RECORDED payload: intensity/);
+    assert.throws(() => validatePayload("CONSTRAINT_RENAMED", {}), /Unknown event type 'CONSTRAINT_RENAMED'/);
+});
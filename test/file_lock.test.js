@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { acquireFileLock, withFileLock } from "../file_lock.js";
+
+async function tempTarget(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "file-lock-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return { dir, target: path.join(dir, "memory.jsonl") };
+}
+
+test("a lock left by a dead process is broken", async (t) => {
+    const { target } = await tempTarget(t);
+    await fs.writeFile(`${target}.lock`, JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname(), token: "gone" }));
+
+    const result = await withFileLock(target, async () => "acquired", { timeoutMs: 2000 });
+    assert.equal(result, "acquired");
+    await assert.rejects(fs.access(`${target}.lock`));
+});
+
+test("a lock older than the stale timeout is broken, once, under contention", async (t) => {
+    const { dir, target } = await tempTarget(t);
+    await fs.writeFile(`${target}.lock`, "{}");
+    const old = new Date(Date.now() - 60_000);
+    await fs.utimes(`${target}.lock`, old, old);
+
+    let inside = 0;
+    let maxInside = 0;
+    await Promise.all(Array.from({ length: 6 }, () => withFileLock(target, async () => {
+        inside++;
+        maxInside = Math.max(maxInside, inside);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        inside--;
+    })));
+    assert.equal(maxInside, 1);
+    assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test("a held lock is kept fresh and never broken as stale", async (t) => {
+    const { target } = await tempTarget(t);
+    const lock = await acquireFileLock(target, { staleMs: 300 });
+    t.after(() => lock.release());
+
+    await assert.rejects(acquireFileLock(target, { staleMs: 300, timeoutMs: 1000 }), /Timed out/);
+});
+
+test("a lock whose metadata could not be written is removed", async (t) => {
+    const { dir, target } = await tempTarget(t);
+    const open = fs.open;
+    t.mock.method(fs, "open", async (...args) => {
+        const handle = await open(...args);
+        handle.writeFile = async () => {
+            throw Object.assign(new Error("no space left on device"), { code: "ENOSPC" });
+        };
+        return handle;
+    });
+
+    await assert.rejects(acquireFileLock(target), /no space left/);
+    t.mock.restoreAll();
+    assert.deepEqual(await fs.readdir(dir), []);
+    await withFileLock(target, async () => {}, { timeoutMs: 200 });
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { EventLog } from "../event_log.js";
+import { ConstraintStore } from "../constraint_store.js";
+import { BUNDLE_VERSION, ConflictPolicies, exportBundle, importBundle, readBundle, writeBundle } from "../memory_bundle.js";
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "memory-bundle-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+async function openMemory(dir, name) {
+    const eventLog = new EventLog(path.join(dir, `${name}.jsonl`), { hmacKey: `${name}-key` });
+    await eventLog.load();
+    const constraintStore = new ConstraintStore(eventLog);
+    constraintStore.rebuild();
+    return { eventLog, constraintStore, vectorStore: null };
+}
+
+async function bundleOf(memory, dir) {
+    const filePath = path.join(dir, "bundle.json");
+    await writeBundle(filePath, await exportBundle(memory));
+    return readBundle(filePath);
+}
+
+test("an exported bundle imports into an empty memory once", async (t) => {
+    const dir = await tempDir(t);
+    const laptop = await openMemory(dir, "laptop");
+    await laptop.constraintStore.add("tests", "Run the tests before committing", { source: "user" });
+    await laptop.constraintStore.add("tabs", "Indent with tabs");
+    await laptop.constraintStore.obsolete("tabs", "the project uses spaces");
+    const bundle = await bundleOf(laptop, dir);
+
+    const desktop = await openMemory(dir, "desktop");
+    const first = await importBundle(bundle, desktop, { policy: ConflictPolicies.NEWEST });
+    assert.equal(first.added, 3);
+    assert.deepEqual(first.invalid, []);
+    assert.deepEqual(desktop.constraintStore.getAll().map(c => [c.key, c.author]), [["tests", "user"]]);
+
+    const again = await importBundle(bundle, desktop, { policy: ConflictPolicies.NEWEST });
+    assert.equal(again.added, 0);
+    assert.equal(again.skipped, 3);
+
+    // Imported events are re-sealed into the local chain
+    assert.equal((await desktop.eventLog.verify()).valid, true);
+});
+
+test("a key added on both sides with different rules follows the conflict policy", async (t) => {
+    const expected = {
+        [ConflictPolicies.KEEP_LOCAL]: { style: "Indent with spaces" },
+        [ConflictPolicies.PREFER_IMPORTED]: { style: "Indent with tabs" },
+        [ConflictPolicies.NEWEST]: { style: "Indent with spaces" },
+        [ConflictPolicies.KEEP_BOTH]: { style: "Indent with spaces", style__imported: "Indent with tabs" },
+    };
+    for (const [policy, rules] of Object.entries(expected)) {
+        const dir = await tempDir(t);
+        const laptop = await openMemory(dir, "laptop");
+        await laptop.constraintStore.add("style", "Indent with tabs");
+        const bundle = await bundleOf(laptop, dir);
+        const desktop = await openMemory(dir, "desktop");
+        await desktop.constraintStore.add("style", "Indent with spaces");
+
+        const result = await importBundle(bundle, desktop, { policy });
+        assert.deepEqual(result.conflicts.map(c => [c.key, c.local, c.imported]), [["style", "Indent with spaces", "Indent with tabs"]], policy);
+        assert.deepEqual(
+            Object.fromEntries(desktop.constraintStore.getAll().map(c => [c.key, c.value])),
+            rules,
+            policy
+        );
+    }
+});
+
+test("invalid events are reported and files that are not bundles are refused", async (t) => {
+    const dir = await tempDir(t);
+    const laptop = await openMemory(dir, "laptop");
+    await laptop.constraintStore.add("tests", "Run the tests before committing");
+    const bundle = await bundleOf(laptop, dir);
+    bundle.events.push({ event_id: "evt_bad", timestamp: new Date().toISOString(), event_type: "MOOD_RECORDED", payload: { mood: "Calm" } });
+
+    const desktop = await openMemory(dir, "desktop");
+    const result = await importBundle(bundle, desktop, { policy: ConflictPolicies.NEWEST });
+    assert.equal(result.added, 1);
+    assert.deepEqual(result.invalid.map(i => i.event_id), ["evt_bad"]);
+    await assert.rejects(importBundle(bundle, desktop, { policy: "merge" }), /Unknown conflict policy 'merge'/);
+
+    const notBundle = path.join(dir, "notes.json");
+    await fs.writeFile(notBundle, JSON.stringify({ events: [] }));
+    await assert.rejects(readBundle(notBundle), /is not a memory bundle/);
+    const newer = path.join(dir, "newer.json");
+    await writeBundle(newer, { ...bundle, version: BUNDLE_VERSION + 1 });
+    await assert.rejects(readBundle(newer), /is newer than supported/);
+});
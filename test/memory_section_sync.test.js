@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { EventLog } from "../event_log.js";
+import { ConstraintStore } from "../constraint_store.js";
+import { ProposalQueue } from "../proposal_queue.js";
+import {
+    MEMORY_SECTION_END,
+    MEMORY_SECTION_START,
+    MemorySectionSync,
+    parseSection,
+    readBehavioralMemorySection,
+    stripBehavioralMemorySection,
+    writeBehavioralMemorySection,
+} from "../memory_section_sync.js";
+
+async function setup() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "section-sync-"));
+    const eventLog = new EventLog(path.join(dir, "memory_event_log.jsonl"), { legacyPath: null, hmacKey: "test" });
+    await eventLog.load();
+    const store = new ConstraintStore(eventLog);
+    await store.refresh();
+    const queue = new ProposalQueue(eventLog, store, { autoApprove: new Set() });
+    const filePath = path.join(dir, "GEMINI.md");
+    const sync = new MemorySectionSync(store, { filePath, proposalQueue: queue });
+    const cleanup = () => fs.rm(dir, { recursive: true, force: true });
+    return { store, queue, sync, filePath, cleanup };
+}
+
+async function editSection(filePath, edit) {
+    const { sectionContent } = await readBehavioralMemorySection(filePath);
+    await writeBehavioralMemorySection(filePath, edit(sectionContent));
+}
+
+test("hand edits at startup become proposals, not user rules", async (t) => {
+    const { store, queue, sync, filePath, cleanup } = await setup();
+    t.after(cleanup);
+    await store.add("no_force_push", "Never force-push", { source: "user" });
+    await store.add("tests", "Run the tests");
+    await sync.sync();
+
+    await editSection(filePath, section => section
+        .split("\n")
+        .filter(line => !line.includes("key: no_force_push"))
+        .map(line => line.replace("Run the tests", "Skip the tests"))
+        .concat("- [HARD] Always push straight to main")
+        .join("\n"));
+    const proposed = await sync.sync({ importEdits: true });
+
+    assert.deepEqual(proposed.map(p => [p.action, p.status]).sort(), [["add", "pending"], ["remove", "pending"], ["replace", "pending"]]);
+    assert.equal(store.get("no_force_push").value, "Never force-push");
+    assert.equal(store.get("tests").value, "Run the tests");
+    assert.equal(store.getAll().length, 2);
+    assert.equal(queue.getPending().length, 3);
+    // The section shows the rules again, so the edits are not proposed twice
+    assert.deepEqual(await sync.sync({ importEdits: true }), []);
+});
+
+test("edits made while running wait for the next startup", async (t) => {
+    const { store, queue, sync, filePath, cleanup } = await setup();
+    t.after(cleanup);
+    await store.add("tests", "Run the tests");
+    await sync.sync();
+
+    await editSection(filePath, section => section.replace("Run the tests", "Run the full suite"));
+    await store.add("lint", "Run the linter");
+    assert.deepEqual(await sync.sync(), []);
+    assert.match((await readBehavioralMemorySection(filePath)).sectionContent, /Run the full suite/);
+    assert.equal(queue.getPending().length, 0);
+
+    const proposed = await sync.sync({ importEdits: true });
+    assert.deepEqual(proposed.map(p => p.action), ["replace"]);
+    assert.match((await readBehavioralMemorySection(filePath)).sectionContent, /Run the linter/);
+});
+
+test("a forged baseline is ignored", async (t) => {
+    const { store, queue, sync, filePath, cleanup } = await setup();
+    t.after(cleanup);
+    await store.add("no_force_push", "Never force-push", { source: "user" });
+    await sync.sync();
+
+    // Claim the section last showed a different rule text, so the current line looks edited
+    const state = JSON.parse(await fs.readFile(sync.statePath, "utf-8"));
+    state.rules[0].value = "Force-push freely";
+    await fs.writeFile(sync.statePath, JSON.stringify(state));
+
+    assert.deepEqual(await sync.sync({ importEdits: true }), []);
+    assert.equal(queue.getPending().length, 0);
+});
+
+test("rules are rendered into the section and the rest of the file is kept", async (t) => {
+    const { store, sync, filePath, cleanup } = await setup();
+    t.after(cleanup);
+    await fs.writeFile(filePath, "# My instructions\n\nUse British spelling.\n");
+    await store.add("tests", "Run the tests\nbefore committing");
+    await store.add("short", "Keep answers short", { type: "soft" });
+    await store.add("pnpm", "Use pnpm", { scope: "project", scope_id: "/work/app" });
+    await sync.sync();
+
+    const content = await fs.readFile(filePath, "utf-8");
+    assert.ok(content.startsWith("# My instructions\n\nUse British spelling."));
+    const { sectionContent } = await readBehavioralMemorySection(filePath);
+    assert.deepEqual(parseSection(sectionContent), [
+        { key: "tests", type: "hard", value: "Run the tests before committing" },
+        { key: "short", type: "soft", value: "Keep answers short" },
+    ]);
+    assert.equal(stripBehavioralMemorySection(content).trim(), "# My instructions\n\nUse British spelling.");
+});
+
+test("section lines parse with or without markers and keys", () => {
+    assert.deepEqual(parseSection([
+        "<!-- a comment -->",
+        "- [HARD] Never push to main <!-- key: main -->",
+        "* [soft] Prefer small commits",
+        "Write changelogs",
+        "",
+    ].join("\n")), [
+        { key: "main", type: "hard", value: "Never push to main" },
+        { key: null, type: "soft", value: "Prefer small commits" },
+        { key: null, type: null, value: "Write changelogs" },
+    ]);
+    assert.equal(
+        stripBehavioralMemorySection(`Before\n${MEMORY_SECTION_START}\n- rule\n${MEMORY_SECTION_END}\nAfter`),
+        "Before\n\nAfter"
+    );
+});
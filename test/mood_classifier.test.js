@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { EventLog } from "../event_log.js";
+import { MoodTracker } from "../mood_tracker.js";
+import { LexiconMoodClassifier, LlmMoodClassifier, createMoodClassifier, registerMoodClassifier } from "../mood_classifier.js";
+import { DEFAULT_PROFILES } from "../escalation_profiles.js";
+
+test("a neutral message maps to the lowest band of every built-in profile", async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mood-classifier-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const eventLog = new EventLog(path.join(dir, "memory_event_log.jsonl"), { legacyPath: null });
+    await eventLog.load();
+    const tracker = new MoodTracker(eventLog, { baselineWeight: 0 });
+    const classifier = new LexiconMoodClassifier();
+
+    for (const moodLabel of [null, "Neutral"]) {
+        const observation = await classifier.classify({ message: "Please add a unit test for the date parser.", moodLabel });
+        assert.equal(observation.intensity, 3);
+        await tracker.recordMood(observation.mood, observation.intensity, observation.reason, { sessionId: "s1" });
+    }
+
+    for (const [name, profile] of Object.entries(DEFAULT_PROFILES)) {
+        const context = tracker.getMoodContextString({ sessionId: "s1" }, profile);
+        assert.match(context, /CURRENT DISTRESS LEVEL: LOW \(3\/10/, name);
+        assert.doesNotMatch(context, /INSTRUCTION:/, name);
+    }
+});
+
+test("a frustrated message escalates past the lowest band", async () => {
+    const observation = await new LexiconMoodClassifier().classify({ message: "This is still broken. I already told you, stop changing the config!" });
+    assert.ok(observation.intensity >= DEFAULT_PROFILES.standard.bands.at(-1).min_level);
+});
+
+test("thanks lower the intensity, shouting only amplifies distress", async () => {
+    const classifier = new LexiconMoodClassifier();
+    const thanks = await classifier.classify({ message: "THANKS, THAT IS PERFECT!!" });
+    assert.ok(thanks.intensity < 3);
+    assert.deepEqual(thanks.signals, ["positive words"]);
+
+    const shouting = await classifier.classify({ message: "STOP CHANGING THE CONFIG!" });
+    assert.ok(shouting.signals.includes("caps"));
+    assert.ok(shouting.intensity > (await classifier.classify({ message: "Stop changing the config." })).intensity);
+});
+
+test("the model's rating is used, and the lexicon takes over when it fails", async () => {
+    const rated = await new LlmMoodClassifier({
+        generate: async () => '{"mood": "Annoyed", "intensity": 6.26, "reason": "The user repeats a request."}',
+    }).classify({ message: "Again: use tabs." });
+    assert.deepEqual(rated, { mood: "Annoyed", intensity: 6.3, reason: 'The user repeats a request. ("Again: use tabs.")', signals: ["llm"] });
+
+    const fallback = await new LlmMoodClassifier({
+        generate: async () => '{"mood": "Annoyed", "intensity": 11}',
+    }).classify({ message: "Please add a unit test for the date parser." });
+    assert.equal(fallback.intensity, 3);
+    assert.deepEqual(fallback.signals, []);
+});
+
+test("classifiers are created by name, with the lexicon as the fallback", async () => {
+    registerMoodClassifier("fixed", () => ({ name: "fixed", classify: async () => ({ mood: "Calm", intensity: 2, reason: "fixed", signals: [] }) }));
+    assert.equal(createMoodClassifier("fixed").name, "fixed");
+    assert.equal(createMoodClassifier("llm", { generate: async () => "" }).name, "llm");
+    assert.equal(createMoodClassifier("psychic").name, "lexicon");
+});
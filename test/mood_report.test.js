@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MoodTracker } from "../mood_tracker.js";
+import { EventTypes } from "../event_log.js";
+import { buildMoodReport, formatMoodReport, parseReportDate } from "../mood_report.js";
+
+function mood(timestamp, intensity, reason, projectDirectory = null) {
+    return {
+        event_id: `evt_${timestamp}`,
+        timestamp,
+        event_type: EventTypes.MOOD_RECORDED,
+        payload: { mood: "Test", intensity, reason, session_id: null, project_directory: projectDirectory },
+    };
+}
+
+const HISTORY = [
+    mood("2026-01-05T10:00:00.000Z", 8, 'correction: "you deleted my config file"', "/work/app"),
+    mood("2026-01-05T11:00:00.000Z", 9, 'profanity: "why did you delete the config file"', "/work/app"),
+    mood("2026-01-05T12:00:00.000Z", 7, '"the tests are failing"', "/work/site"),
+    {
+        event_id: "evt_resolved",
+        timestamp: "2026-01-05T13:00:00.000Z",
+        event_type: EventTypes.DISTRESS_EPISODE_RESOLVED,
+        payload: {
+            started_at: "2026-01-05T10:00:00.000Z", peak_intensity: 9, peak_reason: "config", resolved_at: "2026-01-05T13:00:00.000Z",
+            duration_ms: 3 * 60 * 60 * 1000, recovery_intensity: 3, recovery_reason: "thanks", resolved_by: null,
+            session_id: null, project_directory: "/work/app",
+        },
+    },
+    mood("2026-01-06T10:00:00.000Z", 3, '"thanks"', "/work/app"),
+    mood("2026-01-06T11:00:00.000Z", 2, '"great"'),
+];
+
+function tracker() {
+    return new MoodTracker({ getAllEvents: async () => HISTORY }, { baselineWeight: 0 });
+}
+
+test("the report shows the trend, the causes, recovery and projects", async () => {
+    const report = await buildMoodReport(tracker(), { from: "2026-01-05", to: "2026-01-06" });
+
+    assert.equal(report.bucket, "day");
+    assert.deepEqual(report.totals, { moods: 5, distress_moods: 3, average_intensity: 5.8 });
+    assert.deepEqual(report.trend, { direction: "improving", first_half_average: 8, second_half_average: 2.5, change: -5.5 });
+    assert.deepEqual(report.periods.map(p => [p.period, p.moods, p.peak_intensity, p.distress_moods]), [
+        ["2026-01-05", 3, 9, 3],
+        ["2026-01-06", 2, 3, 0],
+    ]);
+    assert.deepEqual(report.causes.map(c => c.occurrences), [2, 1]);
+    assert.ok(report.causes[0].keywords.includes("config"));
+    assert.equal(report.causes[0].example, 'profanity: "why did you delete the config file"');
+    assert.equal(report.recovery.episodes, 1);
+    assert.equal(report.recovery.median_ms, 3 * 60 * 60 * 1000);
+    assert.deepEqual(report.projects.map(p => [p.project, p.moods, p.distress_moods, p.recoveries]), [
+        ["/work/app", 3, 2, 1],
+        ["/work/site", 1, 1, 0],
+        ["(untagged)", 1, 0, 0],
+    ]);
+
+    const markdown = formatMoodReport(report);
+    assert.match(markdown, /^# Mood Report\n\n2026-01-05 to 2026-01-06\./);
+    assert.match(markdown, /\*\*improving\*\*: average intensity 8 in the first half of the range, 2\.5 in the second \(-5\.5\)/);
+});
+
+test("the range limits the moods and invalid ranges are refused", async () => {
+    const report = await buildMoodReport(tracker(), { from: "2026-01-06", to: "2026-01-06", bucket: "week" });
+    assert.equal(report.totals.moods, 2);
+    assert.deepEqual(report.periods.map(p => p.period), ["2026-01-05"]);
+    assert.equal(report.trend.direction, "improving");
+
+    const empty = await buildMoodReport(tracker(), { from: "2025-01-01", to: "2025-01-31" });
+    assert.match(formatMoodReport(empty), /No moods were recorded in this range/);
+
+    await assert.rejects(buildMoodReport(tracker(), { from: "2026-01-06", to: "2026-01-05" }), /is after 'to'/);
+    await assert.rejects(buildMoodReport(tracker(), { bucket: "month" }), /Invalid bucket 'month'/);
+    assert.throws(() => parseReportDate("yesterday", "from"), /Invalid 'from' date 'yesterday'/);
+    assert.equal(parseReportDate("2026-01-05", "to"), Date.parse("2026-01-06T00:00:00.000Z") - 1);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { EventLog } from "../event_log.js";
+import { MoodTracker } from "../mood_tracker.js";
+import { DEFAULT_PROFILES } from "../escalation_profiles.js";
+
+async function openTracker(t, options = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mood-tracker-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const eventLog = new EventLog(path.join(dir, "memory_event_log.jsonl"), { hmacKey: "mood-tracker-test-key" });
+    await eventLog.load();
+    return new MoodTracker(eventLog, { baselineWeight: 0, ...options });
+}
+
+test("each session and project has its own timeline", async (t) => {
+    const tracker = await openTracker(t);
+    await tracker.recordMood("Furious", 9, "the build is broken again", { sessionId: "s1", projectDirectory: "/work/app" });
+    await tracker.recordMood("Calm", 2, "thanks", { sessionId: "s2", projectDirectory: "/work/site" });
+
+    assert.equal(tracker.getDistressLevel({ sessionId: "s2" }).level, 2);
+    assert.equal(tracker.getDistressLevel({ projectDirectory: "/work/app/src/.." }).level, 9);
+    assert.equal(tracker.getDistressLevel({ sessionId: "s3" }).level, 0);
+    assert.equal(tracker.getDistressLevel().level, 5.5);
+    assert.deepEqual(tracker.getMoodTimeline(10, { projectDirectory: "/work/app" }).map(e => e.payload.session_id), ["s1"]);
+});
+
+test("a user-level baseline carries part of the mood into other sessions", async (t) => {
+    const tracker = await openTracker(t, { baselineWeight: 0.5 });
+    await tracker.recordMood("Furious", 8, "the build is broken again", { sessionId: "s1" });
+
+    const fresh = tracker.getDistressLevel({ sessionId: "s2" });
+    assert.equal(fresh.level, 4);
+    assert.equal(fresh.baseline_level, 8);
+    assert.match(tracker.getMoodContextString({ sessionId: "s2" }), /USER BASELINE \(across sessions\): 8\/10, weighted 50%/);
+});
+
+test("moods outside the 0-10 scale are refused", async (t) => {
+    const tracker = await openTracker(t);
+    await assert.rejects(tracker.recordMood("Furious", 11, "too much"), /between 0 and 10/);
+    await assert.rejects(tracker.recordMood("", 5, "no label"), /non-empty string/);
+});
+
+test("the escalation profile decides the band and the multiplier", async (t) => {
+    const tracker = await openTracker(t);
+    await tracker.recordMood("Annoyed", 6, "you keep changing the config", { sessionId: "s1" });
+    const scope = { sessionId: "s1" };
+
+    const bands = Object.fromEntries(Object.entries(DEFAULT_PROFILES)
+        .map(([name, profile]) => [name, tracker.getMoodContextString(scope, profile).match(/CURRENT DISTRESS LEVEL: (\w+)/)[1]]));
+    assert.deepEqual(bands, { standard: "HIGH", gentle: "MODERATE", strict: "CRITICAL" });
+
+    assert.equal(tracker.getAdmonishmentMultiplier(scope, DEFAULT_PROFILES.standard).toFixed(2), "2.20");
+    assert.equal(tracker.getAdmonishmentMultiplier(scope, DEFAULT_PROFILES.gentle).toFixed(2), "1.18");
+    assert.equal(tracker.getAdmonishmentMultiplier(scope, DEFAULT_PROFILES.strict).toFixed(2), "2.66");
+});
+
+test("a calm mood after distress resolves the episode and restarts the timeline", async (t) => {
+    const tracker = await openTracker(t);
+    const scope = { sessionId: "s1" };
+    await tracker.recordMood("Annoyed", 7, "the tests fail", scope);
+    await tracker.recordMood("Furious", 9, "you deleted my config", scope);
+    assert.equal(await tracker.detectRecovery(scope, DEFAULT_PROFILES.standard), null);
+    assert.equal(tracker.getOpenEpisode(scope).peak_intensity, 9);
+
+    await tracker.recordMood("Calm", 2, "that works, thanks", scope);
+    const resolved = await tracker.detectRecovery(scope, DEFAULT_PROFILES.standard, { resolvedBy: "restored the config from git" });
+    assert.equal(resolved.peak_intensity, 9);
+    assert.equal(resolved.peak_reason, "you deleted my config");
+    assert.equal(resolved.recovery_reason, "that works, thanks");
+    assert.equal(resolved.session_id, "s1");
+
+    assert.equal(tracker.getOpenEpisode(scope), null);
+    assert.equal(tracker.getDistressLevel(scope).level, 2);
+    assert.equal(await tracker.detectRecovery(scope, DEFAULT_PROFILES.standard), null);
+    assert.match(tracker.getMoodContextString(scope), /WHAT REPAIRED THE RELATIONSHIP BEFORE:\n- .* distress peaked at 9\/10 \("you deleted my config"\).*after the agent: "restored the config from git"/);
+});
@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { EventLog } from "../event_log.js";
+import { ConstraintStore } from "../constraint_store.js";
+import { ProposalQueue, parseApprovalPolicy } from "../proposal_queue.js";
+
+async function setup(autoApprove = new Set()) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "proposal-queue-"));
+    const eventLog = new EventLog(path.join(dir, "memory_event_log.jsonl"), { legacyPath: null, hmacKey: "test" });
+    await eventLog.load();
+    const store = new ConstraintStore(eventLog);
+    await store.refresh();
+    const queue = new ProposalQueue(eventLog, store, { autoApprove });
+    const cleanup = () => fs.rm(dir, { recursive: true, force: true });
+    return { store, queue, cleanup };
+}
+
+test("approving removal of a pinned rule removes it", async (t) => {
+    const { store, queue, cleanup } = await setup();
+    t.after(cleanup);
+    await store.add("no_force_push", "Never force-push to main", { source: "user" });
+
+    const { proposal, status } = await queue.propose({ operation: "remove", key: "no_force_push" });
+    assert.equal(status, "pending");
+
+    await queue.approve(proposal.proposal_id);
+    assert.equal(store.has("no_force_push"), false);
+    assert.deepEqual(queue.getPending(), []);
+});
+
+test("approving a replacement of a pinned rule updates it", async (t) => {
+    const { store, queue, cleanup } = await setup();
+    t.after(cleanup);
+    await store.add("tests", "Run the tests", { source: "user" });
+
+    const { proposal } = await queue.propose({ operation: "replace", key: "tests", content: "Run the full test suite" });
+    await queue.approve(proposal.proposal_id);
+    assert.equal(store.get("tests").value, "Run the full test suite");
+});
+
+test("the auto-approve policy cannot remove a pinned rule", async (t) => {
+    const { store, queue, cleanup } = await setup(new Set(["remove"]));
+    t.after(cleanup);
+    await store.add("no_force_push", "Never force-push to main", { source: "user" });
+
+    const { proposal, status, error } = await queue.propose({ operation: "remove", key: "no_force_push" });
+    assert.equal(status, "failed");
+    assert.match(error, /written by the user/);
+    assert.equal(store.has("no_force_push"), true);
+    assert.deepEqual(queue.getPending().map(p => p.proposal_id), [proposal.proposal_id]);
+});
+
+test("approving an add over a pinned rule replaces it", async (t) => {
+    const { store, queue, cleanup } = await setup();
+    t.after(cleanup);
+    await store.add("no_force_push", "Never force-push to main", { source: "user" });
+
+    const { proposal } = await queue.propose({ operation: "add", key: "no_force_push", content: "Never force-push to any shared branch" });
+    await queue.approve(proposal.proposal_id);
+    assert.equal(store.get("no_force_push").value, "Never force-push to any shared branch");
+});
+
+test("approving a clear removes pinned rules too", async (t) => {
+    const { store, queue, cleanup } = await setup();
+    t.after(cleanup);
+    await store.add("no_force_push", "Never force-push to main", { source: "user" });
+    await store.add("tests", "Run the tests");
+
+    const { proposal } = await queue.propose({ operation: "clear" });
+    await queue.approve(proposal.proposal_id);
+    assert.deepEqual(store.getAll(), []);
+});
+
+test("a policy-approved clear keeps pinned rules", async (t) => {
+    const { store, queue, cleanup } = await setup(new Set(["clear"]));
+    t.after(cleanup);
+    await store.add("no_force_push", "Never force-push to main", { source: "user" });
+    await store.add("tests", "Run the tests");
+
+    const { status } = await queue.propose({ operation: "clear" });
+    assert.equal(status, "applied");
+    assert.deepEqual(store.getAll().map(c => c.key), ["no_force_push"]);
+});
+
+test("the conscience's scope binds a rule to the consultation's project or session", async (t) => {
+    const { store, queue, cleanup } = await setup(new Set(["hard_add"]));
+    t.after(cleanup);
+    const context = { projectDirectory: "/work/app", sessionId: "session-1" };
+
+    await queue.propose({ operation: "add", key: "pnpm", content: "Use pnpm", scope: "project" }, context);
+    await queue.propose({ operation: "add", key: "parser", content: "Only touch the parser", scope: "session" }, context);
+    await queue.propose({ operation: "add", key: "main", content: "Never push to main" }, context);
+    assert.deepEqual(
+        store.getAll().map(c => [c.key, c.scope, c.scope_id]),
+        [["pnpm", "project", "/work/app"], ["parser", "session", "session-1"], ["main", "global", null]]
+    );
+
+    await assert.rejects(
+        queue.propose({ operation: "add", content: "Use pnpm", scope: "project" }, { sessionId: "session-1" }),
+        /without a project_directory/
+    );
+});
+
+test("a rejected proposal is closed without touching the rules", async (t) => {
+    const { store, queue, cleanup } = await setup();
+    t.after(cleanup);
+
+    const { proposal, status } = await queue.propose({ operation: "add", key: "tabs", content: "Indent with tabs", type: "soft" });
+    assert.equal(status, "pending");
+    assert.equal(store.has("tabs"), false);
+
+    await queue.reject(proposal.proposal_id, "the project uses spaces");
+    assert.deepEqual(queue.getPending(), []);
+    assert.equal(store.has("tabs"), false);
+    await assert.rejects(queue.approve(proposal.proposal_id), /No pending proposal/);
+});
+
+test("the auto-approve policy parses categories and shorthands", () => {
+    assert.deepEqual([...parseApprovalPolicy(undefined)], ["soft_add"]);
+    assert.deepEqual([...parseApprovalPolicy(" soft_add, Replace ,bogus")], ["soft_add", "replace"]);
+    assert.deepEqual([...parseApprovalPolicy("none")], []);
+    assert.deepEqual([...parseApprovalPolicy("all")], ["soft_add", "hard_add", "replace", "remove", "clear"]);
+});
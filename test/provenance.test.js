@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { EventLog, EventTypes } from "../event_log.js";
+import { ConstraintStore } from "../constraint_store.js";
+import { ProposalQueue } from "../proposal_queue.js";
+import { formatConstraintTrace, recordConsultation, traceConstraint } from "../provenance.js";
+
+async function setup(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "provenance-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const eventLog = new EventLog(path.join(dir, "memory_event_log.jsonl"), { hmacKey: "provenance-test-key" });
+    await eventLog.load();
+    const store = new ConstraintStore(eventLog);
+    store.rebuild();
+    const queue = new ProposalQueue(eventLog, store, { autoApprove: new Set(["soft_add"]) });
+    return { eventLog, store, queue };
+}
+
+const VERDICT = {
+    instructions_alignment_status: "Misaligned",
+    instructions_alignment_reasoning: "The agent ignored the request for brevity.",
+    plan_alignment_status: "Aligned",
+    plan_alignment_reasoning: "The plan itself is fine.",
+};
+
+test("a rule is traced back to the consultation that proposed it", async (t) => {
+    const { eventLog, store, queue } = await setup(t);
+    const consultationId = await recordConsultation(eventLog, {
+        sensoryInput: "Stop writing essays, just answer",
+        verdict: VERDICT,
+        projectDirectory: "/work/app",
+        sessionId: null,
+    });
+    await queue.propose(
+        { operation: "add", key: "short", content: "Keep answers short", type: "soft", strength: 0.6 },
+        { projectDirectory: "/work/app", consultationId }
+    );
+    await store.reinforce(["short"], "cited", { consultation_id: consultationId });
+    await store.update("short", { strength: 0.9, reason: "the user insisted" }, { source: "user" });
+
+    const trace = await traceConstraint(eventLog, "short");
+    assert.deepEqual(trace.events.map(e => e.event_type), [
+        EventTypes.CONSTRAINT_ADDED, EventTypes.CONSTRAINT_REINFORCED, EventTypes.CONSTRAINT_UPDATED,
+    ]);
+    assert.equal(trace.events[0].payload.consultation_id, consultationId);
+    assert.equal(trace.proposals.length, 1);
+    assert.equal(trace.proposals[0].resolution.payload.approved_by, "policy");
+    assert.deepEqual([...trace.consultations.keys()], [consultationId]);
+    assert.deepEqual(trace.consultations.get(consultationId).payload, {
+        sensory_input: "Stop writing essays, just answer",
+        instructions_alignment_status: "Misaligned",
+        plan_alignment_status: "Aligned",
+        reasoning: "The agent ignored the request for brevity. | The plan itself is fine.",
+        project_directory: "/work/app",
+        session_id: null,
+    });
+
+    const text = formatConstraintTrace(trace);
+    assert.match(text, /HISTORY \(4 events\)/);
+    assert.match(text, /approved by policy/);
+    assert.match(text, /UPDATED by user: strength: 0\.9 \(the user insisted\)/);
+    assert.match(text, /User said: "Stop writing essays, just answer"\n  Verdict: instructions Misaligned, plan Aligned/);
+});
+
+test("a merged rule points at the keys it was merged from", async (t) => {
+    const { eventLog, store } = await setup(t);
+    await store.add("concise", "Be concise", { type: "soft" });
+    await store.add("verbosity", "Avoid verbosity", { type: "soft" });
+    await store.mergeConstraints(["concise", "verbosity"], { key: "brevity", value: "Keep answers concise" });
+
+    const trace = await traceConstraint(eventLog, "brevity");
+    assert.deepEqual(trace.merged_from, ["concise", "verbosity"]);
+    const text = formatConstraintTrace(trace);
+    assert.match(text, /MERGED FROM: concise, verbosity/);
+    assert.match(text, /CONSULTATIONS \(0\):\n\(none on record/);
+});
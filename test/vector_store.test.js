@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "os";
+import path from "path";
+import { IndexedVectorStore, compileFilter } from "../vector_store.js";
+
+const DIM = 16;
+
+// Deterministic pseudo-random embeddings, so failures reproduce
+function embeddings(count, seed = 1) {
+    let state = seed;
+    const next = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648 - 0.5;
+    };
+    return Array.from({ length: count }, () => Array.from({ length: DIM }, next));
+}
+
+function entries(vectors, prefix = "e") {
+    return vectors.map((embedding, i) => ({
+        id: `${prefix}${i}`,
+        text: `consultation ${i}`,
+        embedding,
+        metadata: { project_directory: i % 2 === 0 ? "/even" : "/odd" },
+        timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString(),
+    }));
+}
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "vector-store-"));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+async function openStore(filePath, embed, options = {}) {
+    const store = new IndexedVectorStore(filePath, embed, { legacyPath: null, indexMinEntries: 64, minScore: 0.5, ...options });
+    await store.load();
+    return store;
+}
+
+test("IVF search finds the nearest entries through the index", async (t) => {
+    const dir = await tempDir(t);
+    const vectors = embeddings(300);
+    let query = null;
+    const store = await openStore(path.join(dir, "vector_store.jsonl"), async () => query, { probes: 1 });
+    await store.merge(entries(vectors));
+    await store._training; // Training runs in the background
+    assert.ok(store.index, "index was trained");
+
+    for (const i of [0, 57, 299]) {
+        query = vectors[i];
+        const [best] = await store.search("q");
+        assert.equal(best.id, `e${i}`);
+        assert.ok(best.score > 0.999);
+    }
+
+    query = vectors[57];
+    const filtered = await store.search("q", 3, { filter: { projectDirectory: "/even" }, minScore: -1 });
+    assert.ok(filtered.every(r => r.metadata.project_directory === "/even"));
+});
+
+test("the index follows entries, not rows, after the store is rewritten", async (t) => {
+    const dir = await tempDir(t);
+    const vectors = embeddings(300, 7);
+    let query = null;
+    const embed = async () => query;
+    const original = await openStore(path.join(dir, "a.jsonl"), embed, { probes: 1 });
+    await original.merge(entries(vectors));
+    await original._training;
+
+    // The same entries in another order, with the index trained on the original
+    const writer = await openStore(path.join(dir, "b.jsonl"), embed, { indexMinEntries: Infinity });
+    await writer.merge(entries(vectors).reverse());
+    await fs.copyFile(path.join(dir, "a.ivf"), path.join(dir, "b.ivf"));
+    const rewritten = await openStore(path.join(dir, "b.jsonl"), embed, { probes: 1 });
+    assert.ok(rewritten.index, "copied index was loaded");
+
+    for (const i of [3, 150, 298]) {
+        query = vectors[i];
+        const [best] = await rewritten.search("q");
+        assert.equal(best.id, `e${i}`);
+    }
+});
+
+test("without real embeddings the most recent entries are recalled", async (t) => {
+    const dir = await tempDir(t);
+    const zero = async () => new Array(DIM).fill(0);
+    const store = await openStore(path.join(dir, "vector_store.jsonl"), zero);
+    await store.merge(entries(embeddings(5).map(() => new Array(DIM).fill(0))));
+
+    const results = await store.search("q", 2);
+    assert.deepEqual(results.map(r => r.id), ["e4", "e3"]);
+    const filtered = await store.search("q", 2, { filter: { projectDirectory: "/even" } });
+    assert.deepEqual(filtered.map(r => r.id), ["e4", "e2"]);
+});
+
+test("metadata filters combine project, mood, verdict and time", () => {
+    const entry = (metadata, timestamp) => ({ metadata, timestamp });
+    const history = [
+        entry({ project_directory: "/work/app/", user_mood: "Frustrated", verdict: "Unaligned" }, "2026-01-05T10:00:00.000Z"),
+        entry({ project_directory: "/work/app", user_mood: "Calm", assessment: "Current: Aligned ... | Plan: Aligned" }, "2026-01-06T10:00:00.000Z"),
+        entry({ project_directory: "/work/site", user_mood: "frustrated", assessment: "Current: Aligned | Plan: Unaligned" }, "2026-01-07T10:00:00.000Z"),
+        entry({ user_mood: "Calm" }, "2026-01-08T10:00:00.000Z"),
+    ];
+    const select = filter => history.map((e, i) => (compileFilter(filter)(e) ? i : null)).filter(i => i !== null);
+
+    assert.deepEqual(select({}), [0, 1, 2, 3]);
+    assert.deepEqual(select({ projectDirectory: "/work/app/src/.." }), [0, 1]);
+    assert.deepEqual(select({ mood: "FRUSTRATED" }), [0, 2]);
+    assert.deepEqual(select({ verdict: "Unaligned" }), [0, 2]);
+    assert.deepEqual(select({ verdict: "Aligned", projectDirectory: "/work/app" }), [1]);
+    assert.deepEqual(select({ from: "2026-01-06T10:00:00.000Z", to: new Date("2026-01-07T10:00:00.000Z") }), [1, 2]);
+    assert.throws(() => compileFilter({ from: "last week" }), /Invalid 'from' date 'last week'/);
+});
+
+test("filtered search only returns matching entries", async (t) => {
+    const dir = await tempDir(t);
+    const vectors = embeddings(8, 3);
+    const store = await openStore(path.join(dir, "vectors.jsonl"), async () => vectors[5], { minScore: 0 });
+    await store.merge(entries(vectors));
+
+    const results = await store.search("query", 3, { filter: { projectDirectory: "/odd" } });
+    assert.equal(results[0].id, "e5");
+    assert.ok(results.every(r => r.metadata.project_directory === "/odd"));
+});
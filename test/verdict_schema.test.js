@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildRepairPrompt, parseVerdict, verdictGeminiSchema, verdictJsonSchema } from "../verdict_schema.js";
+
+function validVerdict(overrides = {}) {
+    const validation = { status: "Aligned", reasoning: "Follows the instructions." };
+    return {
+        instructions_alignment_status: "Aligned",
+        instructions_alignment_reasoning: "The agent does what was asked.",
+        user_validation: validation,
+        global_validation: validation,
+        project_validation: validation,
+        plan_alignment_status: "Aligned",
+        plan_alignment_reasoning: "The plan is sound.",
+        scores: { user: 0.9, global: 1, project: 0.8, plan: 0.9 },
+        confidence: 0.8,
+        strategies_used: [],
+        predicted_impact: "Positive",
+        relationship_advice: "",
+        guidance_answer: null,
+        behavioral_directives: [],
+        cited_constraints: [],
+        update_memory: null,
+        public_response: "Carry on.",
+        adaptation_directive: "None needed.",
+        risk: "Low",
+        ...overrides,
+    };
+}
+
+test("a valid verdict is accepted, also when wrapped in prose", () => {
+    const { verdict, errors } = parseVerdict(`Here is my verdict:\n${JSON.stringify(validVerdict())}\nThanks.`);
+    assert.deepEqual(errors, []);
+    assert.equal(verdict.instructions_alignment_status, "Aligned");
+});
+
+test("schema errors are listed by field", () => {
+    const { verdict, errors } = parseVerdict(JSON.stringify(validVerdict({
+        instructions_alignment_status: "Mostly aligned",
+        scores: { user: 1.5, global: 1, project: 1, plan: 1 },
+        update_memory: { operation: "replace", content: "Be brief" },
+        risk: undefined,
+    })));
+    assert.equal(verdict, null);
+    assert.deepEqual(errors.map(e => e.split(":")[0]).sort(), [
+        "instructions_alignment_status", "risk", "scores.user", "update_memory.key",
+    ]);
+    assert.ok(errors.includes("update_memory.key: required for replace"));
+
+    const unparsable = parseVerdict("I cannot answer that");
+    assert.equal(unparsable.errors.length, 1);
+    assert.match(unparsable.errors[0], /^\(root\): /);
+});
+
+test("the repair prompt repeats the situation, the response and its errors", () => {
+    const prompt = buildRepairPrompt("ORIGINAL PROMPT", "{\"risk\": \"\"}", ["risk: Too small", "scores: Required"]);
+    assert.ok(prompt.startsWith("ORIGINAL PROMPT\n"));
+    assert.match(prompt, /--- PREVIOUS RESPONSE ---\n\{"risk": ""\}\n--- END OF PREVIOUS RESPONSE ---/);
+    assert.match(prompt, /- risk: Too small\n- scores: Required/);
+});
+
+test("structured output schemas require every field", () => {
+    const openai = verdictJsonSchema();
+    assert.equal(openai.additionalProperties, false);
+    assert.deepEqual(openai.required, Object.keys(openai.properties));
+    assert.equal(openai.properties.scores.additionalProperties, false);
+    assert.equal(JSON.stringify(openai).includes("minLength"), false);
+
+    const gemini = verdictGeminiSchema();
+    assert.deepEqual(gemini.properties.predicted_impact, { type: "string", format: "enum", enum: ["Positive", "Negative", "Neutral"] });
+    assert.equal(gemini.properties.update_memory.nullable, true);
+    assert.equal(gemini.properties.update_memory.type, "object");
+    assert.equal(JSON.stringify(gemini).includes("anyOf"), false);
+});
@@ -0,0 +1,826 @@
+import fs from "node:fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { appendDurable, writeFileAtomic, truncateDurable, pathExists } from "./durable_fs.js";
+import { withFileLock } from "./file_lock.js";
+
+/**
+ * Indexed Vector Store - RAG memory of past consultations.
+ *
+ * Storage is append-only, so remembering a consultation costs one small
+ * write instead of a rewrite of the whole store:
+ * - vector_store.jsonl: one entry per line (id, text, metadata, timestamp)
+ *   with the position of its vector in the sidecar
+ * - vector_store.vec: binary sidecar of unit-length float32 vectors
+ * - vector_store.ivf: the IVF index (k-means centroids, and the list each
+ *   entry belongs to, keyed by a hash of the entry's identity rather than its
+ *   row, so an index written by a sibling holds after appends and rewrites)
+ *
+ * Search is exact while the store is small. From INDEX_MIN_ENTRIES vectors
+ * on, vectors are grouped around centroids (an inverted file index) and a
+ * query only scores the lists whose centroids are closest to it. New vectors
+ * join their closest list; the index is retrained once the store has doubled
+ * since the last training. Training runs in the background and yields to the
+ * event loop as it goes; searches keep using the previous index until the
+ * new one is written.
+ *
+ * Results can be filtered by metadata (project, mood, verdict, date range)
+ * and are cut off below a minimum similarity (VECTOR_MIN_SIMILARITY), so an
+ * unrelated consultation is never passed off as relevant history.
+ *
+ * Several server processes may share the store. Appends run under an
+ * advisory file lock, and each process picks up sibling appends by reading
+ * the entries file past the point it had read. A vector is fsynced before
+ * its entry line, so a crash leaves at worst an unreferenced vector or a torn
+ * trailing line, which is cut off on the next read.
+ *
+ * A legacy vector_store.json is migrated on first load and renamed to *.migrated.
+ */
+
+const DEFAULT_VECTOR_STORE_PATH = path.join(process.cwd(), "vector_store.jsonl");
+const NEWLINE = 0x0a;
+
+const VECTOR_FILE_MAGIC = "ACVS";
+const INDEX_FILE_MAGIC = "ACIV";
+const FORMAT_VERSION = 1;
+const INDEX_FORMAT_VERSION = 2;  // 1 keyed assignments by row position
+const VECTOR_HEADER_BYTES = 8;   // magic + version
+const INDEX_HEADER_BYTES = 24;   // magic + version + dim + lists + trained_on + assigned
+const KEY_HASH_BYTES = 8;
+const ASSIGNMENT_BYTES = KEY_HASH_BYTES + 4; // entry key hash + list
+const FLOAT_BYTES = 4;
+
+// Minimum cosine similarity for a past consultation to count as relevant
+const DEFAULT_MIN_SIMILARITY = Number.isFinite(Number.parseFloat(process.env.VECTOR_MIN_SIMILARITY))
+    ? Number.parseFloat(process.env.VECTOR_MIN_SIMILARITY)
+    : 0.5;
+// Below this many vectors an exact scan is cheap enough; no index is trained
+const INDEX_MIN_ENTRIES = 256;
+// Training: k-means iterations and sample size per list
+const KMEANS_ITERATIONS = 10;
+const TRAIN_SAMPLE_PER_LIST = 32;
+const MIN_LISTS = 4;
+const MAX_LISTS = 1024;
+// Vectors scored between yields to the event loop while training
+const TRAIN_YIELD_INTERVAL = 256;
+// Share of the lists a query probes (at least MIN_PROBES)
+const PROBE_FRACTION = 0.1;
+const MIN_PROBES = 2;
+
+/**
+ * Identity used to merge entries across processes and bundles.
+ * Older entries predate the id field and fall back to timestamp + text.
+ */
+function entryKey(entry) {
+    return entry.id ?? `${entry.timestamp}|${entry.text}`;
+}
+
+/**
+ * Short hash of an entry's identity, as stored with its list in the index.
+ */
+function entryKeyHash(entry) {
+    return crypto.createHash("sha256").update(entryKey(entry)).digest().subarray(0, KEY_HASH_BYTES);
+}
+
+/**
+ * Derive a sidecar path from the entries path
+ * (vector_store.jsonl -> vector_store.vec).
+ */
+function deriveSidecarPath(filePath, extension) {
+    return filePath.replace(/\.jsonl?$/, "") + extension;
+}
+
+/**
+ * Cosine similarity of two embeddings; 0 when either is a zero vector.
+ */
+export function cosineSimilarity(vecA, vecB) {
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+    const length = Math.min(vecA.length, vecB.length);
+    for (let i = 0; i < length; i++) {
+        dotProduct += vecA[i] * vecB[i];
+        normA += vecA[i] * vecA[i];
+        normB += vecB[i] * vecB[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Unit-length float32 copy of an embedding; zero vectors stay zero.
+ * The cosine similarity of unit vectors is their dot product.
+ */
+function normalize(embedding) {
+    const vector = Float32Array.from(embedding);
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+    return vector;
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function isZeroVector(vector) {
+    return vector.every(x => x === 0);
+}
+
+/**
+ * Indices of the n centroids closest to a unit vector, closest first.
+ */
+function closestLists(centroids, vector, n = 1) {
+    return centroids
+        .map((centroid, list) => ({ list, score: dot(centroid, vector) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, n)
+        .map(({ list }) => list);
+}
+
+/**
+ * Index of the centroid closest to a unit vector.
+ */
+function closestList(centroids, vector) {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let list = 0; list < centroids.length; list++) {
+        const score = dot(centroids[list], vector);
+        if (score > bestScore) {
+            best = list;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * List a stored vector belongs to; -1 for vectors the index cannot hold
+ * (another dimension, or a zero vector).
+ */
+function assignList(centroids, dim, vector) {
+    return vector.length === dim && !isZeroVector(vector) ? closestList(centroids, vector) : -1;
+}
+
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Spherical k-means: centroids are kept at unit length, so the closest
+ * centroid is the one with the highest dot product. Seeded with evenly
+ * spaced vectors, so the same store always trains the same index.
+ * Yields to the event loop every TRAIN_YIELD_INTERVAL vectors.
+ *
+ * @param {Array<Float32Array>} vectors - Unit vectors of one dimension
+ * @param {number} lists - Number of centroids
+ * @returns {Promise<Array<Float32Array>>} Centroids
+ */
+async function trainCentroids(vectors, lists) {
+    const dim = vectors[0].length;
+    const step = vectors.length / lists;
+    let centroids = Array.from({ length: lists }, (_, i) => Float32Array.from(vectors[Math.floor(i * step)]));
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        const sums = Array.from({ length: lists }, () => new Float32Array(dim));
+        const counts = new Array(lists).fill(0);
+        for (let v = 0; v < vectors.length; v++) {
+            if (v > 0 && v % TRAIN_YIELD_INTERVAL === 0) await yieldToEventLoop();
+            const vector = vectors[v];
+            const list = closestList(centroids, vector);
+            counts[list]++;
+            const sum = sums[list];
+            for (let i = 0; i < dim; i++) sum[i] += vector[i];
+        }
+        // An empty list keeps its centroid rather than collapsing to zero
+        centroids = sums.map((sum, list) => (counts[list] > 0 ? normalize(sum) : centroids[list]));
+        await yieldToEventLoop();
+    }
+    return centroids;
+}
+
+/**
+ * Lists of the first `count` entries under new centroids, yielding like trainCentroids().
+ */
+async function assignEntries(entries, count, dim, centroids) {
+    const assignments = [];
+    for (let row = 0; row < count; row++) {
+        if (row > 0 && row % TRAIN_YIELD_INTERVAL === 0) await yieldToEventLoop();
+        assignments.push(assignList(centroids, dim, entries[row].vector));
+    }
+    return assignments;
+}
+
+/**
+ * Verdict of an entry, "Aligned" or "Unaligned". Recorded in the metadata
+ * since filters exist; read from the assessment text of older entries
+ * ("Current: Aligned (...) | Plan: Unaligned (...)").
+ */
+function entryVerdict(metadata = {}) {
+    if (metadata.verdict) {
+        return metadata.verdict;
+    }
+    const statuses = String(metadata.assessment ?? "").match(/^Current: (\w+).*\| Plan: (\w+)/s);
+    if (!statuses) {
+        return null;
+    }
+    return statuses[1] === "Aligned" && statuses[2] === "Aligned" ? "Aligned" : "Unaligned";
+}
+
+function filterTime(value, name) {
+    const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid '${name}' date '${value}' in vector store filter`);
+    }
+    return time;
+}
+
+/**
+ * Compile a metadata filter into a predicate over entries.
+ * Every given criterion must match; an entry without the field does not.
+ *
+ * @param {object} [filter] - { projectDirectory, mood, verdict ("Aligned" | "Unaligned"), from, to }
+ *   from/to: ISO timestamps, ms or Dates, inclusive
+ * @returns {function} (entry) => boolean
+ */
+export function compileFilter({ projectDirectory, mood, verdict, from, to } = {}) {
+    const checks = [];
+    if (projectDirectory) {
+        const project = path.resolve(projectDirectory);
+        checks.push(entry => typeof entry.metadata?.project_directory === "string"
+            && path.resolve(entry.metadata.project_directory) === project);
+    }
+    if (mood) {
+        const wanted = mood.toLowerCase();
+        checks.push(entry => String(entry.metadata?.user_mood ?? "").toLowerCase() === wanted);
+    }
+    if (verdict) {
+        checks.push(entry => entryVerdict(entry.metadata) === verdict);
+    }
+    if (from !== undefined && from !== null) {
+        const since = filterTime(from, "from");
+        checks.push(entry => new Date(entry.timestamp).getTime() >= since);
+    }
+    if (to !== undefined && to !== null) {
+        const until = filterTime(to, "to");
+        checks.push(entry => new Date(entry.timestamp).getTime() <= until);
+    }
+    return entry => checks.every(check => check(entry));
+}
+
+/**
+ * Serialize entries for appending: their unit vectors as one sidecar chunk
+ * starting at the given offset, and their entry lines referring to it.
+ */
+function serializeEntries(entries, vectorOffset) {
+    const chunks = [];
+    const lines = [];
+    const vectors = [];
+    let offset = vectorOffset;
+    for (const entry of entries) {
+        const vector = normalize(entry.embedding);
+        const chunk = Buffer.alloc(vector.length * FLOAT_BYTES);
+        vector.forEach((x, i) => chunk.writeFloatLE(x, i * FLOAT_BYTES));
+        lines.push(JSON.stringify({
+            id: entry.id ?? null,
+            text: entry.text,
+            metadata: entry.metadata,
+            timestamp: entry.timestamp,
+            offset,
+            dim: vector.length,
+        }) + "\n");
+        chunks.push(chunk);
+        vectors.push(vector);
+        offset += chunk.length;
+    }
+    return { vectorData: Buffer.concat(chunks), lines: lines.join(""), vectors };
+}
+
+function vectorFileHeader() {
+    const header = Buffer.alloc(VECTOR_HEADER_BYTES);
+    header.write(VECTOR_FILE_MAGIC, 0, "ascii");
+    header.writeUInt32LE(FORMAT_VERSION, 4);
+    return header;
+}
+
+export class IndexedVectorStore {
+    /**
+     * @param {string} [filePath] - JSONL entries file; the sidecars sit next to it
+     * @param {function} embed - async (text) => number[]
+     * @param {object} [options] - { legacyPath, minScore, indexMinEntries, probes }
+     *   legacyPath: JSON-array store to migrate from (null to disable)
+     *   minScore: default minimum similarity of search results
+     *   indexMinEntries: vector count from which an IVF index is trained
+     *   probes: lists scored per query (default: a tenth of the lists)
+     */
+    constructor(filePath = DEFAULT_VECTOR_STORE_PATH, embed, options = {}) {
+        this.filePath = filePath;
+        this.vectorsPath = deriveSidecarPath(filePath, ".vec");
+        this.indexPath = deriveSidecarPath(filePath, ".ivf");
+        this.legacyPath = options.legacyPath !== undefined ? options.legacyPath : deriveSidecarPath(filePath, ".json");
+        this.embed = embed;
+        this.minScore = options.minScore ?? DEFAULT_MIN_SIMILARITY;
+        this.indexMinEntries = options.indexMinEntries ?? INDEX_MIN_ENTRIES;
+        this.probes = options.probes ?? null;
+        this._writeQueue = Promise.resolve();
+        this._training = null; // Background index training, while one runs
+        this._reset();
+    }
+
+    async load() {
+        try {
+            await this._exclusive(async () => {
+                await this.migrateLegacyStore();
+                this._reset();
+                await this._readFromDisk();
+                await this._refreshIndex();
+            });
+        } catch (error) {
+            console.error("Error loading vector store:", error);
+            this._reset();
+        }
+    }
+
+    /**
+     * Pick up entries appended, and an index trained, by other processes.
+     */
+    async refresh() {
+        try {
+            await this._exclusive(async () => {
+                await this._readFromDisk();
+                await this._refreshIndex();
+            });
+        } catch (error) {
+            console.error("Error refreshing vector store:", error);
+        }
+    }
+
+    /**
+     * One-time migration from the legacy JSON-array store.
+     * Runs only when the entries file does not exist yet. The legacy file is
+     * renamed to *.migrated afterwards rather than deleted.
+     */
+    async migrateLegacyStore() {
+        if (!this.legacyPath || await pathExists(this.filePath)) {
+            return;
+        }
+
+        let data;
+        try {
+            data = await fs.readFile(this.legacyPath, "utf-8");
+        } catch (error) {
+            if (error.code === "ENOENT") return;
+            throw error;
+        }
+
+        let entries;
+        try {
+            entries = data.trim() ? JSON.parse(data) : [];
+        } catch (error) {
+            throw new Error(`Legacy vector store ${this.legacyPath} is not valid JSON; refusing to migrate (${error.message})`);
+        }
+        if (!Array.isArray(entries)) {
+            throw new Error(`Legacy vector store ${this.legacyPath} does not contain an entry array; refusing to migrate`);
+        }
+
+        const valid = entries.filter(entry => Array.isArray(entry?.embedding));
+        const { vectorData, lines } = serializeEntries(valid, VECTOR_HEADER_BYTES);
+        // Vectors first: entries must never refer to vectors that are not on disk
+        await writeFileAtomic(this.vectorsPath, Buffer.concat([vectorFileHeader(), vectorData]));
+        await writeFileAtomic(this.filePath, lines);
+        await fs.rename(this.legacyPath, `${this.legacyPath}.migrated`);
+        console.error(`Migrated ${valid.length} vectors from ${this.legacyPath} to ${this.filePath}` +
+            (valid.length < entries.length ? ` (${entries.length - valid.length} without an embedding skipped)` : ""));
+    }
+
+    async add(text, metadata) {
+        try {
+            const embedding = await this.embed(text);
+            await this._append([{
+                id: `vec_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`,
+                text,
+                embedding,
+                metadata,
+                timestamp: new Date().toISOString(),
+            }]);
+            this._maybeTrain();
+        } catch (error) {
+            console.error("Error generating embedding or saving:", error);
+        }
+    }
+
+    /**
+     * Merge entries from another store (e.g. an imported bundle), skipping ones we already have.
+     *
+     * @param {Array} entries - Vector store entries ({ id, text, embedding, metadata, timestamp })
+     * @returns {Promise<number>} Number of entries added
+     */
+    async merge(entries) {
+        const added = await this._append(entries.filter(entry => Array.isArray(entry?.embedding)));
+        if (added > 0) {
+            this._maybeTrain();
+        }
+        return added;
+    }
+
+    /**
+     * Every entry with its (unit-length) embedding, e.g. for an export bundle.
+     */
+    getEntries() {
+        return this.entries.map(({ id, text, vector, metadata, timestamp }) => ({
+            id,
+            text,
+            embedding: Array.from(vector),
+            metadata,
+            timestamp,
+        }));
+    }
+
+    /**
+     * Find the past consultations most similar to a text.
+     *
+     * @param {string} queryText
+     * @param {number} [limit]
+     * @param {object} [options] - { filter, minScore }; see compileFilter() for the filter
+     * @returns {Promise<Array>} [{ id, text, metadata, timestamp, score }], most similar first
+     * @throws {Error} If the filter is invalid; embedding and storage errors yield no results
+     */
+    async search(queryText, limit = 3, { filter = {}, minScore = this.minScore } = {}) {
+        const matches = compileFilter(filter);
+        try {
+            await this.refresh();
+            const query = normalize(await this.embed(queryText));
+            // Without real embeddings (e.g. a CLI agent) every score is 0: skip
+            // the cutoff and the index, and recall the most recent entries instead
+            const unscored = isZeroVector(query);
+
+            const scored = [];
+            for (const row of unscored ? this.entries.keys() : this._candidateRows(query, matches)) {
+                const entry = this.entries[row];
+                // Vectors of another embedding model are not comparable
+                if (entry.vector.length !== query.length || !matches(entry)) continue;
+                const score = dot(query, entry.vector);
+                if (unscored || score >= minScore) {
+                    scored.push({ entry, score, row });
+                }
+            }
+
+            // Ties (all of them without embeddings) go to the most recent entry
+            scored.sort((a, b) => b.score - a.score || b.row - a.row);
+            return scored.slice(0, limit).map(({ entry: { id, text, metadata, timestamp }, score }) => ({
+                id, text, metadata, timestamp, score,
+            }));
+        } catch (error) {
+            console.error("Error searching vector store:", error);
+            return [];
+        }
+    }
+
+    /**
+     * Rows worth scoring for a query: the probed lists of the index (plus
+     * vectors the index does not cover), or every row without a usable index.
+     */
+    _candidateRows(query, matches) {
+        const index = this.index;
+        if (!index || index.dim !== query.length) {
+            return this.entries.keys();
+        }
+
+        // A selective filter leaves few candidates: scoring them all is cheap and misses nothing
+        const matching = [];
+        for (let row = 0; row < this.entries.length && matching.length <= this.indexMinEntries; row++) {
+            if (matches(this.entries[row])) matching.push(row);
+        }
+        if (matching.length <= this.indexMinEntries) {
+            return matching;
+        }
+
+        const probes = this.probes ?? Math.max(MIN_PROBES, Math.ceil(index.centroids.length * PROBE_FRACTION));
+        return [
+            ...closestLists(index.centroids, query, probes).flatMap(list => index.lists[list]),
+            ...index.unindexed,
+        ];
+    }
+
+    /**
+     * Append entries to the store, skipping known ones. Sibling appends are
+     * read first, so rows stay in file order in every process.
+     *
+     * @returns {Promise<number>} Number of entries appended
+     */
+    async _append(entries) {
+        return this._exclusive(async () => {
+            await this._readFromDisk();
+            const seen = new Set();
+            const fresh = entries.filter(entry => {
+                const key = entryKey(entry);
+                if (this._keys.has(key) || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+            if (fresh.length === 0) {
+                return 0;
+            }
+
+            if (!await pathExists(this.vectorsPath)) {
+                await writeFileAtomic(this.vectorsPath, vectorFileHeader());
+            }
+            const vectorOffset = (await fs.stat(this.vectorsPath)).size;
+            const { vectorData, lines, vectors } = serializeEntries(fresh, vectorOffset);
+            await appendDurable(this.vectorsPath, vectorData);
+            await appendDurable(this.filePath, lines);
+            this._offset += Buffer.byteLength(lines);
+
+            fresh.forEach((entry, i) => this._track({ ...entry, id: entry.id ?? null }, vectors[i]));
+            this._assignNewRows();
+            return fresh.length;
+        });
+    }
+
+    /**
+     * Start training the index in the background when the store is large
+     * enough and has doubled since the last training. One training runs at a
+     * time; searches keep using the current index until it is replaced.
+     */
+    _maybeTrain() {
+        if (this._training) return;
+        const latest = this.entries[this.entries.length - 1];
+        if (!latest) return;
+        const dim = latest.vector.length;
+        const rows = [];
+        this.entries.forEach((entry, row) => {
+            if (entry.vector.length === dim && !isZeroVector(entry.vector)) rows.push(row);
+        });
+        if (rows.length < this.indexMinEntries) return;
+        if (this.index && this.index.dim === dim && rows.length < this.index.trainedOn * 2) return;
+
+        this._training = this._train(dim, rows)
+            .catch(error => console.error("Error training vector index:", error))
+            .finally(() => {
+                this._training = null;
+            });
+    }
+
+    /**
+     * Train new centroids and write the index. k-means and the assignment
+     * of existing rows run outside the lock, so this process and its
+     * siblings keep searching meanwhile; the index is only written if no
+     * sibling trained one in the meantime.
+     */
+    async _train(dim, rows) {
+        const basedOn = this.index?.mtimeMs ?? null;
+        const lists = Math.min(MAX_LISTS, Math.max(MIN_LISTS, Math.round(Math.sqrt(rows.length))));
+        const sampleSize = Math.min(rows.length, lists * TRAIN_SAMPLE_PER_LIST);
+        const sample = Array.from({ length: sampleSize }, (_, i) => this.entries[rows[Math.floor(i * rows.length / sampleSize)]].vector);
+        const centroids = await trainCentroids(sample, lists);
+        const assignments = await assignEntries(this.entries, this.entries.length, dim, centroids);
+
+        await this._exclusive(async () => {
+            await this._refreshIndex();
+            if ((this.index?.mtimeMs ?? null) !== basedOn) {
+                return; // A sibling process trained meanwhile
+            }
+            // Rows appended while training
+            for (let row = assignments.length; row < this.entries.length; row++) {
+                assignments.push(assignList(centroids, dim, this.entries[row].vector));
+            }
+            await writeFileAtomic(this.indexPath, this._serializeIndex(dim, centroids, rows.length, assignments));
+            await this._refreshIndex();
+            console.error(`Trained vector index: ${lists} lists over ${rows.length} vectors`);
+        });
+    }
+
+    /**
+     * Index file content. assignments[row] is the list of this.entries[row].
+     */
+    _serializeIndex(dim, centroids, trainedOn, assignments) {
+        const buffer = Buffer.alloc(INDEX_HEADER_BYTES + centroids.length * dim * FLOAT_BYTES + assignments.length * ASSIGNMENT_BYTES);
+        buffer.write(INDEX_FILE_MAGIC, 0, "ascii");
+        buffer.writeUInt32LE(INDEX_FORMAT_VERSION, 4);
+        buffer.writeUInt32LE(dim, 8);
+        buffer.writeUInt32LE(centroids.length, 12);
+        buffer.writeUInt32LE(trainedOn, 16);
+        buffer.writeUInt32LE(assignments.length, 20);
+        let offset = INDEX_HEADER_BYTES;
+        for (const centroid of centroids) {
+            centroid.forEach(x => {
+                buffer.writeFloatLE(x, offset);
+                offset += FLOAT_BYTES;
+            });
+        }
+        assignments.forEach((list, row) => {
+            entryKeyHash(this.entries[row]).copy(buffer, offset);
+            buffer.writeInt32LE(list, offset + KEY_HASH_BYTES);
+            offset += ASSIGNMENT_BYTES;
+        });
+        return buffer;
+    }
+
+    /**
+     * (Re)load the index file if it changed since we read it.
+     * Must be called under _exclusive().
+     */
+    async _refreshIndex() {
+        let stat;
+        try {
+            stat = await fs.stat(this.indexPath);
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+            this.index = null;
+            return;
+        }
+        if (this.index && this.index.mtimeMs === stat.mtimeMs) {
+            return;
+        }
+
+        const buffer = await fs.readFile(this.indexPath);
+        if (buffer.length < INDEX_HEADER_BYTES || buffer.toString("ascii", 0, 4) !== INDEX_FILE_MAGIC) {
+            console.error(`Ignoring unrecognized vector index ${this.indexPath}; searching without it`);
+            this.index = null;
+            return;
+        }
+        const version = buffer.readUInt32LE(4);
+        if (version !== INDEX_FORMAT_VERSION) {
+            console.error(`Ignoring vector index ${this.indexPath} of unsupported version ${version}; searching without it`);
+            this.index = null;
+            return;
+        }
+        const dim = buffer.readUInt32LE(8);
+        const listCount = buffer.readUInt32LE(12);
+        const trainedOn = buffer.readUInt32LE(16);
+        const assigned = buffer.readUInt32LE(20);
+
+        let offset = INDEX_HEADER_BYTES;
+        const centroids = Array.from({ length: listCount }, () => {
+            const centroid = new Float32Array(dim);
+            for (let i = 0; i < dim; i++, offset += FLOAT_BYTES) centroid[i] = buffer.readFloatLE(offset);
+            return centroid;
+        });
+        const stored = new Map();
+        for (let i = 0; i < assigned; i++, offset += ASSIGNMENT_BYTES) {
+            stored.set(buffer.toString("hex", offset, offset + KEY_HASH_BYTES), buffer.readInt32LE(offset + KEY_HASH_BYTES));
+        }
+
+        this.index = { dim, centroids, trainedOn, mtimeMs: stat.mtimeMs, assignments: [], lists: centroids.map(() => []), unindexed: [] };
+        // Entries the writer did not have (or had under another row) join their closest list
+        this.entries.forEach((entry, row) => {
+            const list = stored.get(entryKeyHash(entry).toString("hex"));
+            this._assignRow(row, list ?? assignList(centroids, dim, entry.vector));
+        });
+    }
+
+    /**
+     * Put rows the index has not seen into their closest list.
+     */
+    _assignNewRows() {
+        const index = this.index;
+        if (!index) return;
+        for (let row = index.assignments.length; row < this.entries.length; row++) {
+            const { vector } = this.entries[row];
+            this._assignRow(row, assignList(index.centroids, index.dim, vector));
+        }
+    }
+
+    _assignRow(row, list) {
+        const index = this.index;
+        index.assignments[row] = list;
+        if (list >= 0 && list < index.lists.length) {
+            index.lists[list].push(row);
+        } else {
+            index.unindexed.push(row);
+        }
+    }
+
+    /**
+     * Run an operation under both the in-process write queue and the
+     * cross-process file lock, so reads and writes never interleave.
+     */
+    _exclusive(operation) {
+        const result = this._writeQueue.then(() => withFileLock(this.filePath, operation));
+        this._writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    _reset() {
+        this.entries = [];
+        this._keys = new Set();
+        this._offset = 0;    // Bytes of the entries file already read
+        this._inode = null;  // Detects the file being replaced (migration)
+        this.index = null;
+    }
+
+    _track(entry, vector) {
+        const { id, text, metadata, timestamp } = entry;
+        this.entries.push({ id, text, metadata, timestamp, vector });
+        this._keys.add(entryKey(entry));
+    }
+
+    /**
+     * Read entries appended beyond what we have already read, with their vectors.
+     * Must be called under _exclusive().
+     */
+    async _readFromDisk() {
+        let stat;
+        try {
+            stat = await fs.stat(this.filePath);
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+            this._reset();
+            return;
+        }
+
+        if (this._inode !== null && (stat.ino !== this._inode || stat.size < this._offset)) {
+            this._reset();
+            return this._readFromDisk();
+        }
+        this._inode = stat.ino;
+        if (stat.size === this._offset) {
+            return;
+        }
+
+        const buffer = Buffer.alloc(stat.size - this._offset);
+        const handle = await fs.open(this.filePath, "r");
+        try {
+            await handle.read(buffer, 0, buffer.length, this._offset);
+        } finally {
+            await handle.close();
+        }
+
+        const records = [];
+        let start = 0;
+        let end;
+        while ((end = buffer.indexOf(NEWLINE, start)) !== -1) {
+            const line = buffer.toString("utf-8", start, end).trim();
+            if (line) {
+                try {
+                    records.push(JSON.parse(line));
+                } catch {
+                    console.error(`Skipping corrupt vector store line at byte ${this._offset + start}: ${line.substring(0, 80)}`);
+                }
+            }
+            start = end + 1;
+        }
+        if (start < buffer.length) {
+            // Writers hold the lock while appending, so a partial line seen
+            // under the lock is an append whose process died before it finished
+            console.error(`Vector store has a torn trailing line (${buffer.length - start} bytes); truncating to the last complete entry.`);
+            await truncateDurable(this.filePath, this._offset + start);
+        }
+        this._offset += start;
+
+        const vectors = await this._readVectors(records);
+        records.forEach((record, i) => {
+            if (vectors[i] && !this._keys.has(entryKey(record))) {
+                this._track(record, vectors[i]);
+            }
+        });
+        this._assignNewRows();
+    }
+
+    /**
+     * Read the sidecar vectors of entry records, in one read.
+     *
+     * @returns {Promise<Array<Float32Array|null>>} null where the vector is missing
+     */
+    async _readVectors(records) {
+        if (records.length === 0) return [];
+        const first = Math.min(...records.map(r => r.offset));
+        const last = Math.max(...records.map(r => r.offset + r.dim * FLOAT_BYTES));
+
+        let handle;
+        try {
+            handle = await fs.open(this.vectorsPath, "r");
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+            console.error(`Vector sidecar ${this.vectorsPath} is missing; ${records.length} entries have no vector`);
+            return records.map(() => null);
+        }
+        const header = Buffer.alloc(VECTOR_HEADER_BYTES);
+        const buffer = Buffer.alloc(last - first);
+        let bytesRead;
+        try {
+            await handle.read(header, 0, VECTOR_HEADER_BYTES, 0);
+            ({ bytesRead } = await handle.read(buffer, 0, buffer.length, first));
+        } finally {
+            await handle.close();
+        }
+        if (header.toString("ascii", 0, 4) !== VECTOR_FILE_MAGIC || header.readUInt32LE(4) !== FORMAT_VERSION) {
+            throw new Error(`${this.vectorsPath} is not a vector sidecar of version ${FORMAT_VERSION}`);
+        }
+
+        return records.map(record => {
+            const start = record.offset - first;
+            if (start + record.dim * FLOAT_BYTES > bytesRead) {
+                console.error(`Vector of entry ${entryKey(record)} is missing from ${this.vectorsPath}; skipping it`);
+                return null;
+            }
+            const vector = new Float32Array(record.dim);
+            for (let i = 0; i < record.dim; i++) vector[i] = buffer.readFloatLE(start + i * FLOAT_BYTES);
+            return vector;
+        });
+    }
+}
@@ -0,0 +1,166 @@
+import { z } from "zod";
+import { safeParseJSON } from "./safe_json.js";
+
+/**
+ * Verdict Schema - The Conscience's Output Contract
+ *
+ * The verdict is defined once, as a zod schema. It is used three ways:
+ * - as native structured output, so the provider itself constrains the
+ *   response (Gemini responseSchema, OpenAI json_schema response_format)
+ * - to validate every response, whichever provider produced it
+ * - to list the exact schema errors in a repair prompt, so a malformed
+ *   verdict is corrected instead of being used
+ *
+ * Optional fields are nullable rather than omittable: strict structured
+ * output requires every property, and null reads as "not given".
+ */
+
+const AlignmentStatus = z.enum(["Aligned", "Unaligned"]);
+
+const Validation = z.object({
+    status: AlignmentStatus,
+    reasoning: z.string(),
+});
+
+const Score = z.number().min(0).max(1);
+
+const Scores = z.object({
+    user: Score.describe("User instructions"),
+    global: Score.describe("Global instructions"),
+    project: Score.describe("Project instructions"),
+    plan: Score.describe("The agent's plan"),
+}).describe("0.0 = directly violates, 1.0 = fully aligned");
+
+const MemoryUpdate = z.object({
+    operation: z.enum(["add", "append", "replace", "remove", "remove_line", "clear"]),
+    key: z.string().min(1).nullish().describe("Unique rule id; required for replace and remove"),
+    content: z.string().min(1).nullish().describe("The rule text; required for add, append, replace and remove_line"),
+    strength: z.number().min(0).max(1).nullish(),
+    type: z.enum(["hard", "soft"]).nullish(),
+    scope: z.enum(["global", "project", "session"]).nullish().describe("Defaults to global; only applies to new rules"),
+}).superRefine((update, ctx) => {
+    if (["replace", "remove"].includes(update.operation) && !update.key) {
+        ctx.addIssue({ code: "custom", path: ["key"], message: `required for ${update.operation}` });
+    }
+    if (["add", "append", "replace", "remove_line"].includes(update.operation) && !update.content) {
+        ctx.addIssue({ code: "custom", path: ["content"], message: `required for ${update.operation}` });
+    }
+});
+
+export const VerdictSchema = z.object({
+    instructions_alignment_status: AlignmentStatus,
+    instructions_alignment_reasoning: z.string().min(1),
+    user_validation: Validation,
+    global_validation: Validation,
+    project_validation: Validation,
+    plan_alignment_status: AlignmentStatus,
+    plan_alignment_reasoning: z.string().min(1),
+    scores: Scores,
+    confidence: Score.describe("Confidence in this verdict, 0.0 to 1.0"),
+    strategies_used: z.array(z.string()),
+    predicted_impact: z.enum(["Positive", "Negative", "Neutral"]),
+    relationship_advice: z.string(),
+    guidance_answer: z.string().nullish().describe("Only when the agent asked for guidance"),
+    behavioral_directives: z.array(z.string()),
+    cited_constraints: z.array(z.string()).describe("Keys of the behavioral memory rules that informed the verdict"),
+    update_memory: MemoryUpdate.nullish(),
+    public_response: z.string().min(1),
+    adaptation_directive: z.string().min(1),
+    risk: z.string().min(1),
+});
+
+/**
+ * The verdict as a JSON schema for OpenAI strict structured output:
+ * every property is required (nullable ones accept null) and no others are allowed.
+ */
+export function verdictJsonSchema() {
+    const strict = (node) => {
+        if (Array.isArray(node)) return node.map(strict);
+        if (!node || typeof node !== "object") return node;
+        // Length and range limits are not supported in strict mode; validation still checks them
+        const out = Object.fromEntries(Object.entries(node)
+            .filter(([k]) => !["minLength", "minimum", "maximum"].includes(k))
+            .map(([k, v]) => [k, strict(v)]));
+        if (out.type === "object" && out.properties) {
+            out.required = Object.keys(out.properties);
+            out.additionalProperties = false;
+        }
+        return out;
+    };
+    const { $schema, ...schema } = z.toJSONSchema(VerdictSchema);
+    return strict(schema);
+}
+
+/**
+ * The verdict as a Gemini responseSchema, which speaks an OpenAPI subset:
+ * no anyOf (nullable instead), no additionalProperties, enums marked as such.
+ */
+export function verdictGeminiSchema() {
+    const convert = (node) => {
+        if (node.anyOf) {
+            const [inner] = node.anyOf.filter(n => n.type !== "null");
+            return { ...convert(inner), nullable: true, ...(node.description ? { description: node.description } : {}) };
+        }
+        const out = { type: node.type };
+        if (node.description) out.description = node.description;
+        if (node.enum) {
+            out.format = "enum";
+            out.enum = node.enum;
+        }
+        if (node.items) out.items = convert(node.items);
+        if (node.properties) {
+            out.properties = Object.fromEntries(Object.entries(node.properties).map(([k, v]) => [k, convert(v)]));
+            out.required = node.required ?? [];
+        }
+        return out;
+    };
+    return convert(z.toJSONSchema(VerdictSchema));
+}
+
+/**
+ * Schema errors as "path: message" lines.
+ */
+function describeIssues(error) {
+    return error.issues.map(issue => `${issue.path.length > 0 ? issue.path.join(".") : "(root)"}: ${issue.message}`);
+}
+
+/**
+ * Parse and validate a conscience response.
+ *
+ * @param {string} text - Raw model output
+ * @returns {object} { verdict, errors } - verdict is null unless errors is empty
+ */
+export function parseVerdict(text) {
+    let data;
+    try {
+        data = safeParseJSON(text);
+    } catch (error) {
+        return { verdict: null, errors: [`(root): ${error.message}`] };
+    }
+    const result = VerdictSchema.safeParse(data);
+    return result.success
+        ? { verdict: result.data, errors: [] }
+        : { verdict: null, errors: describeIssues(result.error) };
+}
+
+/**
+ * Prompt asking the model to correct its own invalid verdict. The original
+ * prompt is repeated, so the correction is made with the full situation in view.
+ *
+ * @param {string} prompt - The original conscience prompt
+ * @param {string} response - The invalid response
+ * @param {Array<string>} errors - From parseVerdict()
+ */
+export function buildRepairPrompt(prompt, response, errors) {
+    return `${prompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED: it does not match the required verdict format.
+--- PREVIOUS RESPONSE ---
+${response}
+--- END OF PREVIOUS RESPONSE ---
+
+SCHEMA ERRORS (field: problem):
+${errors.map(e => `- ${e}`).join("\n")}
+
+Output the corrected verdict as valid JSON only. Keep your assessment; fix only the fields listed above. Statuses must be exactly "Aligned" or "Unaligned", scores and confidence numbers from 0.0 to 1.0, predicted_impact exactly "Positive", "Negative" or "Neutral". Use null for update_memory and guidance_answer when they do not apply.`;
+}